@@ -2,20 +2,40 @@
 const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
+const helmet = require("helmet");
 const path = require("path");
 
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
+const accessTokensRoutes = require("./routes/accessTokens");
 const personalExpensesRoutes = require("./routes/personalExpenses");
+const personalExpenseTemplatesRoutes = require("./routes/personalExpenseTemplates");
+const approvalPoliciesRoutes = require("./routes/approvalPolicies");
+const delegationsRoutes = require("./routes/delegations");
 const incomesRoutes = require("./routes/incomes");
 const expensesRoutes = require("./routes/expenses");
 const expenseCategoriesRoutes = require("./routes/expenseCategories");
 const uploadRoutes = require("./routes/upload");
+const importsRoutes = require("./routes/imports");
+const recordsRoutes = require("./routes/records");
+const recurringSchedulesRoutes = require("./routes/recurringSchedules");
+const itemsRoutes = require("./routes/items");
 const notificationsRoutes = require("./routes/notifications");
 const reportsRoutes = require("./routes/reports");
 const adminUsersRoutes = require("./routes/adminUsers");
+const adminSettingsRoutes = require("./routes/adminSettings");
+const adminRolesRoutes = require("./routes/adminRoles");
 
 const app = express();
 
+// behind a reverse proxy req.ip must come from X-Forwarded-For (rate limits key on it)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// security headers; uploads are loaded by the client from another origin
+app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
 app.use(express.json());
 app.use(cookieParser());
 app.use(
@@ -26,17 +46,28 @@ app.use(
 );
 
 // API routes
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/tokens", accessTokensRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/personal-expenses", personalExpensesRoutes);
+app.use("/api/personal-expense-templates", personalExpenseTemplatesRoutes);
+app.use("/api/approval-policies", approvalPoliciesRoutes);
+app.use("/api/approval-delegations", delegationsRoutes);
 app.use("/api/incomes", incomesRoutes);
 app.use("/api/expenses", expensesRoutes);
 app.use("/api/expense-categories", expenseCategoriesRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/imports", importsRoutes);
+app.use("/api/records", recordsRoutes);
+app.use("/api/recurring-schedules", recurringSchedulesRoutes);
+app.use("/api/items", itemsRoutes);
 app.use("/api/notifications", notificationsRoutes);
 app.use("/api/reports", reportsRoutes);
 
 // admin user management (superadmin only)
 app.use("/api/admin/users", adminUsersRoutes);
+app.use("/api/admin/settings", adminSettingsRoutes);
+app.use("/api/admin/roles", adminRolesRoutes);
 
 // serve uploads folder so files are reachable via /uploads/filename
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -45,7 +76,7 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.get(
   "/api/admin-only",
   require("./middleware/auth").authenticateToken,
-  require("./middleware/roles").permit("superadmin"),
+  require("./middleware/roles").requirePermission("users.manage"),
   (req, res) => {
     res.json({ message: "hello superadmin only" });
   },
@@ -0,0 +1,45 @@
+// backend/config/mailer.js
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP is configured through env:
+ * SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+ * SMTP_USER / SMTP_PASS (optional, catch-all dev servers usually need none),
+ * MAIL_FROM (sender address).
+ * Without SMTP_HOST mails are not sent, only printed to the console.
+ */
+let transporter = null;
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transporter;
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || "Home Database <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+  if (!process.env.SMTP_HOST) {
+    console.info("SMTP_HOST not set, mail not sent:", info.message);
+  }
+  return info;
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,243 @@
+// backend/jobs/approvalScheduler.js
+// background follow-up of pending personal expenses, started from server.js.
+// Thresholds live in Settings (approval_reminder_days, approval_escalation_days,
+// approval_escalation_role, approval_expire_days); the check interval in
+// APPROVAL_SCHEDULER_MINUTES (default 60, 0 disables the scheduler).
+const mongoose = require("mongoose");
+const PersonalExpense = require("../models/PersonalExpense");
+const Approval = require("../models/Approval");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Settings = require("../models/Settings");
+const Notification = require("../models/Notification");
+const { createAudit } = require("../utils/audit");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** when the current approval round started (older requests: last update) */
+function pendingSince(pe) {
+  if (pe.submitted_at) return pe.submitted_at;
+  const last = pe.submissions && pe.submissions[pe.submissions.length - 1];
+  return (last && last.submitted_at) || pe.updatedAt || pe.createdAt;
+}
+
+/** notification + audit entry, same pattern as the personal expense routes */
+async function notify(pe, userId, title, body, action, meta = {}) {
+  try {
+    await Notification.create({
+      user: userId,
+      title,
+      body,
+      link: `/personal/${pe._id}`,
+      meta: { personal_expense: pe._id, ...meta },
+    });
+  } catch (nerr) {
+    console.error("Failed to create scheduler notification", userId, nerr);
+  }
+
+  await createAudit({
+    entity_type: "notification",
+    entity_id: pe._id,
+    action,
+    meta: { to: userId, ...meta },
+  });
+}
+
+/** approvers who may decide this round but have not yet */
+async function undecidedApprovers(pe) {
+  const round = pe.submission_round || 1;
+  const approverRoles = await Role.rolesWithPermission("personal.approve");
+  const decided = await Approval.distinct("admin_user", {
+    personal_expense: pe._id,
+    round,
+  });
+  return User.find({
+    role: { $in: approverRoles },
+    _id: { $nin: [...decided, pe.user] },
+    ...User.activeFilter(),
+  }).select("_id username");
+}
+
+async function expire(pe, settings, ageDays) {
+  const now = new Date();
+  // only if nobody decided in the meantime
+  const res = await PersonalExpense.updateOne(
+    { _id: pe._id, status: "pending" },
+    { $set: { status: "expired", expired_at: now } },
+  );
+  if (!res.modifiedCount) return false;
+
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "expired",
+    meta: {
+      round: pe.submission_round,
+      age_days: ageDays,
+      expire_days: settings.approval_expire_days,
+    },
+  });
+  await notify(
+    pe,
+    pe.user,
+    "Your personal expense request expired",
+    `Request "${pe.title}" was not decided within ${settings.approval_expire_days} days and has expired.`,
+    "notify_owner_expired",
+  );
+  return true;
+}
+
+async function escalate(pe, settings, ageDays) {
+  const now = new Date();
+  const res = await PersonalExpense.updateOne(
+    { _id: pe._id, status: "pending", escalated_at: null },
+    { $set: { escalated_at: now } },
+  );
+  if (!res.modifiedCount) return false;
+
+  const targets = await User.find({
+    role: settings.approval_escalation_role,
+    ...User.activeFilter(),
+  }).select("_id");
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "escalated",
+    meta: {
+      round: pe.submission_round,
+      age_days: ageDays,
+      role: settings.approval_escalation_role,
+      to: targets.map((u) => u._id),
+    },
+  });
+  for (const u of targets) {
+    await notify(
+      pe,
+      u._id,
+      "Personal expense waiting too long",
+      `Request "${pe.title}" has been pending for ${ageDays} days without a final decision.`,
+      "notify_escalation",
+      { age_days: ageDays, kind: "escalation" },
+    );
+  }
+  return true;
+}
+
+async function remind(pe, settings, ageDays) {
+  const now = new Date();
+  const approvers = await undecidedApprovers(pe);
+  if (!approvers.length) return false;
+
+  const res = await PersonalExpense.updateOne(
+    {
+      _id: pe._id,
+      status: "pending",
+      last_reminder_at: pe.last_reminder_at || null,
+    },
+    { $set: { last_reminder_at: now }, $inc: { reminder_count: 1 } },
+  );
+  if (!res.modifiedCount) return false;
+
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "reminder_sent",
+    meta: {
+      round: pe.submission_round,
+      age_days: ageDays,
+      reminder: (pe.reminder_count || 0) + 1,
+      to: approvers.map((u) => u._id),
+    },
+  });
+  for (const u of approvers) {
+    await notify(
+      pe,
+      u._id,
+      "Reminder: personal expense awaiting your decision",
+      `Request "${pe.title}" has been pending for ${ageDays} days.`,
+      "notify_reminder",
+      { age_days: ageDays, kind: "reminder" },
+    );
+  }
+  return true;
+}
+
+/**
+ * One pass over all pending requests. Safe to call repeatedly:
+ * reminders repeat every approval_reminder_days, escalation happens once per round.
+ * Returns counts for logging.
+ */
+async function runOnce(now = new Date()) {
+  const settings = await Settings.getSettings();
+  const reminderDays = Number(settings.approval_reminder_days) || 0;
+  const escalationDays = Number(settings.approval_escalation_days) || 0;
+  const expireDays = Number(settings.approval_expire_days) || 0;
+  const result = { checked: 0, reminded: 0, escalated: 0, expired: 0 };
+
+  const pending = await PersonalExpense.find({ status: "pending" });
+  for (const pe of pending) {
+    result.checked += 1;
+    const ageMs = now - new Date(pendingSince(pe));
+    const ageDays = Math.floor(ageMs / DAY_MS);
+
+    if (expireDays && ageMs >= expireDays * DAY_MS) {
+      if (await expire(pe, settings, ageDays)) result.expired += 1;
+      continue;
+    }
+
+    if (
+      escalationDays &&
+      ageMs >= escalationDays * DAY_MS &&
+      !pe.escalated_at
+    ) {
+      if (await escalate(pe, settings, ageDays)) result.escalated += 1;
+    }
+
+    if (
+      reminderDays &&
+      ageMs >= reminderDays * DAY_MS &&
+      (!pe.last_reminder_at ||
+        now - pe.last_reminder_at >= reminderDays * DAY_MS)
+    ) {
+      if (await remind(pe, settings, ageDays)) result.reminded += 1;
+    }
+  }
+  return result;
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  // skip while a previous pass is still running or Mongo isn't connected yet
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    const r = await runOnce();
+    if (r.reminded || r.escalated || r.expired) {
+      console.log("Approval scheduler:", r);
+    }
+  } catch (err) {
+    console.error("Approval scheduler error", err);
+  } finally {
+    running = false;
+  }
+}
+
+/** start the interval; returns false when disabled */
+function start() {
+  const minutes = Number(process.env.APPROVAL_SCHEDULER_MINUTES ?? 60);
+  if (!minutes || minutes < 0 || timer) return false;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  // first pass shortly after boot, once the DB connection is up
+  setTimeout(tick, 30 * 1000).unref();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
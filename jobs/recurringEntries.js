@@ -0,0 +1,182 @@
+// backend/jobs/recurringEntries.js
+// handles due RecurringSchedule occurrences (rent, utilities, salaries...),
+// started from server.js: auto schedules post the entry, expected schedules
+// create an ExpectedEntry for an admin to confirm. Occurrences missed while the
+// server was down are handled on the next pass (at most MAX_CATCH_UP per
+// schedule and pass; the first pass runs shortly after start).
+// Check interval: RECURRING_ENTRIES_MINUTES (default 60, 0 disables).
+const mongoose = require("mongoose");
+const RecurringSchedule = require("../models/RecurringSchedule");
+const ExpectedEntry = require("../models/ExpectedEntry");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const {
+  KIND_PERMISSION,
+  postScheduledEntry,
+} = require("../utils/recurringEntries");
+
+const MAX_CATCH_UP = 12;
+
+async function pauseSchedule(schedule, reason) {
+  await RecurringSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { status: "paused", paused_reason: reason } },
+  );
+  await createAudit({
+    entity_type: "recurring_schedule",
+    entity_id: schedule._id,
+    action: "paused",
+    meta: { reason, by_scheduler: true },
+  });
+}
+
+/**
+ * Create the ExpectedEntry for one occurrence and tell the schedule's creator.
+ * Returns it, or null when it already existed.
+ */
+async function expectOccurrence(schedule, occurrence) {
+  let expected;
+  try {
+    expected = await ExpectedEntry.create({
+      schedule: schedule._id,
+      kind: schedule.kind,
+      title: schedule.title,
+      occurrence,
+      expected_amount: schedule.amount,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // created by an earlier pass
+    throw err;
+  }
+
+  try {
+    await Notification.create({
+      user: schedule.created_by,
+      title: `Expected ${schedule.kind} due`,
+      body: `"${schedule.title}" is due on ${occurrence
+        .toISOString()
+        .slice(
+          0,
+          10,
+        )} (about ${schedule.amount}). Confirm it with the real amount.`,
+      link: "/recurring/expected",
+      meta: { expected_entry: expected._id, schedule: schedule._id },
+    });
+  } catch (nerr) {
+    console.error("Failed to notify about expected entry", nerr);
+  }
+
+  await createAudit({
+    entity_type: "notification",
+    entity_id: expected._id,
+    action: "notify_expected_entry",
+    meta: { to: schedule.created_by, schedule: schedule._id },
+  });
+  return expected;
+}
+
+/** one pass over all due schedules; returns counts for logging */
+async function runOnce(now = new Date()) {
+  const result = { schedules: 0, posted: 0, expected: 0, paused: 0 };
+  const due = await RecurringSchedule.find({
+    status: "active",
+    next_run_at: { $ne: null, $lte: now },
+  });
+
+  for (const schedule of due) {
+    result.schedules += 1;
+
+    // entries are posted in the creator's name, who must still be allowed to
+    const creator = await User.findById(schedule.created_by);
+    if (!creator || !creator.isActive()) {
+      await pauseSchedule(schedule, "creator account is not active");
+      result.paused += 1;
+      continue;
+    }
+    if (!(await hasPermission(creator, KIND_PERMISSION[schedule.kind]))) {
+      await pauseSchedule(
+        schedule,
+        `creator may no longer create ${schedule.kind}s`,
+      );
+      result.paused += 1;
+      continue;
+    }
+
+    for (let i = 0; i < MAX_CATCH_UP; i += 1) {
+      const occurrence = schedule.next_run_at;
+      if (!occurrence || occurrence > now) break;
+      let next = schedule.occurrenceAfter(occurrence);
+      if (schedule.ends_at && next > schedule.ends_at) next = null;
+
+      // handle it first, then move on: the unique schedule / occurrence indexes keep
+      // a second pass from posting it twice, and a failed occurrence stays due
+      let handled;
+      try {
+        handled =
+          schedule.mode === "expected"
+            ? await expectOccurrence(schedule, occurrence)
+            : await postScheduledEntry(schedule, occurrence);
+      } catch (err) {
+        console.error(
+          `Recurring schedule ${schedule._id}: failed for ${occurrence.toISOString()}, retrying next pass`,
+          err,
+        );
+        break;
+      }
+      if (handled) {
+        if (schedule.mode === "expected") result.expected += 1;
+        else result.posted += 1;
+        await RecurringSchedule.updateOne(
+          { _id: schedule._id },
+          { $inc: { generated_count: 1 } },
+        );
+      }
+
+      const advanced = await RecurringSchedule.findOneAndUpdate(
+        { _id: schedule._id, status: "active", next_run_at: occurrence },
+        { $set: { next_run_at: next, last_run_at: now } },
+        { new: true },
+      );
+      if (!advanced) break;
+      schedule.next_run_at = next;
+    }
+  }
+  return result;
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    const r = await runOnce();
+    if (r.posted || r.expected || r.paused)
+      console.log("Recurring household entries:", r);
+  } catch (err) {
+    console.error("Recurring household entries error", err);
+  } finally {
+    running = false;
+  }
+}
+
+/** start the interval; returns false when disabled */
+function start() {
+  const minutes = Number(process.env.RECURRING_ENTRIES_MINUTES ?? 60);
+  if (!minutes || minutes < 0 || timer) return false;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  // catch up on anything missed while the server was down
+  setTimeout(tick, 30 * 1000).unref();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
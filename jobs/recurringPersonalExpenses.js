@@ -0,0 +1,205 @@
+// backend/jobs/recurringPersonalExpenses.js
+// turns due PersonalExpenseTemplate occurrences into personal expense requests,
+// started from server.js. Occurrences missed while the server was down are
+// generated on the next pass (at most MAX_CATCH_UP per template and pass).
+// Check interval: RECURRING_PERSONAL_MINUTES (default 60, 0 disables).
+const mongoose = require("mongoose");
+const PersonalExpense = require("../models/PersonalExpense");
+const PersonalExpenseTemplate = require("../models/PersonalExpenseTemplate");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { submitPersonalExpense } = require("../utils/personalExpenseFlow");
+
+const MAX_CATCH_UP = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function pauseTemplate(template, reason) {
+  await PersonalExpenseTemplate.updateOne(
+    { _id: template._id },
+    { $set: { status: "paused", paused_reason: reason } },
+  );
+  await createAudit({
+    entity_type: "personal_expense_template",
+    entity_id: template._id,
+    action: "paused",
+    meta: { reason, by_scheduler: true },
+  });
+}
+
+/**
+ * Create the request for one occurrence (draft, or submitted when auto_submit).
+ * Returns the PersonalExpense, or null when it already existed.
+ */
+async function generateOccurrence(template, owner, occurrence, next) {
+  let pe;
+  try {
+    pe = await PersonalExpense.create({
+      user: template.user,
+      title: template.title,
+      description: template.description,
+      category: template.category,
+      amount_min: template.amount_min,
+      amount_avg: template.amount_avg,
+      amount_max: template.amount_max,
+      requested_amount: template.requested_amount,
+      // the request covers the period up to the next occurrence
+      start_date: occurrence,
+      end_date: next ? new Date(next.getTime() - DAY_MS) : undefined,
+      status: "draft",
+      attachments: [],
+      template: template._id,
+      template_occurrence: occurrence,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // generated by an earlier pass
+    throw err;
+  }
+
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "create",
+    meta: { template: template._id, occurrence, generated: true },
+  });
+
+  if (template.auto_submit) {
+    try {
+      await submitPersonalExpense(pe, owner, { template: template._id });
+    } catch (err) {
+      // not submitted: drop the draft so the next pass generates and submits it again
+      const removed = await PersonalExpense.deleteOne({
+        _id: pe._id,
+        status: "draft",
+      });
+      if (removed.deletedCount)
+        await createAudit({
+          entity_type: "personal_expense",
+          entity_id: pe._id,
+          action: "delete",
+          meta: { template: template._id, occurrence, reason: "submit failed" },
+        });
+      throw err;
+    }
+    return pe;
+  }
+
+  try {
+    await Notification.create({
+      user: template.user,
+      title: "Recurring personal expense drafted",
+      body: `A draft of "${template.title}" was created for ${occurrence
+        .toISOString()
+        .slice(0, 10)}. Review and submit it.`,
+      link: `/personal/${pe._id}`,
+      meta: { personal_expense: pe._id, template: template._id },
+    });
+  } catch (nerr) {
+    console.error("Failed to notify owner of recurring draft", nerr);
+  }
+
+  await createAudit({
+    entity_type: "notification",
+    entity_id: pe._id,
+    action: "notify_owner_recurring_draft",
+    meta: { owner: template.user, template: template._id },
+  });
+  return pe;
+}
+
+/** one pass over all due templates; returns counts for logging */
+async function runOnce(now = new Date()) {
+  const result = { templates: 0, generated: 0, paused: 0 };
+  const due = await PersonalExpenseTemplate.find({
+    status: "active",
+    next_run_at: { $ne: null, $lte: now },
+  });
+
+  for (const template of due) {
+    result.templates += 1;
+
+    // the owner must still be allowed to file personal expenses
+    const owner = await User.findById(template.user);
+    if (!owner || !owner.isActive()) {
+      await pauseTemplate(template, "owner account is not active");
+      result.paused += 1;
+      continue;
+    }
+    if (!(await hasPermission(owner, "personal.create"))) {
+      await pauseTemplate(template, "owner may no longer create requests");
+      result.paused += 1;
+      continue;
+    }
+
+    for (let i = 0; i < MAX_CATCH_UP; i += 1) {
+      const occurrence = template.next_run_at;
+      if (!occurrence || occurrence > now) break;
+      let next = template.occurrenceAfter(occurrence);
+      if (template.ends_at && next > template.ends_at) next = null;
+
+      // generate first, then move on: the template / occurrence unique index keeps
+      // a second pass from creating it twice, and a failed occurrence stays due
+      let pe;
+      try {
+        pe = await generateOccurrence(template, owner, occurrence, next);
+      } catch (err) {
+        console.error(
+          `Recurring template ${template._id}: failed for ${occurrence.toISOString()}, retrying next pass`,
+          err,
+        );
+        break;
+      }
+      if (pe) {
+        result.generated += 1;
+        await PersonalExpenseTemplate.updateOne(
+          { _id: template._id },
+          { $inc: { generated_count: 1 } },
+        );
+      }
+
+      const advanced = await PersonalExpenseTemplate.findOneAndUpdate(
+        { _id: template._id, status: "active", next_run_at: occurrence },
+        { $set: { next_run_at: next, last_run_at: now } },
+        { new: true },
+      );
+      if (!advanced) break;
+      template.next_run_at = next;
+    }
+  }
+  return result;
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    const r = await runOnce();
+    if (r.generated || r.paused) console.log("Recurring personal expenses:", r);
+  } catch (err) {
+    console.error("Recurring personal expenses error", err);
+  } finally {
+    running = false;
+  }
+}
+
+/** start the interval; returns false when disabled */
+function start() {
+  const minutes = Number(process.env.RECURRING_PERSONAL_MINUTES ?? 60);
+  if (!minutes || minutes < 0 || timer) return false;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  // catch up on anything missed while the server was down
+  setTimeout(tick, 30 * 1000).unref();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
@@ -1,22 +1,161 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const Settings = require("../models/Settings");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
 const { JWT_SECRET } = process.env;
 
-exports.authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Token missing" });
+// which scope resource a router belongs to; routers not listed here
+// (auth, admin, ...) can't be used with personal access tokens at all
+const TOKEN_SCOPE_RESOURCES = {
+  "/api/expenses": "expenses",
+  "/api/incomes": "incomes",
+  "/api/records": "records",
+  "/api/recurring-schedules": "recurring",
+  "/api/items": "items",
+  "/api/personal-expenses": "personal",
+  "/api/personal-expense-templates": "personal",
+  "/api/reports": "reports",
+  "/api/expense-categories": "categories",
+  "/api/notifications": "notifications",
+  "/api/upload": "upload",
+  "/api/imports": "imports",
+};
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(payload.id).select("-password_hash");
-    if (!user) return res.status(401).json({ message: "User not found" });
+const requiredScope = (req) => {
+  const resource = TOKEN_SCOPE_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+  return `${resource}:${req.method === "GET" ? "read" : "write"}`;
+};
 
-    req.user = user;
-    next();
-  } catch (err) {
-    return res
-      .status(401)
-      .json({ message: "Invalid or expired token", error: err.message });
+/**
+ * Helper: resolve a personal access token to its owner.
+ * Returns { user } or { status, message } when the token can't be used here.
+ */
+async function authenticatePersonalAccessToken(req, token) {
+  const pat = await PersonalAccessToken.findOne({
+    token_hash: PersonalAccessToken.hashToken(token),
+  });
+  if (!pat || !pat.isActive())
+    return { status: 401, message: "Invalid or revoked access token" };
+
+  const scope = requiredScope(req);
+  if (!scope || !pat.scopes.includes(scope))
+    return {
+      status: 403,
+      message: `Access token lacks scope ${scope || "(not available for tokens)"}`,
+    };
+
+  const user = await User.findById(pat.user).select("-password_hash");
+  if (!user) return { status: 401, message: "User not found" };
+
+  await PersonalAccessToken.updateOne(
+    { _id: pat._id },
+    { $set: { last_used_at: new Date(), last_used_ip: req.ip } },
+  );
+  req.accessToken = pat;
+  return { user };
+}
+
+/**
+ * Helper: account-level checks shared by sessions and access tokens,
+ * sets req.user and continues when the account may use the API.
+ */
+async function checkAccountState(
+  user,
+  req,
+  res,
+  next,
+  { allowUnverified, allowMissingTwofa },
+) {
+  if (!user.isActive())
+    return res.status(403).json({
+      message: `Account ${user.status}`,
+      code: "ACCOUNT_INACTIVE",
+    });
+
+  if (!allowMissingTwofa && !user.twofa_enabled) {
+    const settings = await Settings.getSettings();
+    if ((settings.twofa_required_roles || []).includes(user.role))
+      return res.status(403).json({
+        message: "Two-factor authentication must be enabled for your role",
+        code: "TWOFA_ENROLLMENT_REQUIRED",
+      });
   }
+
+  if (!allowUnverified && user.email_verified === false)
+    return res
+      .status(403)
+      .json({ message: "Email not verified", code: "EMAIL_NOT_VERIFIED" });
+
+  req.user = user;
+  next();
+}
+
+// allowUnverified: let users who have not confirmed their email through
+// allowMissingTwofa: let users whose role requires 2FA but who have not enrolled yet through
+// (both only used by the few routes they need to get out of that state)
+const authenticate =
+  ({ allowUnverified = false, allowMissingTwofa = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const authHeader = req.headers["authorization"];
+      const token = authHeader && authHeader.split(" ")[1];
+      if (!token) return res.status(401).json({ message: "Token missing" });
+
+      // personal access tokens: no session, the owner's role still applies through requirePermission()
+      if (PersonalAccessToken.isPersonalAccessToken(token)) {
+        const result = await authenticatePersonalAccessToken(req, token);
+        if (!result.user)
+          return res.status(result.status).json({ message: result.message });
+        return checkAccountState(result.user, req, res, next, {
+          allowUnverified,
+          allowMissingTwofa,
+        });
+      }
+
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      // purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+      if (payload.purpose)
+        return res.status(401).json({ message: "Invalid token type" });
+      const user = await User.findById(payload.id).select("-password_hash");
+      if (!user) return res.status(401).json({ message: "User not found" });
+
+      // access tokens die with their session (logout / revoked device / force logout)
+      let session = null;
+      if (payload.sid) {
+        session = await Session.findById(payload.sid).select(
+          "revoked_at expires_at mfa",
+        );
+        if (!session || !session.isActive())
+          return res.status(401).json({ message: "Session revoked" });
+        req.sessionId = session._id;
+      }
+
+      // 2FA users only get in through sessions that passed the second factor
+      if (user.twofa_enabled && !(session && session.mfa))
+        return res
+          .status(401)
+          .json({ message: "Second factor required", code: "TWOFA_REQUIRED" });
+
+      return checkAccountState(user, req, res, next, {
+        allowUnverified,
+        allowMissingTwofa,
+      });
+    } catch (err) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired token", error: err.message });
+    }
+  };
+
+exports.authenticate = authenticate;
+exports.authenticateToken = authenticate();
+exports.authenticateUnverified = authenticate({ allowUnverified: true });
+
+// for routes anyone may read without logging in: anonymous requests pass through,
+// but credentials that are sent are checked, so access token scopes still decide
+exports.authenticateOptional = (req, res, next) => {
+  if (!req.headers["authorization"]) return next();
+  return exports.authenticateToken(req, res, next);
 };
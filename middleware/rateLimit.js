@@ -0,0 +1,61 @@
+// backend/middleware/rateLimit.js
+const { rateLimit } = require("express-rate-limit");
+
+/**
+ * Throttling for the auth endpoints (in-memory store, fine for a single server process).
+ * Limits are per window and can be tuned through env.
+ */
+const WINDOW_MS =
+  (Number(process.env.AUTH_RATE_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+const limiter = (limit, message, extra = {}) =>
+  rateLimit({
+    windowMs: WINDOW_MS,
+    limit,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    message: { message },
+    ...extra,
+  });
+
+// per IP: password guesses from one machine
+exports.loginIpLimiter = limiter(
+  Number(process.env.LOGIN_RATE_LIMIT_IP) || 20,
+  "too many login attempts, try again later",
+);
+
+// per account: guesses against one username/email from many machines
+exports.loginAccountLimiter = limiter(
+  Number(process.env.LOGIN_RATE_LIMIT_ACCOUNT) || 10,
+  "too many login attempts for this account, try again later",
+  {
+    keyGenerator: (req) =>
+      `acct:${String(
+        (req.body && req.body.usernameOrEmail) || "",
+      ).toLowerCase()}`,
+    // no account in the body -> the route answers 400 anyway
+    skip: (req) => !req.body || !req.body.usernameOrEmail,
+  },
+);
+
+exports.registerLimiter = limiter(
+  Number(process.env.REGISTER_RATE_LIMIT_IP) || 10,
+  "too many registrations from this address, try again later",
+);
+
+exports.refreshLimiter = limiter(
+  Number(process.env.REFRESH_RATE_LIMIT_IP) || 60,
+  "too many refresh requests, try again later",
+);
+
+// second login step (6-digit codes are cheap to guess otherwise)
+exports.twofaLimiter = limiter(
+  Number(process.env.TWOFA_RATE_LIMIT_IP) || 10,
+  "too many code attempts, try again later",
+);
+
+// forgot/reset password and verification mails
+exports.emailTokenLimiter = limiter(
+  Number(process.env.EMAIL_TOKEN_RATE_LIMIT_IP) || 10,
+  "too many requests, try again later",
+);
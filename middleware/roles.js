@@ -1,4 +1,7 @@
+const Role = require("../models/Role");
+
 // permit roles: e.g. permit('superadmin'), permit('adminA','adminB')
+// prefer requirePermission() - role names are configurable now
 exports.permit =
   (...allowed) =>
   (req, res, next) => {
@@ -7,3 +10,38 @@ exports.permit =
     if (allowed.includes(req.user.role)) return next();
     return res.status(403).json({ message: "Forbidden - insufficient role" });
   };
+
+// does the user's role hold the permission (see models/Role.js for the list)
+exports.hasPermission = async (user, permission) =>
+  Boolean(user) && Role.hasPermission(user.role, permission);
+
+// requirePermission('expense.create'); several = any of them is enough
+exports.requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    if (!req.user)
+      return res.status(401).json({ message: "Not authenticated" });
+    try {
+      for (const p of permissions) {
+        if (await Role.hasPermission(req.user.role, p)) return next();
+      }
+    } catch (err) {
+      console.error("requirePermission error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+    return res
+      .status(403)
+      .json({ message: "Forbidden - missing permission", permissions });
+  };
+
+// may the user hand out this role: roles.manage can already grant itself any
+// permission, so it may assign any role; everyone else only roles whose
+// permissions are a subset of their own
+exports.canAssignRole = async (user, roleName) => {
+  if (!user) return false;
+  const map = await Role.getPermissionMap();
+  const own = map.get(user.role) || new Set();
+  if (own.has("roles.manage")) return true;
+  const target = map.get(roleName) || new Set();
+  return [...target].every((p) => own.has(p));
+};
@@ -0,0 +1,16 @@
+// backend/middleware/upload.js
+// multer disk storage shared by /api/upload and the CSV imports
+const multer = require("multer");
+const path = require("path");
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) =>
+      cb(null, path.join(__dirname, "..", "uploads")),
+    filename: (req, file, cb) =>
+      cb(null, Date.now() + "-" + file.originalname.replace(/\s+/g, "-")),
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+});
+
+module.exports = { upload };
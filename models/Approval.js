@@ -12,7 +12,28 @@ const ApprovalSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
-    decision: { type: String, enum: ["approve", "reject"], required: true },
+    // set when a delegate decided on admin_user's behalf (admin_user stays the
+    // original approver, so the decision counts for them)
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    delegation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Delegation",
+      default: null,
+    },
+    // approver's role when deciding (policies count approvals per role)
+    admin_role: { type: String, default: null },
+    decision: {
+      type: String,
+      enum: ["approve", "reject", "request_changes"],
+      required: true,
+    },
+    // submission round of the personal expense this decision belongs to;
+    // a resubmission starts a new round, older decisions stay as history
+    round: { type: Number, default: 1 },
     comment: { type: String, default: "" },
     decided_at: { type: Date, default: Date.now },
 
@@ -22,7 +43,10 @@ const ApprovalSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// ensure one decision per admin per personal expense
-ApprovalSchema.index({ personal_expense: 1, admin_user: 1 }, { unique: true });
+// ensure one decision per admin per personal expense and submission round
+ApprovalSchema.index(
+  { personal_expense: 1, admin_user: 1, round: 1 },
+  { unique: true }
+);
 
 module.exports = mongoose.model("Approval", ApprovalSchema);
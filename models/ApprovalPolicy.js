@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const ExpenseCategory = require("./ExpenseCategory");
+
+/**
+ * Rule deciding how a submitted personal expense gets approved.
+ * A policy matches when the request's category is one of `categories` (or a
+ * sub-category of one; empty = any category) and its amount falls inside
+ * [min_amount, max_amount) (null = open ended).
+ * Highest priority wins; on a tie the category-specific policy wins.
+ */
+const ApprovalPolicySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+    priority: { type: Number, default: 0 },
+
+    categories: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "ExpenseCategory" },
+    ],
+    min_amount: { type: Number, default: null }, // inclusive
+    max_amount: { type: Number, default: null }, // exclusive
+
+    // approve without any admin decision (e.g. small amounts)
+    auto_approve: { type: Boolean, default: false },
+    // distinct approvers needed in total
+    required_approvers: { type: Number, default: 2, min: 1 },
+    // per-role minimums, e.g. [{ role: "adminA", count: 1 }, { role: "adminB", count: 1 }]
+    required_roles: [
+      {
+        _id: false,
+        role: { type: String, required: true },
+        count: { type: Number, default: 1, min: 1 },
+      },
+    ],
+
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// used when no policy matches: the behaviour from before policies existed
+const DEFAULT_REQUIREMENTS = {
+  policy: null,
+  auto_approve: false,
+  required_approvers: 2,
+  required_roles: [],
+};
+
+/** amount a request is judged by: exact requested amount, else the upper estimate */
+const amountForPolicy = (pe) =>
+  pe.requested_amount != null
+    ? Number(pe.requested_amount)
+    : Number(pe.amount_max || 0);
+
+/** category id plus all its parent ids (guards against parent cycles) */
+async function categoryChain(categoryId) {
+  const chain = [];
+  let current = categoryId;
+  while (current && !chain.some((c) => String(c) === String(current))) {
+    chain.push(current);
+    const cat = await ExpenseCategory.findById(current).select("parent").lean();
+    current = cat ? cat.parent : null;
+  }
+  return chain.map(String);
+}
+
+/**
+ * Find the policy for a personal expense.
+ * Returns { policy, auto_approve, required_approvers, required_roles }.
+ */
+ApprovalPolicySchema.statics.resolveFor = async function (pe) {
+  const amount = amountForPolicy(pe);
+  const chain = await categoryChain(pe.category);
+
+  const policies = await this.find({ active: true }).lean();
+  const matching = policies.filter((p) => {
+    if (p.min_amount != null && amount < p.min_amount) return false;
+    if (p.max_amount != null && amount >= p.max_amount) return false;
+    if (p.categories && p.categories.length > 0) {
+      return p.categories.some((c) => chain.includes(String(c)));
+    }
+    return true;
+  });
+  if (matching.length === 0) return { ...DEFAULT_REQUIREMENTS, amount };
+
+  const isSpecific = (p) => ((p.categories || []).length > 0 ? 1 : 0);
+  matching.sort(
+    (a, b) =>
+      (b.priority || 0) - (a.priority || 0) || isSpecific(b) - isSpecific(a),
+  );
+  const p = matching[0];
+  return {
+    policy: p,
+    amount,
+    auto_approve: Boolean(p.auto_approve),
+    required_approvers: p.required_approvers || 1,
+    required_roles: p.required_roles || [],
+  };
+};
+
+module.exports = mongoose.model("ApprovalPolicy", ApprovalPolicySchema);
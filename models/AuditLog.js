@@ -3,7 +3,8 @@ const mongoose = require("mongoose");
 
 const AuditLogSchema = new mongoose.Schema({
   entity_type: { type: String, required: true }, // e.g., 'personal_expense'
-  entity_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // null only when there is no entity to point at (e.g. login attempt for an unknown username)
+  entity_id: { type: mongoose.Schema.Types.ObjectId, default: null },
   action: { type: String, required: true }, // create/update/submit/approve/reject/cancel/...
   performed_by: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,4 +15,6 @@ const AuditLogSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
 });
 
+AuditLogSchema.index({ entity_type: 1, entity_id: 1, timestamp: -1 });
+
 module.exports = mongoose.model("AuditLog", AuditLogSchema);
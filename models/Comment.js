@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// discussion on a personal expense request; replies point at their parent comment
+const CommentSchema = new mongoose.Schema(
+  {
+    personal_expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PersonalExpense",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: { type: String, default: "" },
+    // same metadata as /api/upload returns
+    attachments: [
+      {
+        filename: String,
+        originalname: String,
+        mime: String,
+        size: Number,
+        path: String,
+      },
+    ],
+    // users notified via @username
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    edited_at: { type: Date, default: null },
+    // soft delete: the thread keeps its shape, body and attachments are cleared
+    deleted_at: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+CommentSchema.index({ personal_expense: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// an approver (delegator) lets another user decide personal expenses on their
+// behalf between starts_at and ends_at; revoked_at ends it early
+const DelegationSchema = new mongoose.Schema(
+  {
+    delegator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    starts_at: { type: Date, required: true },
+    ends_at: { type: Date, required: true },
+    reason: { type: String, default: "" },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revoked_at: { type: Date, default: null },
+    revoked_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+DelegationSchema.index({ delegate: 1, ends_at: 1 });
+DelegationSchema.index({ delegator: 1, ends_at: 1 });
+
+/** query for delegations in effect at `at` */
+DelegationSchema.statics.activeFilter = function (at = new Date()) {
+  return { revoked_at: null, starts_at: { $lte: at }, ends_at: { $gt: at } };
+};
+
+DelegationSchema.methods.isActive = function (at = new Date()) {
+  return !this.revoked_at && this.starts_at <= at && this.ends_at > at;
+};
+
+DelegationSchema.virtual("status").get(function () {
+  const now = new Date();
+  if (this.revoked_at) return "revoked";
+  if (this.ends_at <= now) return "expired";
+  if (this.starts_at > now) return "scheduled";
+  return "active";
+});
+
+module.exports = mongoose.model("Delegation", DelegationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// money actually handed over for an approved personal expense; several
+// installments may cover one request. Mistakes are voided, not deleted.
+const METHODS = ["cash", "bank_transfer", "card", "mobile", "other"];
+
+const DisbursementSchema = new mongoose.Schema(
+  {
+    personal_expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PersonalExpense",
+      required: true,
+    },
+    // the member receiving the money (owner of the request)
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    // who handed the money over (defaults to whoever records it)
+    paid_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    paid_at: { type: Date, default: Date.now },
+    method: { type: String, enum: METHODS, default: "cash" },
+    reference: { type: String, default: "" }, // transfer id, card slip number...
+    note: { type: String, default: "" },
+    // same metadata as /api/upload returns
+    receipt: {
+      filename: String,
+      originalname: String,
+      mime: String,
+      size: Number,
+      path: String,
+    },
+    recorded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voided_at: { type: Date, default: null },
+    voided_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    void_reason: { type: String, default: "" },
+  },
+  { timestamps: true },
+);
+
+DisbursementSchema.index({ personal_expense: 1, paid_at: 1 });
+
+const Disbursement = mongoose.model("Disbursement", DisbursementSchema);
+Disbursement.METHODS = METHODS;
+
+module.exports = Disbursement;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// an occurrence of a RecurringSchedule in "expected" mode: waits until an admin
+// confirms it with the real amount (which posts the entry) or skips it
+const ExpectedEntrySchema = new mongoose.Schema(
+  {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringSchedule",
+      required: true,
+    },
+    kind: { type: String, enum: ["expense", "income"], required: true },
+    title: { type: String, required: true },
+    occurrence: { type: Date, required: true },
+    expected_amount: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["expected", "confirmed", "skipped"],
+      default: "expected",
+    },
+    // set on confirm: the posted ExpenseEntry / IncomeEntry
+    entry_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    confirmed_amount: { type: Number, default: null },
+    resolved_at: { type: Date, default: null },
+    resolved_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    skip_reason: { type: String, default: "" },
+  },
+  { timestamps: true },
+);
+
+// one expected entry per schedule occurrence, even if the job runs twice
+ExpectedEntrySchema.index({ schedule: 1, occurrence: 1 }, { unique: true });
+ExpectedEntrySchema.index({ status: 1, occurrence: 1 });
+
+module.exports = mongoose.model("ExpectedEntry", ExpectedEntrySchema);
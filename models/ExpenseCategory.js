@@ -1,5 +1,6 @@
 // backend/models/ExpenseCategory.js
 const mongoose = require("mongoose");
+const { escapeRegex } = require("../utils/pagination");
 
 const ExpenseCategorySchema = new mongoose.Schema(
   {
@@ -13,4 +14,19 @@ const ExpenseCategorySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/**
+ * Category id from an ObjectId or a (case-insensitive) name.
+ * null when no category is given, undefined when it doesn't exist.
+ */
+ExpenseCategorySchema.statics.resolveId = async function (value) {
+  if (value == null || value === "") return null;
+  const cat = mongoose.Types.ObjectId.isValid(value)
+    ? await this.findById(value, "_id")
+    : await this.findOne(
+        { name: { $regex: `^${escapeRegex(value)}$`, $options: "i" } },
+        "_id"
+      );
+  return cat ? cat._id : undefined;
+};
+
 module.exports = mongoose.model("ExpenseCategory", ExpenseCategorySchema);
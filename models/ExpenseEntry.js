@@ -1,5 +1,26 @@
 const mongoose = require("mongoose");
 
+const SOURCE_TYPES = ["manual", "personal_expense", "personal_refund"];
+// entries already counted through PersonalExpense totals
+const PERSONAL_SOURCE_TYPES = ["personal_expense", "personal_refund"];
+
+// one bought item of an itemized entry (e.g. 5 kg rice at 80 = 400)
+const LineItemSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // defaults to the entry's category
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ExpenseCategory",
+    default: null,
+  },
+  // catalog item this line is a purchase of (records its price history)
+  item: { type: mongoose.Schema.Types.ObjectId, ref: "Item", default: null },
+  quantity: { type: Number, required: true, min: 0 },
+  unit: { type: String, default: "" },
+  unit_price: { type: Number, required: true, min: 0 },
+  total: { type: Number, required: true }, // quantity * unit_price
+});
+
 const ExpenseEntrySchema = new mongoose.Schema(
   {
     record_id: {
@@ -14,12 +35,76 @@ const ExpenseEntrySchema = new mongoose.Schema(
     amount_max: { type: Number },
     actual_amount: { type: Number },
     unit: { type: String },
+    // entry for a single catalog item: actual_amount buys `quantity` `unit`s of it
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item", default: null },
+    quantity: { type: Number, default: null },
     note: { type: String, default: "" },
     date: { type: Date, default: Date.now },
     created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     attachments: [{ filename: String, mime: String, storagePath: String }],
+    // optional line items; when present actual_amount is their sum
+    items: { type: [LineItemSchema], default: [] },
+
+    // where the entry comes from; reports use this instead of title / note text
+    // - manual: entered through /api/expenses
+    // - personal_expense: booked when a personal expense was approved (source_id = PersonalExpense)
+    // - personal_refund: reversal of such a booking (source_id = PersonalExpense)
+    source_type: { type: String, enum: SOURCE_TYPES, default: "manual" },
+    source_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // soft delete: hidden from lists and totals, can be restored
+    deleted_at: { type: Date, default: null },
+    deleted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    delete_reason: { type: String, default: "" },
+
+    // set for rows created by a CSV import (undo removes the whole batch)
+    import_batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
+    // set for rows posted from a RecurringSchedule (one per occurrence)
+    recurring_schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringSchedule",
+      default: null,
+    },
+    recurring_occurrence: { type: Date, default: null },
   },
   { timestamps: true },
 );
 
-module.exports = mongoose.model("ExpenseEntry", ExpenseEntrySchema);
+// a schedule posts each occurrence at most once
+ExpenseEntrySchema.index(
+  { recurring_schedule: 1, recurring_occurrence: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurring_schedule: { $type: "objectId" } },
+  },
+);
+
+ExpenseEntrySchema.index({ source_type: 1, source_id: 1 });
+ExpenseEntrySchema.index({ "items.name": 1 });
+// a personal expense is booked at most once
+ExpenseEntrySchema.index(
+  { source_id: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      source_type: "personal_expense",
+      source_id: { $type: "objectId" },
+    },
+  },
+);
+
+const ExpenseEntry = mongoose.model("ExpenseEntry", ExpenseEntrySchema);
+ExpenseEntry.SOURCE_TYPES = SOURCE_TYPES;
+ExpenseEntry.PERSONAL_SOURCE_TYPES = PERSONAL_SOURCE_TYPES;
+// filter for entries that count (null also matches rows from before soft delete)
+ExpenseEntry.NOT_DELETED = { deleted_at: null };
+
+module.exports = ExpenseEntry;
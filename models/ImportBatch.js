@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// one CSV import of expense or income entries: validated (dry run) first,
+// then committed as a unit; undo removes every entry of the batch
+const ImportBatchSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["expenses", "incomes"], required: true },
+    status: {
+      type: String,
+      enum: ["validated", "invalid", "committed", "undone"],
+      default: "validated",
+    },
+    // the uploaded CSV is deleted once parsed; only its name and size are kept
+    file: {
+      originalname: String,
+      size: Number,
+    },
+    // entry field -> CSV header used
+    mapping: { type: mongoose.Schema.Types.Mixed, default: {} },
+    row_count: { type: Number, default: 0 },
+    // validated, normalized documents ready to insert (kept until commit)
+    rows: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    row_errors: [
+      {
+        _id: false,
+        line: Number,
+        messages: [String],
+      },
+    ],
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    committed_at: { type: Date, default: null },
+    committed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    inserted_count: { type: Number, default: 0 },
+    undone_at: { type: Date, default: null },
+    undone_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("ImportBatch", ImportBatchSchema);
@@ -13,8 +13,30 @@ const IncomeEntrySchema = new mongoose.Schema(
     note: { type: String, default: "" },
     date: { type: Date, default: Date.now },
     created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // set for rows created by a CSV import (undo removes the whole batch)
+    import_batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
+    // set for rows posted from a RecurringSchedule (one per occurrence)
+    recurring_schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringSchedule",
+      default: null,
+    },
+    recurring_occurrence: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+// a schedule posts each occurrence at most once
+IncomeEntrySchema.index(
+  { recurring_schedule: 1, recurring_occurrence: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurring_schedule: { $type: "objectId" } },
+  }
+);
+
 module.exports = mongoose.model("IncomeEntry", IncomeEntrySchema);
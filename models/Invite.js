@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// registration invitations issued by the superadmin.
+// only a sha256 of the code is stored; the code is shown (or mailed) once
+const InviteSchema = new mongoose.Schema(
+  {
+    code_hash: { type: String, required: true, unique: true },
+    code_prefix: { type: String, required: true }, // to tell invites apart in the list
+    role: { type: String, default: "user" }, // name of a Role document
+    email: { type: String, default: null }, // if set, only this address may register with it
+    note: { type: String, default: "" },
+    expires_at: { type: Date, required: true },
+    max_uses: { type: Number, default: 1 },
+    uses_count: { type: Number, default: 0 },
+    used_by: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    revoked_at: { type: Date, default: null },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+InviteSchema.statics.hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+
+InviteSchema.statics.generateCode = () =>
+  crypto.randomBytes(9).toString("base64url");
+
+/**
+ * Atomically take one use of a valid invite; returns the invite or null.
+ * Use releaseUse() if the registration fails afterwards.
+ */
+InviteSchema.statics.claim = function (code) {
+  return this.findOneAndUpdate(
+    {
+      code_hash: this.hashCode(code),
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+      $expr: { $lt: ["$uses_count", "$max_uses"] },
+    },
+    { $inc: { uses_count: 1 } },
+    { new: true },
+  );
+};
+
+InviteSchema.statics.releaseUse = function (inviteId) {
+  return this.updateOne({ _id: inviteId }, { $inc: { uses_count: -1 } });
+};
+
+InviteSchema.virtual("status").get(function () {
+  if (this.revoked_at) return "revoked";
+  if (this.uses_count >= this.max_uses) return "used";
+  if (this.expires_at <= new Date()) return "expired";
+  return "active";
+});
+
+module.exports = mongoose.model("Invite", InviteSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// something the household buys again and again (rice, oil, beans...). Prices are
+// compared per canonical `unit`; other units are converted through `conversions`
+// (e.g. { unit: "g", factor: 0.001 } when unit is "kg", or a 49 kg sack)
+const ItemSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    name_key: { type: String, required: true, unique: true }, // lowercased name
+    aliases: { type: [String], default: [] },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpenseCategory",
+      default: null,
+    },
+    unit: { type: String, required: true, trim: true },
+    conversions: [
+      {
+        _id: false,
+        unit: { type: String, required: true, trim: true },
+        factor: { type: Number, required: true, min: 0 }, // canonical units per 1 unit
+      },
+    ],
+    note: { type: String, default: "" },
+    // overrides Settings.price_alert_threshold_pct for this item
+    alert_threshold_pct: { type: Number, default: null, min: 0 },
+    active: { type: Boolean, default: true },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ItemSchema.index({ aliases: 1 });
+
+/** canonical units per 1 `unit` (1 for the canonical unit or none); null when unknown */
+ItemSchema.methods.unitFactor = function (unit) {
+  const u = String(unit || "")
+    .trim()
+    .toLowerCase();
+  if (!u || u === this.unit.toLowerCase()) return 1;
+  const conv = this.conversions.find((c) => c.unit.toLowerCase() === u);
+  return conv ? conv.factor : null;
+};
+
+module.exports = mongoose.model("Item", ItemSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// one observed price of an Item, recorded from an expense entry (or one of its
+// line items) and re-recorded whenever that entry changes. unit_price and
+// quantity are in the item's canonical unit.
+const ItemPriceSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+    expense_entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpenseEntry",
+      required: true,
+    },
+    line_item: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = the entry itself
+    date: { type: Date, required: true },
+    quantity: { type: Number, required: true },
+    unit_price: { type: Number, required: true },
+    // as entered, before conversion
+    original: {
+      quantity: Number,
+      unit: String,
+      unit_price: Number,
+    },
+    // set when unit_price was far above the recent average at recording time
+    alert: {
+      recent_avg: { type: Number, default: null },
+      above_pct: { type: Number, default: null },
+    },
+    recorded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ItemPriceSchema.index({ item: 1, date: -1 });
+ItemPriceSchema.index({ expense_entry: 1 });
+ItemPriceSchema.index({ "alert.above_pct": 1, createdAt: -1 });
+
+module.exports = mongoose.model("ItemPrice", ItemPriceSchema);
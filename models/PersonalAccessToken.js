@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// long-lived, scoped API tokens for scripts (imports, backups, ...)
+// only a sha256 of the token is stored; the raw token is shown once on creation
+const TOKEN_PREFIX = "hdb_pat_";
+
+// <resource>:read covers GET, <resource>:write everything else
+const SCOPES = [
+  "expenses:read",
+  "expenses:write",
+  "incomes:read",
+  "incomes:write",
+  "records:read",
+  "records:write",
+  "recurring:read",
+  "recurring:write",
+  "items:read",
+  "items:write",
+  "personal:read",
+  "personal:write",
+  "reports:read",
+  "categories:read",
+  "notifications:read",
+  "notifications:write",
+  "upload:write",
+  "imports:read",
+  "imports:write",
+];
+
+const PersonalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true },
+    token_hash: { type: String, required: true, unique: true },
+    // first chars of the token so the owner can tell tokens apart in the list
+    token_prefix: { type: String, required: true },
+    scopes: { type: [String], enum: SCOPES, default: [] },
+    expires_at: { type: Date, default: null }, // null = never
+    last_used_at: { type: Date, default: null },
+    last_used_ip: { type: String, default: null },
+    revoked_at: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+PersonalAccessTokenSchema.index({ user: 1, revoked_at: 1 });
+
+PersonalAccessTokenSchema.statics.hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+PersonalAccessTokenSchema.statics.generateToken = () =>
+  TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+
+PersonalAccessTokenSchema.statics.isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+PersonalAccessTokenSchema.methods.isActive = function () {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+};
+
+const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  PersonalAccessTokenSchema,
+);
+PersonalAccessToken.SCOPES = SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -19,7 +19,17 @@ const PersonalExpenseSchema = new mongoose.Schema(
     end_date: { type: Date },
     status: {
       type: String,
-      enum: ["draft", "pending", "approved", "rejected", "cancelled"],
+      enum: [
+        "draft",
+        "pending",
+        "changes_requested", // sent back to the owner, editable again
+        "approved",
+        "rejected",
+        "cancelled",
+        "expired", // pending too long, closed by the scheduler
+        "partially_refunded", // approved, part of the amount given back
+        "voided", // approved, then fully reversed
+      ],
       default: "draft",
     },
 
@@ -37,11 +47,103 @@ const PersonalExpenseSchema = new mongoose.Schema(
     required_admins_count: { type: Number, default: 2 },
     approvals_count: { type: Number, default: 0 }, // convenience
 
+    // set on submit from the matching ApprovalPolicy (null = default rule)
+    approval_policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApprovalPolicy",
+      default: null,
+    },
+    // per-role minimums copied from the policy, e.g. [{ role: "adminA", count: 1 }]
+    required_approver_roles: [
+      { _id: false, role: String, count: { type: Number, default: 1 } },
+    ],
+    auto_approved: { type: Boolean, default: false },
+
+    // increases on every submit; Approval.round points at it
+    submission_round: { type: Number, default: 0 },
+    // what was submitted each round, to show owners/admins what changed
+    submissions: [
+      {
+        _id: false,
+        round: Number,
+        submitted_at: Date,
+        snapshot: { type: mongoose.Schema.Types.Mixed, default: {} },
+      },
+    ],
+    // latest "request changes" decision while status is changes_requested
+    change_request: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      comment: { type: String, default: "" },
+      at: { type: Date, default: null },
+      round: { type: Number, default: null },
+    },
+
+    // set when generated from a recurring PersonalExpenseTemplate
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PersonalExpenseTemplate",
+      default: null,
+    },
+    template_occurrence: { type: Date, default: null },
+
+    // pending follow-up, maintained by jobs/approvalScheduler.js
+    submitted_at: { type: Date, default: null }, // start of the current round
+    reminder_count: { type: Number, default: 0 },
+    last_reminder_at: { type: Date, default: null },
+    escalated_at: { type: Date, default: null },
+    expired_at: { type: Date, default: null },
+
     // NEW: final approved amount / time when admins finalize approval
     approved_amount: { type: Number, default: null },
     approved_at: { type: Date, default: null },
+
+    // what the cash box has handed over so far (see models/Disbursement.js);
+    // payment_status compares it with the net approved amount
+    paid_amount: { type: Number, default: 0 },
+    payment_status: {
+      type: String,
+      enum: ["unpaid", "partially_paid", "paid"],
+      default: "unpaid",
+    },
+    last_paid_at: { type: Date, default: null },
+
+    // voids / refunds after approval; approved_amount stays as approved,
+    // the net is approved_amount - refunded_amount
+    refunded_amount: { type: Number, default: 0 },
+    refunds: [
+      {
+        amount: Number,
+        reason: String,
+        full: Boolean,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+        // the reversing (negative) ledger entry
+        expense_entry: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ExpenseEntry",
+        },
+      },
+    ],
   },
   { timestamps: true },
 );
 
-module.exports = mongoose.model("PersonalExpense", PersonalExpenseSchema);
+// one request per template occurrence, even if the generator runs twice
+PersonalExpenseSchema.index(
+  { template: 1, template_occurrence: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { template: { $type: "objectId" } },
+  },
+);
+
+const PersonalExpense = mongoose.model(
+  "PersonalExpense",
+  PersonalExpenseSchema,
+);
+// statuses whose approved amount (minus refunds) counts as spent
+PersonalExpense.SPENT_STATUSES = ["approved", "partially_refunded", "voided"];
+// statuses that may still be owed to the member
+PersonalExpense.PAYABLE_STATUSES = ["approved", "partially_refunded"];
+
+module.exports = PersonalExpense;
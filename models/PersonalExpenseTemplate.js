@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// a personal expense a member files again and again (transport fare, phone credit...).
+// jobs/recurringPersonalExpenses.js turns every due occurrence into a draft
+// (or a submitted request when auto_submit is on) linked back via PersonalExpense.template
+const FREQUENCIES = ["monthly", "weekly", "interval"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PersonalExpenseTemplateSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpenseCategory",
+      default: null,
+    },
+    amount_min: { type: Number, required: true },
+    amount_avg: { type: Number, required: true },
+    amount_max: { type: Number, required: true },
+    requested_amount: { type: Number, default: null },
+
+    // schedule: first occurrence at starts_at, then every month (same day,
+    // clamped to the month's length), every week, or every interval_days
+    frequency: { type: String, enum: FREQUENCIES, default: "monthly" },
+    interval_days: { type: Number, default: null, min: 1 },
+    day_of_month: { type: Number, default: null }, // from starts_at, kept for clamping
+    starts_at: { type: Date, required: true },
+    ends_at: { type: Date, default: null },
+    next_run_at: { type: Date, default: null }, // null when finished
+
+    auto_submit: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["active", "paused", "archived"],
+      default: "active",
+    },
+    paused_reason: { type: String, default: "" },
+    last_run_at: { type: Date, default: null },
+    generated_count: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+
+PersonalExpenseTemplateSchema.index({ status: 1, next_run_at: 1 });
+
+/** occurrence following `date` according to the template's schedule */
+PersonalExpenseTemplateSchema.methods.occurrenceAfter = function (date) {
+  const d = new Date(date);
+  if (this.frequency === "weekly") return new Date(d.getTime() + 7 * DAY_MS);
+  if (this.frequency === "interval")
+    return new Date(d.getTime() + (this.interval_days || 1) * DAY_MS);
+
+  const dom = this.day_of_month || new Date(this.starts_at).getDate();
+  const year = d.getFullYear();
+  const month = d.getMonth() + 1;
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(
+    year,
+    month,
+    Math.min(dom, lastDay),
+    d.getHours(),
+    d.getMinutes(),
+  );
+};
+
+/** first occurrence at or after `from` (null past ends_at) */
+PersonalExpenseTemplateSchema.methods.firstOccurrenceFrom = function (
+  from = new Date(),
+) {
+  const target = new Date(from);
+  let at = new Date(this.starts_at);
+  // jump next to `target` instead of stepping through every past occurrence
+  if (at < target && this.frequency === "monthly") {
+    const months =
+      (target.getFullYear() - at.getFullYear()) * 12 +
+      target.getMonth() -
+      at.getMonth();
+    // occurrenceAfter the first of the month before lands on that month's occurrence
+    if (months > 1)
+      at = this.occurrenceAfter(
+        new Date(
+          at.getFullYear(),
+          at.getMonth() + months - 2,
+          1,
+          at.getHours(),
+          at.getMinutes(),
+        ),
+      );
+  } else if (at < target) {
+    const step =
+      (this.frequency === "weekly" ? 7 : this.interval_days || 1) * DAY_MS;
+    at = new Date(at.getTime() + Math.ceil((target - at) / step) * step);
+  }
+  while (at < target) at = this.occurrenceAfter(at);
+  if (this.ends_at && at > this.ends_at) return null;
+  return at;
+};
+
+const PersonalExpenseTemplate = mongoose.model(
+  "PersonalExpenseTemplate",
+  PersonalExpenseTemplateSchema,
+);
+PersonalExpenseTemplate.FREQUENCIES = FREQUENCIES;
+
+module.exports = PersonalExpenseTemplate;
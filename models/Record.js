@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Role = require("./Role");
+
+const KINDS = ["shopping_trip", "event", "monthly_sheet", "other"];
+
+// groups expense and income entries (through their record_id): a shopping
+// trip, an event or a monthly sheet. Totals are computed from the entries.
+// While closed, entries in the record can't be edited, deleted or moved.
+const RecordSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    kind: { type: String, enum: KINDS, default: "other" },
+    description: { type: String, default: "" },
+    starts_at: { type: Date, default: null },
+    ends_at: { type: Date, default: null },
+    responsible: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    status: { type: String, enum: ["open", "closed"], default: "open" },
+    closed_at: { type: Date, default: null },
+    closed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+RecordSchema.index({ status: 1, starts_at: -1 });
+
+/** ids (as strings) of the closed records among `ids` */
+RecordSchema.statics.closedIds = async function (ids) {
+  const list = ids.filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+  if (!list.length) return new Set();
+  const closed = await this.find(
+    { _id: { $in: list }, status: "closed" },
+    "_id",
+  ).lean();
+  return new Set(closed.map((r) => String(r._id)));
+};
+
+/** record.manage, or the record's responsible member */
+RecordSchema.methods.editableBy = async function (user) {
+  if (!user) return false;
+  if (await Role.hasPermission(user.role, "record.manage")) return true;
+  const responsible =
+    this.responsible && (this.responsible._id || this.responsible);
+  return !!responsible && String(responsible) === String(user._id);
+};
+
+/**
+ * Record an entry may be put into (by id). With `user`, only a record that
+ * user may edit (see editableBy) is accepted.
+ * Returns { record } or { status, message } when it doesn't exist, is closed
+ * or isn't the user's to fill.
+ */
+RecordSchema.statics.resolveOpen = async function (id, user = null) {
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return { status: 400, message: "record not found" };
+  const record = await this.findById(id);
+  if (!record) return { status: 400, message: "record not found" };
+  if (record.status === "closed")
+    return { status: 409, message: "record is closed" };
+  if (user && !(await record.editableBy(user)))
+    return {
+      status: 403,
+      message:
+        "record.manage or being the record's responsible member required",
+    };
+  return { record };
+};
+
+const Record = mongoose.model("Record", RecordSchema);
+Record.KINDS = KINDS;
+
+module.exports = Record;
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+
+// a household expense or income that repeats (rent, electricity, salary...).
+// jobs/recurringEntries.js handles every due occurrence:
+// - mode "auto": posts the ExpenseEntry / IncomeEntry straight away
+// - mode "expected": creates an ExpectedEntry an admin confirms with the real amount
+// entries keep the link through recurring_schedule / recurring_occurrence
+const KINDS = ["expense", "income"];
+const FREQUENCIES = ["monthly", "weekly", "yearly"];
+const MODES = ["auto", "expected"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RecurringScheduleSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: KINDS, required: true },
+    // expense title / income source_name
+    title: { type: String, required: true, trim: true },
+    note: { type: String, default: "" },
+    // the amount posted (auto) or proposed for confirmation (expected)
+    amount: { type: Number, required: true, min: 0 },
+
+    // expenses only
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpenseCategory",
+      default: null,
+    },
+    amount_min: { type: Number, default: null },
+    amount_max: { type: Number, default: null },
+    unit: { type: String, default: "" },
+    // incomes only
+    currency: { type: String, default: "AFN" },
+
+    // schedule: first occurrence at starts_at, then every month on day_of_month
+    // (clamped to the month's length), every week, or every year on the same date
+    frequency: { type: String, enum: FREQUENCIES, default: "monthly" },
+    day_of_month: { type: Number, default: null, min: 1, max: 31 },
+    starts_at: { type: Date, required: true },
+    ends_at: { type: Date, default: null },
+    next_run_at: { type: Date, default: null }, // null when finished
+
+    mode: { type: String, enum: MODES, default: "auto" },
+    status: {
+      type: String,
+      enum: ["active", "paused", "archived"],
+      default: "active",
+    },
+    paused_reason: { type: String, default: "" },
+    last_run_at: { type: Date, default: null },
+    generated_count: { type: Number, default: 0 },
+    // posted entries are created in this user's name
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+RecurringScheduleSchema.index({ status: 1, next_run_at: 1 });
+
+/** occurrence following `date` according to the schedule */
+RecurringScheduleSchema.methods.occurrenceAfter = function (date) {
+  const d = new Date(date);
+  if (this.frequency === "weekly") return new Date(d.getTime() + 7 * DAY_MS);
+
+  const start = new Date(this.starts_at);
+  const year =
+    this.frequency === "yearly" ? d.getFullYear() + 1 : d.getFullYear();
+  const month =
+    this.frequency === "yearly" ? start.getMonth() : d.getMonth() + 1;
+  const dom =
+    this.frequency === "yearly"
+      ? start.getDate()
+      : this.day_of_month || start.getDate();
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(
+    year,
+    month,
+    Math.min(dom, lastDay),
+    d.getHours(),
+    d.getMinutes(),
+  );
+};
+
+/** first occurrence at or after `from` (null past ends_at) */
+RecurringScheduleSchema.methods.firstOccurrenceFrom = function (
+  from = new Date(),
+) {
+  let at = new Date(this.starts_at);
+  // a monthly schedule on another day than starts_at begins at the next such day
+  if (
+    this.frequency === "monthly" &&
+    this.day_of_month &&
+    this.day_of_month !== at.getDate()
+  ) {
+    const lastDay = new Date(at.getFullYear(), at.getMonth() + 1, 0).getDate();
+    const candidate = new Date(at);
+    candidate.setDate(Math.min(this.day_of_month, lastDay));
+    at = candidate >= at ? candidate : this.occurrenceAfter(candidate);
+  }
+  // jump next to `target` instead of stepping through every past occurrence
+  const target = new Date(from);
+  if (at < target && this.frequency === "weekly") {
+    const step = 7 * DAY_MS;
+    at = new Date(at.getTime() + Math.ceil((target - at) / step) * step);
+  } else if (at < target) {
+    const months =
+      this.frequency === "yearly"
+        ? (target.getFullYear() - at.getFullYear()) * 12
+        : (target.getFullYear() - at.getFullYear()) * 12 +
+          target.getMonth() -
+          at.getMonth();
+    const stride = this.frequency === "yearly" ? 12 : 1;
+    // occurrenceAfter a day in the period before lands on that period's occurrence
+    if (months > stride)
+      at = this.occurrenceAfter(
+        new Date(
+          at.getFullYear(),
+          at.getMonth() + months - 2 * stride,
+          1,
+          at.getHours(),
+          at.getMinutes(),
+        ),
+      );
+  }
+  while (at < target) at = this.occurrenceAfter(at);
+  if (this.ends_at && at > this.ends_at) return null;
+  return at;
+};
+
+/** occurrences from the next run up to `until` (at most `max`) */
+RecurringScheduleSchema.methods.occurrencesUntil = function (until, max = 100) {
+  const out = [];
+  let at = this.next_run_at;
+  while (at && at <= until && out.length < max) {
+    if (this.ends_at && at > this.ends_at) break;
+    out.push(at);
+    at = this.occurrenceAfter(at);
+  }
+  return out;
+};
+
+const RecurringSchedule = mongoose.model(
+  "RecurringSchedule",
+  RecurringScheduleSchema,
+);
+RecurringSchedule.KINDS = KINDS;
+RecurringSchedule.FREQUENCIES = FREQUENCIES;
+RecurringSchedule.MODES = MODES;
+
+module.exports = RecurringSchedule;
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+
+// every permission a role can hold; routes check these through requirePermission()
+const PERMISSIONS = {
+  "personal.create": "create, edit, submit and cancel own personal expenses",
+  "personal.view_all": "see every member's personal expenses and approvals",
+  "personal.approve": "approve / reject pending personal expenses",
+  "personal.refund": "void or refund approved personal expenses",
+  "personal.disburse": "record payouts of approved personal expenses",
+  "expense.create": "create household expense entries",
+  "expense.manage": "edit, delete and restore any household expense entry",
+  "income.create": "create household income entries",
+  "record.manage": "create, edit and close records and move entries into them",
+  "reports.view":
+    "see household reports, including every member's approved personal expenses",
+  "users.manage": "manage users, invites, lockouts and sessions",
+  "settings.manage": "change app settings",
+  "roles.manage": "create and edit roles and their permissions",
+  "policies.manage": "edit approval policies for personal expenses",
+};
+
+// the five roles the app shipped with (seeded when the collection is empty)
+const DEFAULT_ROLES = [
+  {
+    name: "superadmin",
+    description: "household owner",
+    permissions: [
+      "personal.create",
+      "personal.view_all",
+      "personal.refund",
+      "personal.disburse",
+      "expense.create",
+      "expense.manage",
+      "income.create",
+      "record.manage",
+      "reports.view",
+      "users.manage",
+      "settings.manage",
+      "roles.manage",
+      "policies.manage",
+    ],
+  },
+  {
+    name: "adminA",
+    description: "approver",
+    permissions: [
+      "personal.create",
+      "personal.view_all",
+      "personal.approve",
+      "expense.create",
+      "record.manage",
+      "reports.view",
+    ],
+  },
+  {
+    name: "adminB",
+    description: "approver",
+    permissions: [
+      "personal.create",
+      "personal.view_all",
+      "personal.approve",
+      "expense.create",
+      "record.manage",
+      "reports.view",
+    ],
+  },
+  {
+    name: "user",
+    description: "member",
+    permissions: ["personal.create", "reports.view"],
+  },
+  { name: "guest", description: "guest", permissions: ["personal.create"] },
+];
+
+const RoleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: "" },
+    permissions: {
+      type: [String],
+      enum: Object.keys(PERMISSIONS),
+      default: [],
+    },
+    system: { type: Boolean, default: false }, // built-in roles can't be deleted or renamed
+    // catalog permissions this role has already been offered; lets permissions added
+    // in later versions reach the built-in roles once without undoing admin edits
+    known_permissions: { type: [String], default: [] },
+  },
+  { timestamps: true },
+);
+
+// permissions are checked on most requests -> short in-process cache, dropped on every change
+const CACHE_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Map of role name -> Set of permissions.
+ * Seeds the default roles when the collection is empty (idempotent).
+ */
+RoleSchema.statics.getPermissionMap = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_MS) return cached;
+
+  let roles = await this.find().lean();
+  if (roles.length === 0) {
+    await this.ensureDefaults();
+    roles = await this.find().lean();
+  } else if (await this.grantNewDefaultPermissions(roles)) {
+    roles = await this.find().lean();
+  }
+
+  cached = new Map(roles.map((r) => [r.name, new Set(r.permissions)]));
+  cachedAt = Date.now();
+  return cached;
+};
+
+RoleSchema.statics.ensureDefaults = async function () {
+  for (const role of DEFAULT_ROLES) {
+    try {
+      await this.updateOne(
+        { name: role.name },
+        {
+          $setOnInsert: {
+            ...role,
+            system: true,
+            known_permissions: Object.keys(PERMISSIONS),
+          },
+        },
+        { upsert: true },
+      );
+    } catch (err) {
+      // ignore duplicate/create races
+    }
+  }
+  this.invalidateCache();
+};
+
+/**
+ * Give built-in roles the default permissions that were added to the catalog
+ * since they were created. Returns true when something changed.
+ */
+RoleSchema.statics.grantNewDefaultPermissions = async function (roles) {
+  const catalog = Object.keys(PERMISSIONS);
+  let changed = false;
+  for (const role of roles) {
+    const known = new Set(role.known_permissions || []);
+    if (!role.system || catalog.every((p) => known.has(p))) continue;
+
+    const defaults = DEFAULT_ROLES.find((d) => d.name === role.name);
+    // roles from before known_permissions existed: everything they hold now is known
+    const baseline = known.size ? known : new Set(role.permissions);
+    const grant = defaults
+      ? defaults.permissions.filter((p) => !baseline.has(p))
+      : [];
+    await this.updateOne(
+      { _id: role._id },
+      {
+        $addToSet: { permissions: { $each: grant } },
+        $set: { known_permissions: catalog },
+      },
+    );
+    changed = true;
+  }
+  return changed;
+};
+
+RoleSchema.statics.invalidateCache = function () {
+  cached = null;
+};
+
+RoleSchema.statics.hasPermission = async function (roleName, permission) {
+  const map = await this.getPermissionMap();
+  const perms = map.get(roleName);
+  return Boolean(perms && perms.has(permission));
+};
+
+/** names of all roles holding the permission */
+RoleSchema.statics.rolesWithPermission = async function (permission) {
+  const map = await this.getPermissionMap();
+  return Array.from(map.entries())
+    .filter(([, perms]) => perms.has(permission))
+    .map(([name]) => name);
+};
+
+RoleSchema.statics.isKnownRole = async function (roleName) {
+  const map = await this.getPermissionMap();
+  return map.has(roleName);
+};
+
+const Role = mongoose.model("Role", RoleSchema);
+Role.PERMISSIONS = PERMISSIONS;
+Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = Role;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// one document per logged-in device; the refresh token rotates inside it
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // id of the only refresh token currently valid for this session.
+    // any other (older) token presented for this session = reuse
+    current_jti: { type: String, required: true },
+    // true when the login passed the TOTP second factor
+    mfa: { type: Boolean, default: false },
+    user_agent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    last_used_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+    revoked_reason: { type: String, default: null }, // logout/reuse_detected/user_signout/admin_force_logout
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revoked_at: 1 });
+// let mongo drop long-expired sessions on its own
+SessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// revoke every active session of a user (e.g. superadmin force logout)
+SessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
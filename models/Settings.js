@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// app-wide settings editable by the superadmin; a single document
+const SettingsSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "global", unique: true },
+    // roles whose members must have TOTP 2FA enabled to use the API
+    twofa_required_roles: { type: [String], default: [] },
+    // invite_only: /register needs a valid invite code (default)
+    // open: anyone may register as "user" (invite codes still honoured)
+    // closed: no self registration at all, superadmin creates accounts
+    registration_mode: {
+      type: String,
+      enum: ["invite_only", "open", "closed"],
+      default: "invite_only",
+    },
+    // pending approval follow-up (days since submit, 0 = off):
+    // remind undecided approvers every approval_reminder_days,
+    // escalate once after approval_escalation_days to approval_escalation_role,
+    // expire the request after approval_expire_days
+    approval_reminder_days: { type: Number, default: 3, min: 0 },
+    approval_escalation_days: { type: Number, default: 7, min: 0 },
+    approval_escalation_role: { type: String, default: "superadmin" },
+    approval_expire_days: { type: Number, default: 0, min: 0 },
+    // item price alerts: flag a price more than price_alert_threshold_pct above
+    // the item's average over the last price_alert_window_days, once there are
+    // at least price_alert_min_samples earlier prices (threshold 0 = off)
+    price_alert_threshold_pct: { type: Number, default: 25, min: 0 },
+    price_alert_window_days: { type: Number, default: 90, min: 1 },
+    price_alert_min_samples: { type: Number, default: 3, min: 1 },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// settings are read on every authenticated request -> keep a short in-process cache
+const CACHE_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+SettingsSchema.statics.getSettings = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_MS) return cached;
+  const doc = await this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  // not lean: fields added later get their schema defaults
+  cached = doc.toObject();
+  cachedAt = Date.now();
+  return cached;
+};
+
+SettingsSchema.statics.updateSettings = async function (changes, userId) {
+  const doc = await this.findOneAndUpdate(
+    { key: "global" },
+    { $set: { ...changes, updated_by: userId } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  cached = doc.toObject();
+  cachedAt = Date.now();
+  return cached;
+};
+
+module.exports = mongoose.model("Settings", SettingsSchema);
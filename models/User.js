@@ -6,13 +6,47 @@ const UserSchema = new mongoose.Schema(
     display_name: { type: String },
     email: { type: String, required: true, unique: true },
     password_hash: { type: String, required: true },
-    role: {
+    role: { type: String, default: "user" }, // name of a Role document
+    // self-registered accounts start unverified; existing and admin-created ones count as verified
+    email_verified: { type: Boolean, default: true },
+
+    // TOTP two-factor auth; secrets are never selected unless asked for
+    twofa_enabled: { type: Boolean, default: false },
+    twofa_secret: { type: String, default: null, select: false },
+    twofa_pending_secret: { type: String, default: null, select: false }, // during enrolment
+    twofa_last_step: { type: Number, default: null, select: false }, // blocks code replay
+    twofa_recovery_codes: { type: [String], default: [], select: false }, // sha256 hashes
+
+    // brute-force lockout: failures since last success, account locked until lock_until
+    failed_login_count: { type: Number, default: 0 },
+    lock_until: { type: Date, default: null },
+
+    // suspended / deactivated accounts can't log in but keep their history.
+    // anonymized_at is set when personal data was scrubbed (hard delete)
+    status: {
       type: String,
-      enum: ["user", "adminA", "adminB", "superadmin", "guest"],
-      default: "user",
+      enum: ["active", "suspended", "deactivated"],
+      default: "active",
     },
+    status_reason: { type: String, default: "" },
+    status_changed_at: { type: Date, default: null },
+    status_changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    anonymized_at: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+// users created before `status` existed have no field at all -> count as active
+UserSchema.statics.activeFilter = () => ({
+  status: { $nin: ["suspended", "deactivated"] },
+});
+
+UserSchema.methods.isActive = function () {
+  return !this.status || this.status === "active";
+};
+
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// single-use tokens sent by email (password reset, email verification).
+// only a sha256 of the token is stored
+const UserTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: {
+      type: String,
+      enum: ["password_reset", "email_verify"],
+      required: true,
+    },
+    token_hash: { type: String, required: true, unique: true },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+UserTokenSchema.index({ user: 1, type: 1 });
+UserTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("UserToken", UserTokenSchema);
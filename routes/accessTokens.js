@@ -0,0 +1,139 @@
+// backend/routes/accessTokens.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { authenticateToken } = require("../middleware/auth");
+const { createAudit } = require("../utils/audit");
+
+/**
+ * Personal access tokens of the logged in user (for scripts / integrations).
+ * Managed only from a normal login session - a token can't mint more tokens.
+ * Routes:
+ * GET    /api/auth/tokens      - list own tokens (never returns the token itself)
+ * POST   /api/auth/tokens      - create { name, scopes: [..], expires_in_days? } -> { token } shown once
+ * DELETE /api/auth/tokens/:id  - revoke
+ */
+
+const MAX_ACTIVE_TOKENS = 20;
+
+const toItem = (t) => ({
+  id: t._id,
+  name: t.name,
+  token_prefix: t.token_prefix,
+  scopes: t.scopes,
+  expires_at: t.expires_at,
+  last_used_at: t.last_used_at,
+  last_used_ip: t.last_used_ip,
+  revoked_at: t.revoked_at,
+  createdAt: t.createdAt,
+});
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+    return res.json({
+      items: tokens.map(toItem),
+      available_scopes: PersonalAccessToken.SCOPES,
+    });
+  } catch (err) {
+    console.error("GET /api/auth/tokens error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+    if (!name) return res.status(400).json({ message: "name required" });
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((s) => !PersonalAccessToken.SCOPES.includes(s))
+    ) {
+      return res.status(400).json({
+        message: `scopes must be a non-empty subset of ${PersonalAccessToken.SCOPES.join(", ")}`,
+      });
+    }
+
+    let expires_at = null;
+    if (expires_in_days != null) {
+      const days = Number(expires_in_days);
+      if (Number.isNaN(days) || days <= 0)
+        return res
+          .status(400)
+          .json({ message: "expires_in_days must be a positive number" });
+      expires_at = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      user: req.user._id,
+      revoked_at: null,
+      $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }],
+    });
+    if (activeCount >= MAX_ACTIVE_TOKENS)
+      return res.status(400).json({
+        message: `at most ${MAX_ACTIVE_TOKENS} active tokens, revoke one first`,
+      });
+
+    const token = PersonalAccessToken.generateToken();
+    const pat = await PersonalAccessToken.create({
+      user: req.user._id,
+      name,
+      token_hash: PersonalAccessToken.hashToken(token),
+      token_prefix: token.slice(0, 12),
+      scopes: Array.from(new Set(scopes)),
+      expires_at,
+    });
+
+    await createAudit({
+      entity_type: "personal_access_token",
+      entity_id: pat._id,
+      action: "create",
+      performed_by: req.user._id,
+      meta: { name, scopes: pat.scopes, expires_at },
+    });
+
+    return res.status(201).json({
+      item: toItem(pat),
+      token,
+      message: "copy the token now, it will not be shown again",
+    });
+  } catch (err) {
+    console.error("POST /api/auth/tokens error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+
+    const pat = await PersonalAccessToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (!pat) return res.status(404).json({ message: "not found" });
+
+    if (!pat.revoked_at) {
+      pat.revoked_at = new Date();
+      await pat.save();
+      await createAudit({
+        entity_type: "personal_access_token",
+        entity_id: pat._id,
+        action: "revoke",
+        performed_by: req.user._id,
+      });
+    }
+
+    return res.json({ item: toItem(pat) });
+  } catch (err) {
+    console.error("DELETE /api/auth/tokens/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
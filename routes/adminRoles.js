@@ -0,0 +1,243 @@
+// backend/routes/adminRoles.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const Invite = require("../models/Invite");
+const { createAudit } = require("../utils/audit");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const { orphanedAdminPermissions } = require("../utils/adminGuard");
+
+/**
+ * Requires roles.manage (superadmin by default)
+ * Routes:
+ * GET    /api/admin/roles      - list roles + permission catalog
+ * POST   /api/admin/roles      - create role { name, description?, permissions: [...] }
+ * PUT    /api/admin/roles/:id  - update { description?, permissions?, name? (custom roles only) }
+ * DELETE /api/admin/roles/:id  - delete a custom role that nobody uses
+ */
+
+const PERMISSION_NAMES = Object.keys(Role.PERMISSIONS);
+
+function validatePermissions(permissions) {
+  if (
+    !Array.isArray(permissions) ||
+    permissions.some((p) => !PERMISSION_NAMES.includes(p))
+  ) {
+    return `permissions must be a subset of ${PERMISSION_NAMES.join(", ")}`;
+  }
+  return null;
+}
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      // make sure the built-in roles exist before listing
+      await Role.getPermissionMap();
+      const items = await Role.find().sort({ system: -1, name: 1 }).lean();
+      const counts = await User.aggregate([
+        { $group: { _id: "$role", count: { $sum: 1 } } },
+      ]);
+      const countByRole = new Map(counts.map((c) => [c._id, c.count]));
+
+      return res.json({
+        items: items.map((r) => ({
+          ...r,
+          users_count: countByRole.get(r.name) || 0,
+        })),
+        permissions: Role.PERMISSIONS,
+      });
+    } catch (err) {
+      console.error("GET /api/admin/roles error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      const { name, description, permissions } = req.body;
+      if (!name || !String(name).trim())
+        return res.status(400).json({ message: "name required" });
+      const permError = validatePermissions(permissions || []);
+      if (permError) return res.status(400).json({ message: permError });
+
+      if (await Role.findOne({ name: String(name).trim() }))
+        return res.status(400).json({ message: "role already exists" });
+
+      const role = await Role.create({
+        name: String(name).trim(),
+        description: description || "",
+        permissions: Array.from(new Set(permissions || [])),
+        system: false,
+      });
+      Role.invalidateCache();
+
+      await createAudit({
+        entity_type: "role",
+        entity_id: role._id,
+        action: "create",
+        performed_by: req.user._id,
+        meta: { name: role.name, permissions: role.permissions },
+      });
+
+      return res.status(201).json({ item: role });
+    } catch (err) {
+      console.error("POST /api/admin/roles error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "role not found" });
+
+      const role = await Role.findById(req.params.id);
+      if (!role) return res.status(404).json({ message: "role not found" });
+
+      const { name, description, permissions } = req.body;
+      const before = {
+        name: role.name,
+        description: role.description,
+        permissions: [...role.permissions],
+      };
+
+      if (permissions !== undefined) {
+        const permError = validatePermissions(permissions);
+        if (permError) return res.status(400).json({ message: permError });
+        // nobody may take role management away from themselves
+        if (
+          role.name === req.user.role &&
+          !permissions.includes("roles.manage")
+        ) {
+          return res.status(400).json({
+            message: "cannot remove roles.manage from your own role",
+          });
+        }
+        // someone active must keep holding the admin permissions
+        const orphaned = await orphanedAdminPermissions({
+          roleName: role.name,
+          newPermissions: permissions,
+        });
+        if (orphaned.length)
+          return res.status(400).json({
+            message: `no active user would keep ${orphaned.join(", ")}`,
+          });
+        role.permissions = Array.from(new Set(permissions));
+      }
+      if (description !== undefined) role.description = description;
+
+      let renamedFrom = null;
+      if (name !== undefined && String(name).trim() !== role.name) {
+        if (role.system)
+          return res
+            .status(400)
+            .json({ message: "built-in roles cannot be renamed" });
+        const newName = String(name).trim();
+        if (!newName) return res.status(400).json({ message: "name required" });
+        if (await Role.findOne({ name: newName }))
+          return res.status(400).json({ message: "role already exists" });
+        renamedFrom = role.name;
+        role.name = newName;
+      }
+
+      await role.save();
+      if (renamedFrom) {
+        // role is stored by name on users/invites -> carry them over
+        await User.updateMany(
+          { role: renamedFrom },
+          { $set: { role: role.name } },
+        );
+        await Invite.updateMany(
+          { role: renamedFrom },
+          { $set: { role: role.name } },
+        );
+      }
+      Role.invalidateCache();
+
+      await createAudit({
+        entity_type: "role",
+        entity_id: role._id,
+        action: "update",
+        performed_by: req.user._id,
+        meta: {
+          before,
+          after: {
+            name: role.name,
+            description: role.description,
+            permissions: role.permissions,
+          },
+        },
+      });
+
+      return res.json({ item: role });
+    } catch (err) {
+      console.error("PUT /api/admin/roles/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("roles.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "role not found" });
+
+      const role = await Role.findById(req.params.id);
+      if (!role) return res.status(404).json({ message: "role not found" });
+      if (role.system)
+        return res
+          .status(400)
+          .json({ message: "built-in roles cannot be deleted" });
+
+      const orphaned = await orphanedAdminPermissions({ roleName: role.name });
+      if (orphaned.length)
+        return res.status(400).json({
+          message: `no active user would keep ${orphaned.join(", ")}`,
+        });
+
+      const inUse = await User.countDocuments({ role: role.name });
+      if (inUse > 0)
+        return res.status(400).json({
+          message: `role is assigned to ${inUse} user(s), reassign them first`,
+        });
+
+      await Role.deleteOne({ _id: role._id });
+      Role.invalidateCache();
+
+      await createAudit({
+        entity_type: "role",
+        entity_id: role._id,
+        action: "delete",
+        performed_by: req.user._id,
+        meta: { name: role.name, permissions: role.permissions },
+      });
+
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("DELETE /api/admin/roles/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// backend/routes/adminSettings.js
+const express = require("express");
+const router = express.Router();
+const Settings = require("../models/Settings");
+const Role = require("../models/Role");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+
+/**
+ * Requires settings.manage (superadmin by default)
+ * GET /api/admin/settings  - current app settings
+ * PUT /api/admin/settings  - update { twofa_required_roles: [role, ...], registration_mode,
+ *                             approval_reminder_days, approval_escalation_days,
+ *                             approval_escalation_role, approval_expire_days,
+ *                             price_alert_threshold_pct, price_alert_window_days,
+ *                             price_alert_min_samples }
+ */
+
+const REGISTRATION_MODES = ["invite_only", "open", "closed"];
+const APPROVAL_DAY_FIELDS = [
+  "approval_reminder_days",
+  "approval_escalation_days",
+  "approval_expire_days",
+];
+// field -> smallest allowed value
+const PRICE_ALERT_FIELDS = {
+  price_alert_threshold_pct: 0,
+  price_alert_window_days: 1,
+  price_alert_min_samples: 1,
+};
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      const item = await Settings.getSettings();
+      return res.json({ item });
+    } catch (err) {
+      console.error("GET /api/admin/settings error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put(
+  "/",
+  authenticateToken,
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      const changes = {};
+      const { twofa_required_roles, registration_mode } = req.body;
+
+      if (twofa_required_roles !== undefined) {
+        const roles = Array.from((await Role.getPermissionMap()).keys());
+        if (
+          !Array.isArray(twofa_required_roles) ||
+          twofa_required_roles.some((r) => !roles.includes(r))
+        ) {
+          return res.status(400).json({
+            message: `twofa_required_roles must be a subset of ${roles}`,
+          });
+        }
+        // don't lock the superadmin out: they must have enrolled before requiring it for their role
+        if (
+          twofa_required_roles.includes(req.user.role) &&
+          !req.user.twofa_enabled
+        ) {
+          return res.status(400).json({
+            message:
+              "enable 2FA on your own account before requiring it for your role",
+          });
+        }
+        changes.twofa_required_roles = Array.from(
+          new Set(twofa_required_roles),
+        );
+      }
+
+      if (registration_mode !== undefined) {
+        if (!REGISTRATION_MODES.includes(registration_mode)) {
+          return res.status(400).json({
+            message: `registration_mode must be one of ${REGISTRATION_MODES}`,
+          });
+        }
+        changes.registration_mode = registration_mode;
+      }
+
+      for (const field of APPROVAL_DAY_FIELDS) {
+        if (req.body[field] === undefined) continue;
+        const days = Number(req.body[field]);
+        if (!Number.isFinite(days) || days < 0) {
+          return res
+            .status(400)
+            .json({ message: `${field} must be a number >= 0 (0 = off)` });
+        }
+        changes[field] = days;
+      }
+
+      for (const [field, min] of Object.entries(PRICE_ALERT_FIELDS)) {
+        if (req.body[field] === undefined) continue;
+        const value = Number(req.body[field]);
+        if (!Number.isFinite(value) || value < min) {
+          return res
+            .status(400)
+            .json({ message: `${field} must be a number >= ${min}` });
+        }
+        changes[field] = value;
+      }
+
+      if (req.body.approval_escalation_role !== undefined) {
+        const role = req.body.approval_escalation_role;
+        if (!(await Role.isKnownRole(role))) {
+          return res.status(400).json({
+            message: `unknown role ${role} for approval_escalation_role`,
+          });
+        }
+        changes.approval_escalation_role = role;
+      }
+
+      const item = await Settings.updateSettings(changes, req.user._id);
+      return res.json({ item });
+    } catch (err) {
+      console.error("PUT /api/admin/settings error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+module.exports = router;
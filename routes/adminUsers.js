@@ -2,120 +2,322 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Role = require("../models/Role");
+const Session = require("../models/Session");
+const Invite = require("../models/Invite");
+const PersonalExpense = require("../models/PersonalExpense");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const UserToken = require("../models/UserToken");
+const Notification = require("../models/Notification");
+const { sendMail } = require("../config/mailer");
+const { createAudit } = require("../utils/audit");
 const { authenticateToken } = require("../middleware/auth");
-const { permit } = require("../middleware/roles");
+const { requirePermission, canAssignRole } = require("../middleware/roles");
+const { orphanedAdminPermissions } = require("../utils/adminGuard");
+const { parseListQuery, findPage } = require("../utils/pagination");
 
 /**
- * Only superadmin may access these routes
+ * Requires users.manage (superadmin by default)
  * Routes:
- * GET    /api/admin/users            - list users (with optional q)
+ * GET    /api/admin/users            - list users (?q, ?status, paged: ?page, ?limit, ?sort)
  * POST   /api/admin/users            - create user { username, display_name, email, password, role }
- * PUT    /api/admin/users/:id        - update user { display_name, email, role, password? }
- * DELETE /api/admin/users/:id        - delete user (prevents deleting last superadmin)
+ * PUT    /api/admin/users/:id        - update user { display_name, email, role, password?, email_verified? }
+ * DELETE /api/admin/users/:id        - deactivate user; ?mode=anonymize scrubs personal data (hard delete)
+ *                                       body/query: { reason?, pending_action?: keep|cancel|reassign, reassign_to? }
+ * POST   /api/admin/users/:id/deactivate - { status?: deactivated|suspended, reason?, pending_action?, reassign_to? }
+ * POST   /api/admin/users/:id/reactivate - back to active
+ * POST   /api/admin/users/:id/logout - force logout: revoke all of the user's sessions
+ * POST   /api/admin/users/:id/2fa/reset - turn off 2FA for a user who lost their device
+ * POST   /api/admin/users/:id/unlock - lift a brute-force lockout
+ *
+ * GET    /api/admin/users/invites     - list invitations (?status=active|used|expired|revoked)
+ * POST   /api/admin/users/invites     - create invitation { role, email?, expires_in_days?, max_uses?, note? }
+ * DELETE /api/admin/users/invites/:id - revoke invitation
  */
 
+const USER_LIST_OPTIONS = {
+  sortFields: ["createdAt", "username", "display_name", "role", "status"],
+  defaultSort: "-createdAt",
+  searchFields: ["username", "display_name", "email"],
+};
+
 // list users
-router.get("/", authenticateToken, permit("superadmin"), async (req, res) => {
-  try {
-    const { q } = req.query;
-    const filter = {};
-    if (q) {
-      const rx = { $regex: q, $options: "i" };
-      filter.$or = [{ username: rx }, { display_name: rx }, { email: rx }];
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, USER_LIST_OPTIONS);
+      if (list.message) return res.status(400).json({ message: list.message });
+
+      const { status } = req.query;
+      const filter = {};
+      if (status === "active") Object.assign(filter, User.activeFilter());
+      else if (status) filter.status = status;
+      const page = await findPage(User, filter, list, (query) =>
+        query
+          .select(
+            "username display_name email email_verified twofa_enabled role status status_reason anonymized_at lock_until createdAt updatedAt"
+          )
+          .lean()
+      );
+      return res.json(page);
+    } catch (err) {
+      console.error("GET /api/admin/users error", err);
+      return res.status(500).json({ message: "server error" });
     }
-    const items = await User.find(filter)
-      .select("username display_name email role createdAt updatedAt")
-      .sort({ createdAt: -1 })
-      .lean();
-    return res.json({ items });
-  } catch (err) {
-    console.error("GET /api/admin/users error", err);
-    return res.status(500).json({ message: "server error" });
   }
-});
+);
 
 // create user
-router.post("/", authenticateToken, permit("superadmin"), async (req, res) => {
-  try {
-    const { username, display_name, email, password, role } = req.body;
-    if (!username || !email || !password) {
-      return res
-        .status(400)
-        .json({ message: "username/email/password required" });
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { username, display_name, email, password, role } = req.body;
+      if (!username || !email || !password) {
+        return res
+          .status(400)
+          .json({ message: "username/email/password required" });
+      }
+      // role validation
+      const assignedRole = (await Role.isKnownRole(role)) ? role : "user";
+      if (!(await canAssignRole(req.user, assignedRole)))
+        return res
+          .status(403)
+          .json({ message: "You cannot assign a role above your own" });
+
+      const existing = await User.findOne({
+        $or: [{ username }, { email }],
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "username or email already exists" });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hash = await bcrypt.hash(password, salt);
+
+      const u = await User.create({
+        username,
+        display_name: display_name || "",
+        email,
+        password_hash: hash,
+        role: assignedRole,
+      });
+
+      const out = {
+        id: u._id,
+        username: u.username,
+        display_name: u.display_name,
+        email: u.email,
+        role: u.role,
+        createdAt: u.createdAt,
+      };
+
+      return res.status(201).json({ item: out });
+    } catch (err) {
+      console.error("POST /api/admin/users error", err);
+      return res.status(500).json({ message: "server error" });
     }
-    // role validation
-    const allowedRoles = ["user", "adminA", "adminB", "superadmin", "guest"];
-    const assignedRole = allowedRoles.includes(role) ? role : "user";
-
-    const existing = await User.findOne({
-      $or: [{ username }, { email }],
-    });
-    if (existing) {
-      return res
-        .status(400)
-        .json({ message: "username or email already exists" });
+  }
+);
+
+const inviteOut = (inv) => ({
+  id: inv._id,
+  code_prefix: inv.code_prefix,
+  role: inv.role,
+  email: inv.email,
+  note: inv.note,
+  expires_at: inv.expires_at,
+  max_uses: inv.max_uses,
+  uses_count: inv.uses_count,
+  used_by: inv.used_by,
+  revoked_at: inv.revoked_at,
+  status: inv.status,
+  created_by: inv.created_by,
+  createdAt: inv.createdAt,
+});
+
+// list invitations
+router.get(
+  "/invites",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const invites = await Invite.find()
+        .populate("used_by", "username display_name")
+        .populate("created_by", "username display_name")
+        .sort({ createdAt: -1 });
+      let items = invites.map(inviteOut);
+      if (req.query.status)
+        items = items.filter((i) => i.status === req.query.status);
+      return res.json({ items });
+    } catch (err) {
+      console.error("GET /api/admin/users/invites error", err);
+      return res.status(500).json({ message: "server error" });
     }
+  }
+);
+
+// create invitation; the code is only returned here (and mailed when email is given)
+router.post(
+  "/invites",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { role, email, expires_in_days, max_uses, note } = req.body;
+      if (role !== undefined && !(await Role.isKnownRole(role)))
+        return res.status(400).json({ message: "invalid role" });
+      if (!(await canAssignRole(req.user, role || "user")))
+        return res
+          .status(403)
+          .json({ message: "You cannot assign a role above your own" });
+
+      const days = expires_in_days != null ? Number(expires_in_days) : 7;
+      if (Number.isNaN(days) || days <= 0)
+        return res
+          .status(400)
+          .json({ message: "expires_in_days must be a positive number" });
+
+      const uses = max_uses != null ? parseInt(max_uses, 10) : 1;
+      if (Number.isNaN(uses) || uses < 1)
+        return res.status(400).json({ message: "max_uses must be at least 1" });
+
+      const code = Invite.generateCode();
+      const invite = await Invite.create({
+        code_hash: Invite.hashCode(code),
+        code_prefix: code.slice(0, 4),
+        role: role || "user",
+        email: email || null,
+        note: note || "",
+        expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        max_uses: uses,
+        created_by: req.user._id,
+      });
+
+      await createAudit({
+        entity_type: "invite",
+        entity_id: invite._id,
+        action: "create",
+        performed_by: req.user._id,
+        meta: { role: invite.role, email: invite.email, max_uses: uses },
+      });
+
+      let emailed = false;
+      if (invite.email) {
+        try {
+          const link = `${
+            process.env.CLIENT_URL || "http://localhost:3000"
+          }/register?invite=${code}`;
+          await sendMail({
+            to: invite.email,
+            subject: "You are invited to Home Database",
+            text: `${
+              req.user.display_name || req.user.username
+            } invited you to join.\n\nRegister here:\n${link}\n\nInvite code: ${code}\nThe invite expires on ${invite.expires_at.toISOString().slice(0, 10)}.`,
+          });
+          emailed = true;
+        } catch (mailErr) {
+          console.error("Failed to send invite email", mailErr);
+        }
+      }
 
-    const salt = await bcrypt.genSalt(10);
-    const hash = await bcrypt.hash(password, salt);
-
-    const u = await User.create({
-      username,
-      display_name: display_name || "",
-      email,
-      password_hash: hash,
-      role: assignedRole,
-    });
-
-    const out = {
-      id: u._id,
-      username: u.username,
-      display_name: u.display_name,
-      email: u.email,
-      role: u.role,
-      createdAt: u.createdAt,
-    };
-
-    return res.status(201).json({ item: out });
-  } catch (err) {
-    console.error("POST /api/admin/users error", err);
-    return res.status(500).json({ message: "server error" });
+      return res.status(201).json({ item: inviteOut(invite), code, emailed });
+    } catch (err) {
+      console.error("POST /api/admin/users/invites error", err);
+      return res.status(500).json({ message: "server error" });
+    }
   }
-});
+);
+
+// revoke invitation
+router.delete(
+  "/invites/:id",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "invite not found" });
+
+      const invite = await Invite.findById(id);
+      if (!invite) return res.status(404).json({ message: "invite not found" });
+
+      if (!invite.revoked_at) {
+        invite.revoked_at = new Date();
+        await invite.save();
+        await createAudit({
+          entity_type: "invite",
+          entity_id: invite._id,
+          action: "revoke",
+          performed_by: req.user._id,
+        });
+      }
+
+      return res.json({ item: inviteOut(invite) });
+    } catch (err) {
+      console.error("DELETE /api/admin/users/invites/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
 
 // update user
 router.put(
   "/:id",
   authenticateToken,
-  permit("superadmin"),
+  requirePermission("users.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { display_name, email, role, password } = req.body;
+      const { display_name, email, role, password, email_verified } = req.body;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "user not found" });
 
       const user = await User.findById(id);
       if (!user) return res.status(404).json({ message: "user not found" });
+      // personal data of deleted users stays scrubbed
+      if (user.anonymized_at)
+        return res
+          .status(400)
+          .json({ message: "deleted users cannot be edited" });
 
-      // if trying to change role from superadmin to non-superadmin, ensure at least one other superadmin exists
-      if (user.role === "superadmin" && role && role !== "superadmin") {
-        const count = await User.countDocuments({ role: "superadmin" });
-        if (count <= 1) {
+      const roleChange =
+        role !== undefined &&
+        role !== user.role &&
+        (await Role.isKnownRole(role));
+      if (roleChange) {
+        if (!(await canAssignRole(req.user, role)))
+          return res
+            .status(403)
+            .json({ message: "You cannot assign a role above your own" });
+        // someone active must keep holding the admin permissions
+        if (
+          user.isActive() &&
+          (await orphanedAdminPermissions({ userId: user._id, newRole: role }))
+            .length
+        )
           return res
             .status(400)
-            .json({ message: "Cannot demote the last superadmin" });
-        }
+            .json({ message: "Cannot demote the last administrator" });
       }
 
-      // if trying to promote to superadmin, allowed
       if (display_name !== undefined) user.display_name = display_name;
       if (email !== undefined) user.email = email;
-      if (
-        role !== undefined &&
-        ["user", "adminA", "adminB", "superadmin", "guest"].includes(role)
-      ) {
-        user.role = role;
-      }
+      if (email_verified !== undefined)
+        user.email_verified = Boolean(email_verified);
+      if (roleChange) user.role = role;
 
       if (password) {
         const salt = await bcrypt.genSalt(10);
@@ -130,6 +332,7 @@ router.put(
           username: user.username,
           display_name: user.display_name,
           email: user.email,
+          email_verified: user.email_verified,
           role: user.role,
           updatedAt: user.updatedAt,
         },
@@ -141,31 +344,374 @@ router.put(
   }
 );
 
-// delete user
+/**
+ * Helper: validate { pending_action, reassign_to } of a deactivation request.
+ * Returns { action, target } or { error }.
+ */
+async function resolvePendingAction(user, { pending_action, reassign_to }) {
+  const action = pending_action || "keep";
+  if (!["keep", "cancel", "reassign"].includes(action))
+    return { error: "pending_action must be keep, cancel or reassign" };
+  if (action !== "reassign") return { action, target: null };
+
+  if (!reassign_to || !mongoose.Types.ObjectId.isValid(reassign_to))
+    return { error: "reassign_to (user id) required for reassign" };
+  if (String(reassign_to) === String(user._id))
+    return { error: "cannot reassign to the same user" };
+  const target = await User.findById(reassign_to);
+  if (!target || !target.isActive())
+    return { error: "reassign_to must be an active user" };
+  return { action, target };
+}
+
+/**
+ * Helper: deal with the user's open (draft/pending) personal expense requests.
+ * keep -> untouched, cancel -> cancelled, reassign -> owned by target from now on
+ */
+async function handleOpenRequests(user, action, target, performedBy) {
+  if (action === "keep") return 0;
+
+  const open = await PersonalExpense.find({
+    user: user._id,
+    status: { $in: ["draft", "pending"] },
+  });
+
+  for (const pe of open) {
+    if (action === "cancel") {
+      pe.status = "cancelled";
+      await pe.save();
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "cancelled_owner_deactivated",
+        performed_by: performedBy,
+        meta: { owner: user._id },
+      });
+    } else {
+      pe.user = target._id;
+      await pe.save();
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "reassigned",
+        performed_by: performedBy,
+        meta: { from: user._id, to: target._id, status: pe.status },
+      });
+    }
+  }
+
+  if (action === "reassign" && open.length > 0) {
+    try {
+      await Notification.create({
+        user: target._id,
+        title: "Personal expense requests reassigned to you",
+        body: `${open.length} open request(s) of ${
+          user.display_name || user.username
+        } are now yours.`,
+        link: "/personal",
+        meta: {
+          from: user._id,
+          personal_expenses: open.map((pe) => pe._id),
+        },
+      });
+    } catch (nerr) {
+      console.error("Failed to notify reassignment target", nerr);
+    }
+  }
+
+  return open.length;
+}
+
+/**
+ * Helper: block the account (keeps all history) and cut every way in
+ */
+async function deactivateUser(user, status, reason, performedBy) {
+  user.status = status;
+  user.status_reason = reason || "";
+  user.status_changed_at = new Date();
+  user.status_changed_by = performedBy;
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, `account_${status}`);
+  await PersonalAccessToken.updateMany(
+    { user: user._id, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+}
+
+/**
+ * Helper: scrub personal data but keep the User document, so every
+ * created_by / admin_user / user reference in the ledger still resolves.
+ */
+async function anonymizeUser(user) {
+  const placeholder = `deleted-${user._id}`;
+  user.username = placeholder;
+  user.display_name = "Deleted user";
+  user.email = `${placeholder}@deleted.invalid`;
+  // random hash nobody knows the password for
+  user.password_hash = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10
+  );
+  user.email_verified = false;
+  user.twofa_enabled = false;
+  user.twofa_secret = null;
+  user.twofa_pending_secret = null;
+  user.twofa_recovery_codes = [];
+  user.anonymized_at = new Date();
+  await user.save();
+
+  await UserToken.deleteMany({ user: user._id });
+  await Notification.deleteMany({ user: user._id });
+}
+
+const deactivationOut = (user, handled) => ({
+  item: {
+    id: user._id,
+    username: user.username,
+    display_name: user.display_name,
+    status: user.status,
+    status_reason: user.status_reason,
+    anonymized_at: user.anonymized_at,
+  },
+  open_requests_handled: handled,
+});
+
+/**
+ * Shared by POST /:id/deactivate and DELETE /:id
+ */
+async function deactivateHandler(req, res, { status, reason, anonymize }) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return res.status(404).json({ message: "user not found" });
+
+  const user = await User.findById(id);
+  if (!user) return res.status(404).json({ message: "user not found" });
+
+  if (String(user._id) === String(req.user._id))
+    return res
+      .status(400)
+      .json({ message: "You cannot deactivate your own account" });
+
+  // never leave the household without an active administrator
+  if (
+    (await orphanedAdminPermissions({ userId: user._id, newRole: null })).length
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Cannot deactivate the last administrator" });
+  }
+
+  if (user.anonymized_at)
+    return res.status(400).json({ message: "user already deleted" });
+
+  const opts = { ...(req.query || {}), ...(req.body || {}) };
+  const { action, target, error } = await resolvePendingAction(user, opts);
+  if (error) return res.status(400).json({ message: error });
+
+  const handled = await handleOpenRequests(user, action, target, req.user._id);
+  await deactivateUser(user, status, reason, req.user._id);
+  if (anonymize) await anonymizeUser(user);
+
+  await createAudit({
+    entity_type: "user",
+    entity_id: user._id,
+    action: anonymize ? "anonymized" : status,
+    performed_by: req.user._id,
+    meta: {
+      reason: reason || "",
+      pending_action: action,
+      reassign_to: target ? target._id : null,
+      open_requests_handled: handled,
+    },
+  });
+
+  return res.json(deactivationOut(user, handled));
+}
+
+// deactivate / suspend user (blocks login, keeps history)
+router.post(
+  "/:id/deactivate",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body || {};
+      const newStatus = status || "deactivated";
+      if (!["deactivated", "suspended"].includes(newStatus))
+        return res
+          .status(400)
+          .json({ message: "status must be deactivated or suspended" });
+
+      return await deactivateHandler(req, res, {
+        status: newStatus,
+        reason,
+        anonymize: false,
+      });
+    } catch (err) {
+      console.error("POST /api/admin/users/:id/deactivate error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
+
+// reactivate a suspended/deactivated user (not possible after anonymization)
+router.post(
+  "/:id/reactivate",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "user not found" });
+
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ message: "user not found" });
+      if (user.anonymized_at)
+        return res
+          .status(400)
+          .json({ message: "deleted users cannot be reactivated" });
+      if (user.isActive())
+        return res.status(400).json({ message: "user is already active" });
+
+      const previous = user.status;
+      user.status = "active";
+      user.status_reason = "";
+      user.status_changed_at = new Date();
+      user.status_changed_by = req.user._id;
+      await user.save();
+
+      await createAudit({
+        entity_type: "user",
+        entity_id: user._id,
+        action: "reactivated",
+        performed_by: req.user._id,
+        meta: { previous },
+      });
+
+      return res.json(deactivationOut(user, 0));
+    } catch (err) {
+      console.error("POST /api/admin/users/:id/reactivate error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
+
+// delete user: deactivates by default; ?mode=anonymize also scrubs personal data.
+// the document itself is never removed so ledger references stay valid
 router.delete(
   "/:id",
   authenticateToken,
-  permit("superadmin"),
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const anonymize = req.query.mode === "anonymize";
+      const { reason } = { ...(req.query || {}), ...(req.body || {}) };
+      return await deactivateHandler(req, res, {
+        status: "deactivated",
+        reason,
+        anonymize,
+      });
+    } catch (err) {
+      console.error("DELETE /api/admin/users/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
+
+// force logout (revokes every refresh session; access tokens stop working too)
+router.post(
+  "/:id/logout",
+  authenticateToken,
+  requirePermission("users.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "user not found" });
+
       const user = await User.findById(id);
       if (!user) return res.status(404).json({ message: "user not found" });
 
-      // Prevent deleting the only remaining superadmin
-      if (user.role === "superadmin") {
-        const count = await User.countDocuments({ role: "superadmin" });
-        if (count <= 1) {
-          return res
-            .status(400)
-            .json({ message: "Cannot delete the last superadmin" });
+      const result = await Session.revokeAllForUser(
+        user._id,
+        "admin_force_logout"
+      );
+      return res.json({ ok: true, revoked: result.modifiedCount });
+    } catch (err) {
+      console.error("POST /api/admin/users/:id/logout error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
+
+// reset 2FA (lost phone + lost recovery codes); user re-enrols on next login
+router.post(
+  "/:id/2fa/reset",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "user not found" });
+
+      const result = await User.updateOne(
+        { _id: id },
+        {
+          $set: {
+            twofa_enabled: false,
+            twofa_secret: null,
+            twofa_pending_secret: null,
+            twofa_last_step: null,
+            twofa_recovery_codes: [],
+          },
         }
-      }
+      );
+      if (!result.matchedCount)
+        return res.status(404).json({ message: "user not found" });
 
-      await User.deleteOne({ _id: id });
       return res.json({ ok: true });
     } catch (err) {
-      console.error("DELETE /api/admin/users/:id error", err);
+      console.error("POST /api/admin/users/:id/2fa/reset error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  }
+);
+
+// unlock an account locked by too many failed logins
+router.post(
+  "/:id/unlock",
+  authenticateToken,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(404).json({ message: "user not found" });
+
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ message: "user not found" });
+
+      const wasLocked = Boolean(
+        user.lock_until && user.lock_until > new Date()
+      );
+      user.failed_login_count = 0;
+      user.lock_until = null;
+      await user.save();
+
+      await createAudit({
+        entity_type: "user",
+        entity_id: user._id,
+        action: "account_unlocked",
+        performed_by: req.user._id,
+        meta: { was_locked: wasLocked },
+      });
+
+      return res.json({ ok: true, was_locked: wasLocked });
+    } catch (err) {
+      console.error("POST /api/admin/users/:id/unlock error", err);
       return res.status(500).json({ message: "server error" });
     }
   }
@@ -0,0 +1,267 @@
+// backend/routes/approvalPolicies.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const ApprovalPolicy = require("../models/ApprovalPolicy");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const Role = require("../models/Role");
+const { createAudit } = require("../utils/audit");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+
+/**
+ * Approval policies for personal expenses (see models/ApprovalPolicy.js)
+ * Routes:
+ * GET    /api/approval-policies          - list (admins)
+ * GET    /api/approval-policies/preview  - ?category=&amount= -> which policy a request would get
+ * POST   /api/approval-policies          - create (policies.manage)
+ * PUT    /api/approval-policies/:id      - update (policies.manage)
+ * DELETE /api/approval-policies/:id      - delete (policies.manage)
+ *
+ * body: { name, description?, active?, priority?, categories?: [id|name],
+ *         min_amount?, max_amount?, auto_approve?, required_approvers?,
+ *         required_roles?: [{ role, count }] }
+ */
+
+const FIELDS = [
+  "name",
+  "description",
+  "active",
+  "priority",
+  "categories",
+  "min_amount",
+  "max_amount",
+  "auto_approve",
+  "required_approvers",
+  "required_roles",
+];
+
+/**
+ * Helper: validate + normalize a (partial) policy payload.
+ * Returns { data } or { error }.
+ */
+async function normalizePolicy(body, current = {}) {
+  const data = {};
+  for (const f of FIELDS) if (body[f] !== undefined) data[f] = body[f];
+  const merged = { ...current, ...data };
+
+  if (!merged.name) return { error: "name required" };
+
+  for (const f of ["min_amount", "max_amount"]) {
+    if (data[f] === undefined || data[f] === null || data[f] === "") {
+      if (data[f] !== undefined) data[f] = null;
+      continue;
+    }
+    const n = Number(data[f]);
+    if (Number.isNaN(n) || n < 0)
+      return { error: `${f} must be a non-negative number` };
+    data[f] = n;
+  }
+  const min =
+    data.min_amount !== undefined ? data.min_amount : current.min_amount;
+  const max =
+    data.max_amount !== undefined ? data.max_amount : current.max_amount;
+  if (min != null && max != null && min >= max)
+    return { error: "min_amount must be below max_amount" };
+
+  // categories: accept ids or names (like the expense routes)
+  if (data.categories !== undefined) {
+    if (!Array.isArray(data.categories))
+      return { error: "categories must be an array" };
+    const ids = [];
+    for (const c of data.categories) {
+      const id =
+        typeof c === "string" ? await ExpenseCategory.resolveId(c) : null;
+      if (!id) return { error: `category not found: ${c}` };
+      ids.push(id);
+    }
+    data.categories = ids;
+  }
+
+  if (data.required_approvers !== undefined) {
+    const n = parseInt(data.required_approvers, 10);
+    if (Number.isNaN(n) || n < 1)
+      return { error: "required_approvers must be at least 1" };
+    data.required_approvers = n;
+  }
+
+  if (data.required_roles !== undefined) {
+    if (!Array.isArray(data.required_roles))
+      return { error: "required_roles must be an array" };
+    const approverRoles = await Role.rolesWithPermission("personal.approve");
+    const seen = new Set();
+    const rules = [];
+    for (const r of data.required_roles) {
+      const role = r && r.role;
+      const count = parseInt((r && r.count) || 1, 10);
+      if (!approverRoles.includes(role))
+        return {
+          error: `required role ${role} must exist and hold personal.approve`,
+        };
+      if (seen.has(role)) return { error: `role ${role} listed twice` };
+      if (Number.isNaN(count) || count < 1)
+        return { error: "required role count must be at least 1" };
+      seen.add(role);
+      rules.push({ role, count });
+    }
+    data.required_roles = rules;
+  }
+
+  // per-role minimums can't ask for more people than the total
+  const total =
+    data.required_approvers !== undefined
+      ? data.required_approvers
+      : current.required_approvers || 2;
+  const rules =
+    data.required_roles !== undefined
+      ? data.required_roles
+      : current.required_roles || [];
+  const roleSum = rules.reduce((s, r) => s + r.count, 0);
+  if (roleSum > total)
+    return {
+      error: `required_roles ask for ${roleSum} approvers but required_approvers is ${total}`,
+    };
+
+  return { data };
+}
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("policies.manage", "personal.approve"),
+  async (req, res) => {
+    try {
+      const items = await ApprovalPolicy.find()
+        .populate("categories", "name")
+        .sort({ active: -1, priority: -1, createdAt: 1 });
+      return res.json({ items });
+    } catch (err) {
+      console.error("GET /api/approval-policies error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.get(
+  "/preview",
+  authenticateToken,
+  requirePermission("policies.manage", "personal.approve"),
+  async (req, res) => {
+    try {
+      const { category, amount } = req.query;
+      const n = Number(amount);
+      if (amount == null || Number.isNaN(n))
+        return res.status(400).json({ message: "amount required" });
+
+      const categoryId = await ExpenseCategory.resolveId(category);
+      if (categoryId === undefined)
+        return res.status(400).json({ message: "category not found" });
+
+      const result = await ApprovalPolicy.resolveFor({
+        category: categoryId,
+        requested_amount: n,
+      });
+      return res.json({ item: result });
+    } catch (err) {
+      console.error("GET /api/approval-policies/preview error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("policies.manage"),
+  async (req, res) => {
+    try {
+      const { data, error } = await normalizePolicy(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const item = await ApprovalPolicy.create({
+        ...data,
+        created_by: req.user._id,
+        updated_by: req.user._id,
+      });
+
+      await createAudit({
+        entity_type: "approval_policy",
+        entity_id: item._id,
+        action: "create",
+        performed_by: req.user._id,
+        meta: { policy: data },
+      });
+
+      return res.status(201).json({ item });
+    } catch (err) {
+      console.error("POST /api/approval-policies error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("policies.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+      const item = await ApprovalPolicy.findById(req.params.id);
+      if (!item) return res.status(404).json({ message: "not found" });
+
+      const before = item.toObject();
+      const { data, error } = await normalizePolicy(req.body, before);
+      if (error) return res.status(400).json({ message: error });
+
+      Object.assign(item, data, { updated_by: req.user._id });
+      await item.save();
+
+      await createAudit({
+        entity_type: "approval_policy",
+        entity_id: item._id,
+        action: "update",
+        performed_by: req.user._id,
+        meta: { before, changes: data },
+      });
+
+      // already submitted requests keep the requirements they were submitted with
+      return res.json({ item });
+    } catch (err) {
+      console.error("PUT /api/approval-policies/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("policies.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+      const item = await ApprovalPolicy.findById(req.params.id);
+      if (!item) return res.status(404).json({ message: "not found" });
+
+      await ApprovalPolicy.deleteOne({ _id: item._id });
+
+      await createAudit({
+        entity_type: "approval_policy",
+        entity_id: item._id,
+        action: "delete",
+        performed_by: req.user._id,
+        meta: { policy: item.toObject() },
+      });
+
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("DELETE /api/approval-policies/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+module.exports = router;
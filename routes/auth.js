@@ -1,33 +1,278 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/User");
-const { authenticateToken } = require("../middleware/auth");
+const Session = require("../models/Session");
+const UserToken = require("../models/UserToken");
+const Invite = require("../models/Invite");
+const Settings = require("../models/Settings");
+const { sendMail } = require("../config/mailer");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const { createAudit } = require("../utils/audit");
+const {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  refreshLimiter,
+  twofaLimiter,
+  emailTokenLimiter,
+} = require("../middleware/rateLimit");
+const {
+  authenticate,
+  authenticateToken,
+  authenticateUnverified,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
-const generateAccessToken = (user) => {
-  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.ACCESS_TOKEN_EXPIRES || "15m",
-  });
+const REFRESH_COOKIE = "jid";
+// cookie is sent to /refresh and /logout (logout needs it to revoke the session)
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: session ? session._id : undefined },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRES || "15m",
+    },
+  );
+};
+const generateRefreshToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, sid: session._id, jti: session.current_jti },
+    process.env.REFRESH_SECRET,
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRES || "7d",
+    },
+  );
 };
-const generateRefreshToken = (user) => {
-  return jwt.sign({ id: user._id }, process.env.REFRESH_SECRET, {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRES || "7d",
+
+const newJti = () => crypto.randomBytes(16).toString("hex");
+
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: Math.max(expiresAt.getTime() - Date.now(), 0),
+    sameSite: "lax",
   });
 };
 
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+  // cookies issued before sessions existed were scoped to /refresh only
+  res.clearCookie(REFRESH_COOKIE, { path: "/api/auth/refresh" });
+};
+
+const TWOFA_CHALLENGE_EXPIRES = "5m";
+
+/**
+ * Helper: start a new session (one per login/device), set the refresh cookie
+ * and return a fresh access token for it.
+ * mfa: the login passed the TOTP second factor
+ */
+async function startSession(req, res, user, { mfa = false } = {}) {
+  const session = new Session({
+    user: user._id,
+    current_jti: newJti(),
+    mfa,
+    user_agent: req.get("user-agent") || "",
+    ip: req.ip || "",
+    // placeholder, replaced with the refresh token's own exp below
+    expires_at: new Date(),
+  });
+  const refreshToken = generateRefreshToken(user, session);
+  session.expires_at = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  setRefreshCookie(res, refreshToken, session.expires_at);
+  return generateAccessToken(user, session);
+}
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const RESET_TOKEN_TTL_MS =
+  (Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000;
+const VERIFY_TOKEN_TTL_MS =
+  (Number(process.env.EMAIL_VERIFY_EXPIRES_HOURS) || 48) * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Helper: create a single-use emailed token of the given type.
+ * Older unused tokens of the same type are invalidated. Returns the raw token.
+ */
+async function createUserToken(user, type, ttlMs) {
+  await UserToken.updateMany(
+    { user: user._id, type, used_at: null },
+    { $set: { used_at: new Date() } },
+  );
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    user: user._id,
+    type,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs),
+  });
+  return token;
+}
+
+/**
+ * Helper: mark a token used and return it, or null if unknown/used/expired.
+ * Atomic so the same token can't be redeemed twice.
+ */
+function consumeUserToken(token, type) {
+  return UserToken.findOneAndUpdate(
+    {
+      token_hash: hashToken(token),
+      type,
+      used_at: null,
+      expires_at: { $gt: new Date() },
+    },
+    { $set: { used_at: new Date() } },
+    { new: true },
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(
+    user,
+    "email_verify",
+    VERIFY_TOKEN_TTL_MS,
+  );
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Hi ${user.display_name || user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${Math.round(
+      VERIFY_TOKEN_TTL_MS / 3600000,
+    )} hours.`,
+  });
+}
+
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_FAILED) || 5;
+const LOCK_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+const requestMeta = (req) => ({
+  ip: req.ip,
+  user_agent: req.get("user-agent") || "",
+});
+
+const isLocked = (user) => user.lock_until && user.lock_until > new Date();
+
+/**
+ * Helper: count a failed password/2FA attempt, lock the account once the limit is reached.
+ * Returns the lock end date when this failure locked the account, else null.
+ */
+async function registerFailedLogin(user, req, reason) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failed_login_count: 1 } },
+    { new: true },
+  );
+
+  await createAudit({
+    entity_type: "user",
+    entity_id: user._id,
+    action: "login_failed",
+    performed_by: user._id,
+    meta: {
+      ...requestMeta(req),
+      reason,
+      failed_count: updated.failed_login_count,
+    },
+  });
+
+  if (updated.failed_login_count < MAX_FAILED_LOGINS) return null;
+
+  const lockUntil = new Date(Date.now() + LOCK_MS);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lock_until: lockUntil, failed_login_count: 0 } },
+  );
+  await createAudit({
+    entity_type: "user",
+    entity_id: user._id,
+    action: "account_locked",
+    performed_by: null,
+    meta: { ...requestMeta(req), lock_until: lockUntil },
+  });
+  return lockUntil;
+}
+
+async function registerSuccessfulLogin(user, req, method) {
+  if (user.failed_login_count || user.lock_until) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failed_login_count: 0, lock_until: null } },
+    );
+  }
+  await createAudit({
+    entity_type: "user",
+    entity_id: user._id,
+    action: "login_success",
+    performed_by: user._id,
+    meta: { ...requestMeta(req), method },
+  });
+}
+
+const lockedResponse = (res, lockUntil) =>
+  res.status(423).json({
+    message: "account temporarily locked after too many failed attempts",
+    locked_until: lockUntil,
+  });
+
+const loginUserPayload = (user) => ({
+  id: user._id,
+  username: user.username,
+  display_name: user.display_name,
+  role: user.role,
+  email: user.email,
+  email_verified: user.email_verified,
+  twofa_enabled: user.twofa_enabled,
+});
+
 // Register
-router.post("/register", async (req, res) => {
+// body: { username, display_name, email, password, invite_code }
+// invite_code is required unless the superadmin switched registration to "open"
+router.post("/register", registerLimiter, async (req, res) => {
+  let invite = null;
   try {
-    const { username, display_name, email, password } = req.body;
+    const { username, display_name, email, password, invite_code } = req.body;
     if (!username || !email || !password)
       return res.status(400).json({ message: "missing fields" });
 
+    const settings = await Settings.getSettings();
+    if (settings.registration_mode === "closed")
+      return res.status(403).json({ message: "registration is closed" });
+    if (settings.registration_mode !== "open" && !invite_code)
+      return res.status(403).json({ message: "an invite code is required" });
+
     const existing = await User.findOne({ $or: [{ username }, { email }] });
     if (existing)
       return res.status(400).json({ message: "username or email exists" });
 
+    if (invite_code) {
+      invite = await Invite.claim(invite_code);
+      if (!invite)
+        return res
+          .status(400)
+          .json({ message: "invalid, expired or used invite code" });
+      if (
+        invite.email &&
+        invite.email.toLowerCase() !== String(email).toLowerCase()
+      ) {
+        await Invite.releaseUse(invite._id);
+        invite = null;
+        return res
+          .status(400)
+          .json({ message: "this invite is for a different email address" });
+      }
+    }
+
     const salt = await bcrypt.genSalt(10);
     const hash = await bcrypt.hash(password, salt);
 
@@ -36,18 +281,46 @@ router.post("/register", async (req, res) => {
       display_name,
       email,
       password_hash: hash,
+      role: invite ? invite.role : "user",
+      email_verified: false,
     });
     await user.save();
 
-    return res.status(201).json({ message: "user created" });
+    if (invite) {
+      await Invite.updateOne(
+        { _id: invite._id },
+        { $push: { used_by: user._id } },
+      );
+      await createAudit({
+        entity_type: "invite",
+        entity_id: invite._id,
+        action: "redeemed",
+        performed_by: user._id,
+        meta: { role: invite.role },
+      });
+      invite = null;
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      // account exists anyway; user can ask for a new mail via /resend-verification
+      console.error("Failed to send verification email", mailErr);
+    }
+
+    return res
+      .status(201)
+      .json({ message: "user created, check your email to verify it" });
   } catch (err) {
     console.error(err);
+    // registration failed after taking an invite use -> give it back
+    if (invite) await Invite.releaseUse(invite._id).catch(() => {});
     return res.status(500).json({ message: "server error" });
   }
 });
 
 // Login
-router.post("/login", async (req, res) => {
+router.post("/login", loginIpLimiter, loginAccountLimiter, async (req, res) => {
   try {
     const { usernameOrEmail, password } = req.body;
     if (!usernameOrEmail || !password)
@@ -56,50 +329,189 @@ router.post("/login", async (req, res) => {
     const user = await User.findOne({
       $or: [{ username: usernameOrEmail }, { email: usernameOrEmail }],
     });
-    if (!user) return res.status(400).json({ message: "invalid credentials" });
+    if (!user) {
+      await createAudit({
+        entity_type: "user",
+        entity_id: null,
+        action: "login_failed",
+        meta: { ...requestMeta(req), usernameOrEmail, reason: "unknown_user" },
+      });
+      return res.status(400).json({ message: "invalid credentials" });
+    }
+
+    if (isLocked(user)) {
+      await createAudit({
+        entity_type: "user",
+        entity_id: user._id,
+        action: "login_blocked_locked",
+        performed_by: user._id,
+        meta: { ...requestMeta(req), lock_until: user.lock_until },
+      });
+      return lockedResponse(res, user.lock_until);
+    }
 
     const isMatch = await bcrypt.compare(password, user.password_hash);
-    if (!isMatch)
+    if (!isMatch) {
+      const lockUntil = await registerFailedLogin(user, req, "bad_password");
+      if (lockUntil) return lockedResponse(res, lockUntil);
       return res.status(400).json({ message: "invalid credentials" });
+    }
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    if (!user.isActive()) {
+      await createAudit({
+        entity_type: "user",
+        entity_id: user._id,
+        action: "login_blocked_inactive",
+        performed_by: user._id,
+        meta: { ...requestMeta(req), status: user.status },
+      });
+      return res.status(403).json({
+        message: `account ${user.status}`,
+        code: "ACCOUNT_INACTIVE",
+      });
+    }
 
-    // Set refresh token as HttpOnly cookie
-    res.cookie("jid", refreshToken, {
-      httpOnly: true,
-      path: "/api/auth/refresh", // only sent to refresh endpoint
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      sameSite: "lax",
-    });
+    // 2FA enabled -> password alone is not enough; hand out a short-lived
+    // challenge that /login/2fa exchanges for a session
+    if (user.twofa_enabled) {
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: "2fa_challenge" },
+        process.env.JWT_SECRET,
+        { expiresIn: TWOFA_CHALLENGE_EXPIRES },
+      );
+      return res.json({ twofaRequired: true, challengeToken });
+    }
 
-    return res.json({
-      accessToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        display_name: user.display_name,
-        role: user.role,
-        email: user.email,
-      },
+    await registerSuccessfulLogin(user, req, "password");
+    const accessToken = await startSession(req, res, user);
+
+    return res.json({ accessToken, user: loginUserPayload(user) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for 2FA users.
+ * body: { challengeToken, code } or { challengeToken, recovery_code }
+ */
+router.post("/login/2fa", twofaLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recovery_code } = req.body;
+    if (!challengeToken || (!code && !recovery_code))
+      return res.status(400).json({ message: "missing fields" });
+
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res
+        .status(401)
+        .json({ message: "challenge expired, log in again" });
+    }
+    if (payload.purpose !== "2fa_challenge")
+      return res.status(401).json({ message: "invalid challenge" });
+
+    const user = await User.findById(payload.id);
+    if (!user || !user.isActive())
+      return res.status(401).json({ message: "invalid challenge" });
+    if (isLocked(user)) return lockedResponse(res, user.lock_until);
+
+    const method = await verifySecondFactor(payload.id, {
+      code,
+      recovery_code,
     });
+    if (!method) {
+      const lockUntil = await registerFailedLogin(user, req, "bad_2fa_code");
+      if (lockUntil) return lockedResponse(res, lockUntil);
+      return res.status(400).json({ message: "invalid code" });
+    }
+
+    await registerSuccessfulLogin(user, req, `password+${method}`);
+    const accessToken = await startSession(req, res, user, { mfa: true });
+
+    const out = { accessToken, user: loginUserPayload(user) };
+    if (method === "recovery_code") {
+      const withCodes = await User.findById(user._id).select(
+        "+twofa_recovery_codes",
+      );
+      out.recoveryCodesLeft = withCodes.twofa_recovery_codes.length;
+    }
+    return res.json(out);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "server error" });
   }
 });
 
-// Refresh token
-router.post("/refresh", async (req, res) => {
+// Refresh token - rotates on every call.
+// Presenting an already rotated token means it was copied: the whole session is revoked.
+router.post("/refresh", refreshLimiter, async (req, res) => {
   try {
-    const token = req.cookies.jid;
+    const token = req.cookies[REFRESH_COOKIE];
     if (!token) return res.status(401).json({ message: "no refresh token" });
     const payload = jwt.verify(token, process.env.REFRESH_SECRET);
+
+    // tokens issued before sessions existed carry no sid -> force a new login
+    if (!payload.sid || !payload.jti) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "invalid refresh token" });
+    }
+
+    const session = await Session.findById(payload.sid);
+    if (!session || String(session.user) !== String(payload.id)) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "invalid refresh token" });
+    }
+    if (!session.isActive()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "session revoked" });
+    }
+
+    if (session.current_jti !== payload.jti) {
+      // reuse of an old token -> revoke the whole token family
+      session.revoked_at = new Date();
+      session.revoked_reason = "reuse_detected";
+      await session.save();
+      console.warn(
+        `Refresh token reuse detected for user ${payload.id}, session ${session._id} revoked`,
+      );
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "refresh token reuse detected" });
+    }
+
     const user = await User.findById(payload.id);
-    if (!user)
+    if (!user || !user.isActive()) {
+      clearRefreshCookie(res);
       return res.status(401).json({ message: "invalid refresh token" });
+    }
+
+    // rotate: only the newly issued token is valid from now on.
+    // conditional update so two parallel refreshes cannot both win
+    const nextJti = newJti();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, current_jti: payload.jti, revoked_at: null },
+      {
+        $set: {
+          current_jti: nextJti,
+          last_used_at: new Date(),
+          ip: req.ip || session.ip,
+          user_agent: req.get("user-agent") || session.user_agent,
+        },
+      },
+      { new: true },
+    );
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "refresh token reuse detected" });
+    }
 
-    const accessToken = generateAccessToken(user);
+    const refreshToken = generateRefreshToken(user, rotated);
+    setRefreshCookie(res, refreshToken, rotated.expires_at);
+
+    const accessToken = generateAccessToken(user, rotated);
     return res.json({
       accessToken,
       user: { id: user._id, username: user.username, role: user.role },
@@ -110,17 +522,217 @@ router.post("/refresh", async (req, res) => {
   }
 });
 
-// Logout - clear cookie
-router.post("/logout", (req, res) => {
-  res.clearCookie("jid", { path: "/api/auth/refresh" });
+// Logout - revoke this device's session and clear cookie
+router.post("/logout", async (req, res) => {
+  try {
+    const token = req.cookies[REFRESH_COOKIE];
+    if (token) {
+      // an expired token still identifies the session we want to close
+      const payload = jwt.verify(token, process.env.REFRESH_SECRET, {
+        ignoreExpiration: true,
+      });
+      if (payload.sid) {
+        await Session.updateOne(
+          { _id: payload.sid, user: payload.id, revoked_at: null },
+          { $set: { revoked_at: new Date(), revoked_reason: "logout" } },
+        );
+      }
+    }
+  } catch (err) {
+    // bad cookie -> nothing to revoke, still log the client out
+    console.error("logout: could not revoke session", err.message);
+  }
+  clearRefreshCookie(res);
   return res.json({ message: "logged out" });
 });
 
-// get current user (protected)
-router.get("/me", authenticateToken, (req, res) => {
-  const u = req.user.toObject();
-  delete u.password_hash;
-  return res.json({ user: u });
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions (logged-in devices)
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const items = await Session.find({
+      user: req.user._id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    })
+      .select("user_agent ip last_used_at expires_at createdAt")
+      .sort({ last_used_at: -1 })
+      .lean();
+
+    return res.json({
+      items: items.map((s) => ({
+        ...s,
+        current: req.sessionId
+          ? String(s._id) === String(req.sessionId)
+          : false,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the current user's devices
+ */
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "not found" });
+    }
+
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: "user_signout" } },
+    );
+    if (!result.matchedCount)
+      return res.status(404).json({ message: "not found" });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * body: { token }
+ */
+router.post("/verify-email", emailTokenLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "token required" });
+
+    const ut = await consumeUserToken(token, "email_verify");
+    if (!ut)
+      return res.status(400).json({ message: "invalid or expired token" });
+
+    const user = await User.findById(ut.user);
+    if (!user)
+      return res.status(400).json({ message: "invalid or expired token" });
+    user.email_verified = true;
+    await user.save();
+
+    return res.json({ message: "email verified" });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * For logged-in users that are still unverified
+ */
+router.post(
+  "/resend-verification",
+  emailTokenLimiter,
+  authenticateUnverified,
+  async (req, res) => {
+    try {
+      if (req.user.email_verified !== false)
+        return res.status(400).json({ message: "email already verified" });
+
+      await sendVerificationEmail(req.user);
+      return res.json({ message: "verification email sent" });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * body: { email }
+ * Always answers the same way so it can't be used to probe which emails exist.
+ */
+router.post("/forgot-password", emailTokenLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "email required" });
+
+    const user = await User.findOne({ email });
+    if (user && user.isActive()) {
+      const token = await createUserToken(
+        user,
+        "password_reset",
+        RESET_TOKEN_TTL_MS,
+      );
+      const link = `${CLIENT_URL}/reset-password?token=${token}`;
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text: `Hi ${user.display_name || user.username},\n\nSomeone (hopefully you) asked to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${Math.round(
+            RESET_TOKEN_TTL_MS / 60000,
+          )} minutes. If you did not ask for this, ignore this email.`,
+        });
+      } catch (mailErr) {
+        console.error("Failed to send password reset email", mailErr);
+      }
+    }
+
+    return res.json({
+      message: "if that email is registered, a reset link has been sent",
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
 });
 
+/**
+ * POST /api/auth/reset-password
+ * body: { token, password }
+ * Sets the new password, lifts a failed-login lockout and signs the user out everywhere.
+ */
+router.post("/reset-password", emailTokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password)
+      return res.status(400).json({ message: "missing fields" });
+
+    const ut = await consumeUserToken(token, "password_reset");
+    if (!ut)
+      return res.status(400).json({ message: "invalid or expired token" });
+
+    const user = await User.findById(ut.user);
+    if (!user)
+      return res.status(400).json({ message: "invalid or expired token" });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password_hash = await bcrypt.hash(password, salt);
+    // the reset link reached their inbox, so the address is confirmed too
+    user.email_verified = true;
+    // proving access to the inbox also ends a brute-force lockout
+    user.failed_login_count = 0;
+    user.lock_until = null;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, "password_reset");
+
+    return res.json({ message: "password updated" });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+// get current user (protected; unverified / not yet enrolled users may read their own profile)
+router.get(
+  "/me",
+  authenticate({ allowUnverified: true, allowMissingTwofa: true }),
+  (req, res) => {
+    const u = req.user.toObject();
+    delete u.password_hash;
+    return res.json({ user: u });
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,262 @@
+// backend/routes/delegations.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Delegation = require("../models/Delegation");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { authenticateToken } = require("../middleware/auth");
+const { hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+/**
+ * Approval delegations: while an approver is away another named user decides
+ * personal expenses on their behalf (POST /api/personal-expenses/:id/approve
+ * with on_behalf_of). Approvers manage their own; users.manage manages anyone's.
+ * Routes:
+ * GET    /api/approval-delegations      - own (given and received); ?all=1 for users.manage, ?status=active|scheduled|expired|revoked, paged
+ * POST   /api/approval-delegations      - create { delegate_id, starts_at?, ends_at, reason?, delegator_id? (users.manage) }
+ * DELETE /api/approval-delegations/:id  - revoke
+ */
+
+const MAX_DELEGATION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userRef = (u) =>
+  u && u._id
+    ? { id: u._id, username: u.username, display_name: u.display_name }
+    : u;
+
+const toItem = (d) => ({
+  id: d._id,
+  delegator: userRef(d.delegator),
+  delegate: userRef(d.delegate),
+  starts_at: d.starts_at,
+  ends_at: d.ends_at,
+  reason: d.reason,
+  status: d.status,
+  created_by: d.created_by,
+  revoked_at: d.revoked_at,
+  revoked_by: d.revoked_by,
+  createdAt: d.createdAt,
+});
+
+/** notification + audit, like the personal expense routes */
+async function notifyUser(userId, title, body, delegation, action, by) {
+  try {
+    await Notification.create({
+      user: userId,
+      title,
+      body,
+      link: "/approval-delegations",
+      meta: { delegation: delegation._id, from: by },
+    });
+  } catch (nerr) {
+    console.error("Failed to create delegation notification", nerr);
+  }
+
+  await createAudit({
+    entity_type: "notification",
+    entity_id: delegation._id,
+    action,
+    performed_by: by,
+    meta: { to: userId },
+  });
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["starts_at", "ends_at", "createdAt"],
+  defaultSort: "-starts_at",
+  searchFields: ["reason"],
+};
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const q = {};
+    const canManage = await hasPermission(req.user, "users.manage");
+    if (!(req.query.all && canManage)) {
+      q.$or = [{ delegator: req.user._id }, { delegate: req.user._id }];
+    }
+
+    const now = new Date();
+    switch (req.query.status) {
+      case undefined:
+        break;
+      case "active":
+        Object.assign(q, Delegation.activeFilter(now));
+        break;
+      case "scheduled":
+        Object.assign(q, { revoked_at: null, starts_at: { $gt: now } });
+        break;
+      case "expired":
+        Object.assign(q, { revoked_at: null, ends_at: { $lte: now } });
+        break;
+      case "revoked":
+        q.revoked_at = { $ne: null };
+        break;
+      default:
+        return res.status(400).json({
+          message: "status must be active, scheduled, expired or revoked",
+        });
+    }
+
+    const page = await findPage(Delegation, q, list, (query) =>
+      query
+        .populate("delegator", "username display_name")
+        .populate("delegate", "username display_name"),
+    );
+    return res.json({ ...page, items: page.items.map(toItem) });
+  } catch (err) {
+    console.error("GET /api/approval-delegations error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { delegate_id, delegator_id, starts_at, ends_at, reason } =
+      req.body || {};
+
+    // delegating for someone else (e.g. an admin who left without setting it up)
+    let delegator = req.user;
+    if (delegator_id && String(delegator_id) !== String(req.user._id)) {
+      if (!(await hasPermission(req.user, "users.manage")))
+        return res
+          .status(403)
+          .json({ message: "only user managers can delegate for others" });
+      if (!mongoose.Types.ObjectId.isValid(delegator_id))
+        return res.status(400).json({ message: "invalid delegator_id" });
+      delegator = await User.findById(delegator_id);
+      if (!delegator)
+        return res.status(404).json({ message: "delegator not found" });
+    }
+    if (!(await hasPermission(delegator, "personal.approve")))
+      return res
+        .status(400)
+        .json({ message: "only approvers can delegate their decisions" });
+
+    if (!delegate_id || !mongoose.Types.ObjectId.isValid(delegate_id))
+      return res.status(400).json({ message: "delegate_id required" });
+    if (String(delegate_id) === String(delegator._id))
+      return res.status(400).json({ message: "cannot delegate to yourself" });
+    const delegate = await User.findById(delegate_id);
+    if (!delegate || !delegate.isActive())
+      return res
+        .status(400)
+        .json({ message: "delegate must be an active user" });
+
+    const start = starts_at ? new Date(starts_at) : new Date();
+    const end = new Date(ends_at);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()))
+      return res
+        .status(400)
+        .json({ message: "valid ends_at (and optional starts_at) required" });
+    if (end <= start || end <= new Date())
+      return res
+        .status(400)
+        .json({ message: "ends_at must be in the future and after starts_at" });
+    if (end - start > MAX_DELEGATION_DAYS * DAY_MS)
+      return res.status(400).json({
+        message: `a delegation can last at most ${MAX_DELEGATION_DAYS} days`,
+      });
+
+    const overlapping = await Delegation.findOne({
+      delegator: delegator._id,
+      delegate: delegate._id,
+      revoked_at: null,
+      starts_at: { $lt: end },
+      ends_at: { $gt: start },
+    });
+    if (overlapping)
+      return res.status(409).json({
+        message: "an overlapping delegation to this user already exists",
+        id: overlapping._id,
+      });
+
+    const delegation = await Delegation.create({
+      delegator: delegator._id,
+      delegate: delegate._id,
+      starts_at: start,
+      ends_at: end,
+      reason: reason ? String(reason).trim() : "",
+      created_by: req.user._id,
+    });
+
+    await createAudit({
+      entity_type: "delegation",
+      entity_id: delegation._id,
+      action: "created",
+      performed_by: req.user._id,
+      meta: {
+        delegator: delegator._id,
+        delegate: delegate._id,
+        starts_at: start,
+        ends_at: end,
+        reason: delegation.reason,
+      },
+    });
+    await notifyUser(
+      delegate._id,
+      "You can decide personal expenses on someone's behalf",
+      `${delegator.display_name || delegator.username} delegated their approvals to you from ${start.toISOString()} until ${end.toISOString()}.`,
+      delegation,
+      "notify_delegate_created",
+      req.user._id,
+    );
+
+    await delegation.populate("delegator", "username display_name");
+    await delegation.populate("delegate", "username display_name");
+    return res.status(201).json({ item: toItem(delegation) });
+  } catch (err) {
+    console.error("POST /api/approval-delegations error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+
+    const delegation = await Delegation.findById(req.params.id);
+    if (!delegation) return res.status(404).json({ message: "not found" });
+    if (
+      String(delegation.delegator) !== String(req.user._id) &&
+      !(await hasPermission(req.user, "users.manage"))
+    )
+      return res.status(403).json({ message: "forbidden" });
+    if (delegation.revoked_at)
+      return res.status(400).json({ message: "already revoked" });
+
+    delegation.revoked_at = new Date();
+    delegation.revoked_by = req.user._id;
+    await delegation.save();
+
+    await createAudit({
+      entity_type: "delegation",
+      entity_id: delegation._id,
+      action: "revoked",
+      performed_by: req.user._id,
+      meta: { delegator: delegation.delegator, delegate: delegation.delegate },
+    });
+    await notifyUser(
+      delegation.delegate,
+      "Approval delegation revoked",
+      "A delegation of personal expense approvals to you was revoked.",
+      delegation,
+      "notify_delegate_revoked",
+      req.user._id,
+    );
+
+    return res.json({ item: toItem(delegation), message: "revoked" });
+  } catch (err) {
+    console.error("DELETE /api/approval-delegations/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const ExpenseCategory = require("../models/ExpenseCategory");
+const { authenticateOptional } = require("../middleware/auth");
 
-router.get("/", async (req, res) => {
+router.get("/", authenticateOptional, async (req, res) => {
   try {
     // ensure default categories exist (idempotent)
     const defaults = ["اشپزخانه", "حبوبیات", "خود خانه", "قرضه ها"];
@@ -5,8 +5,15 @@ const ExpenseEntry = require("../models/ExpenseEntry");
 const ExpenseCategory = require("../models/ExpenseCategory");
 const PersonalExpense = require("../models/PersonalExpense");
 const IncomeEntry = require("../models/IncomeEntry");
-const { authenticateToken } = require("../middleware/auth");
-const { permit } = require("../middleware/roles");
+const Record = require("../models/Record");
+const {
+  authenticateToken,
+  authenticateOptional,
+} = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { resolveItemRef, recordEntryPrices } = require("../utils/itemPrices");
+const { parseListQuery, findPage, envelope } = require("../utils/pagination");
 
 /**
  * Helper: compute monthly totals (income, expense, remaining)
@@ -34,9 +41,16 @@ async function computeMonthlyTotals(monthStr) {
   ]);
   const incomeTotal = (incAgg[0] && incAgg[0].total) || 0;
 
-  // expense entries sum (actual_amount)
+  // expense entries sum (actual_amount); bookings of personal expenses are
+  // left out, those are counted below from the requests themselves
   const expAgg = await ExpenseEntry.aggregate([
-    { $match: { date: { $gte: start, $lt: end } } },
+    {
+      $match: {
+        date: { $gte: start, $lt: end },
+        source_type: { $nin: ExpenseEntry.PERSONAL_SOURCE_TYPES },
+        ...ExpenseEntry.NOT_DELETED,
+      },
+    },
     {
       $group: {
         _id: null,
@@ -46,11 +60,11 @@ async function computeMonthlyTotals(monthStr) {
   ]);
   const expenseTotalFromEntries = (expAgg[0] && expAgg[0].total) || 0;
 
-  // personal expenses that were approved in the month
+  // personal expenses that were approved in the month (as approved)...
   const peAgg = await PersonalExpense.aggregate([
     {
       $match: {
-        status: "approved",
+        status: { $in: PersonalExpense.SPENT_STATUSES },
         approved_at: { $gte: start, $lt: end },
       },
     },
@@ -61,7 +75,16 @@ async function computeMonthlyTotals(monthStr) {
       },
     },
   ]);
-  const expenseTotalFromPersonal = (peAgg[0] && peAgg[0].total) || 0;
+  // ...minus voids / refunds made in the month
+  const refundAgg = await PersonalExpense.aggregate([
+    { $match: { "refunds.at": { $gte: start, $lt: end } } },
+    { $unwind: "$refunds" },
+    { $match: { "refunds.at": { $gte: start, $lt: end } } },
+    { $group: { _id: null, total: { $sum: "$refunds.amount" } } },
+  ]);
+  const refundedFromPersonal = (refundAgg[0] && refundAgg[0].total) || 0;
+  const expenseTotalFromPersonal =
+    ((peAgg[0] && peAgg[0].total) || 0) - refundedFromPersonal;
 
   const totalExpenses = expenseTotalFromEntries + expenseTotalFromPersonal;
   const remaining = incomeTotal - totalExpenses;
@@ -72,20 +95,208 @@ async function computeMonthlyTotals(monthStr) {
     incomeTotal,
     expenseTotalFromEntries,
     expenseTotalFromPersonal,
+    refundedFromPersonal,
     totalExpenses,
     remaining,
   };
 }
 
+// fields PUT /api/expenses/:id may change
+const EDITABLE_FIELDS = [
+  "record_id",
+  "category",
+  "title",
+  "amount_min",
+  "amount_avg",
+  "amount_max",
+  "actual_amount",
+  "unit",
+  "note",
+  "date",
+  "attachments",
+  "items",
+  "item",
+  "quantity",
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+// rounding slack allowed between a given total and quantity * unit_price
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Helper: validate line items [{ name, item?, category?, quantity, unit?, unit_price, total? }].
+ * A given line total must match quantity * unit_price; lines without a category
+ * take `defaultCategory`; item (catalog id) must accept the line's unit.
+ * Returns { items, total } or { message }.
+ */
+async function readLineItems(items, defaultCategory) {
+  if (items == null) return { items: [], total: null };
+  if (!Array.isArray(items)) return { message: "items must be an array" };
+
+  const out = [];
+  for (const [i, line] of items.entries()) {
+    const at = `items[${i}]`;
+    if (!line || typeof line !== "object")
+      return { message: `${at} must be an object` };
+    let name = String(line.name || "").trim();
+    const quantity = Number(line.quantity);
+    if (line.quantity == null || !Number.isFinite(quantity) || quantity <= 0)
+      return { message: `${at}.quantity must be a positive number` };
+    const unitPrice = Number(line.unit_price);
+    if (line.unit_price == null || !Number.isFinite(unitPrice) || unitPrice < 0)
+      return { message: `${at}.unit_price must be a number >= 0` };
+
+    const total = round2(quantity * unitPrice);
+    if (line.total != null && line.total !== "") {
+      if (Math.abs(Number(line.total) - total) > AMOUNT_TOLERANCE)
+        return {
+          message: `${at}.total (${line.total}) does not match quantity * unit_price (${total})`,
+        };
+    }
+
+    let itemId = null;
+    let itemName = null;
+    if (line.item) {
+      const ref = await resolveItemRef(line.item, line.unit, `${at}.item`);
+      if (ref.message) return { message: ref.message };
+      itemId = ref.item._id;
+      itemName = ref.item.name;
+    }
+
+    let category = defaultCategory || null;
+    if (line.category) {
+      category = await ExpenseCategory.resolveId(line.category);
+      if (!category) return { message: `${at}.category not found` };
+    }
+
+    // lines of a catalog item may leave the name out
+    name = name || itemName;
+    if (!name) return { message: `${at}.name required` };
+
+    out.push({
+      name,
+      item: itemId,
+      category,
+      quantity,
+      unit: line.unit ? String(line.unit).trim() : "",
+      unit_price: unitPrice,
+      total,
+    });
+  }
+  return {
+    items: out,
+    total: out.length ? round2(out.reduce((sum, l) => sum + l.total, 0)) : null,
+  };
+}
+
+/**
+ * Helper: validate an entry-level catalog item { item, quantity, unit }.
+ * Returns { item, quantity } (both null when no item) or { message }.
+ */
+async function readEntryItem(itemId, quantity, unit) {
+  if (!itemId) {
+    if (quantity == null || quantity === "")
+      return { item: null, quantity: null };
+    const q = Number(quantity);
+    if (!Number.isFinite(q) || q <= 0)
+      return { message: "quantity must be a positive number" };
+    return { item: null, quantity: q };
+  }
+  const ref = await resolveItemRef(itemId, unit);
+  if (ref.message) return { message: ref.message };
+  const q = Number(quantity);
+  if (quantity == null || !Number.isFinite(q) || q <= 0)
+    return { message: "quantity must be a positive number when item is set" };
+  return { item: ref.item._id, quantity: q };
+}
+
+/** a given actual_amount must agree with the line items total */
+function amountMismatch(actualAmount, itemsTotal) {
+  if (actualAmount == null || actualAmount === "" || itemsTotal == null)
+    return null;
+  if (Math.abs(Number(actualAmount) - itemsTotal) <= AMOUNT_TOLERANCE)
+    return null;
+  return `actual_amount (${actualAmount}) does not match the line items total (${itemsTotal})`;
+}
+
+/** comparable plain value of a field for before/after audit entries */
+function auditValue(entry, field) {
+  const v = entry[field];
+  if (v == null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (field === "category" || field === "record_id" || field === "item")
+    return String(v._id || v);
+  if (field === "attachments" || field === "items")
+    return JSON.parse(JSON.stringify(v));
+  return v;
+}
+
+/** entries booked from personal expenses are corrected through void/refund, not edited */
+function rejectIfPersonal(entry, res) {
+  if (!ExpenseEntry.PERSONAL_SOURCE_TYPES.includes(entry.source_type))
+    return false;
+  res.status(409).json({
+    message:
+      "entry was booked from a personal expense; void or refund the personal expense instead",
+    source_type: entry.source_type,
+    source_id: entry.source_id,
+  });
+  return true;
+}
+
+/** entries of a closed record are locked until the record is reopened */
+async function rejectIfRecordClosed(entry, res) {
+  if (!entry.record_id) return false;
+  const closed = await Record.closedIds([entry.record_id]);
+  if (!closed.has(String(entry.record_id))) return false;
+  res.status(409).json({
+    message: "entry belongs to a closed record",
+    record_id: entry.record_id,
+  });
+  return true;
+}
+
+/** expense.manage may touch any entry, expense.create only their own */
+async function canModify(user, entry) {
+  if (await hasPermission(user, "expense.manage")) return true;
+  return (
+    String(entry.created_by) === String(user._id) &&
+    (await hasPermission(user, "expense.create"))
+  );
+}
+
 /**
- * GET /api/expenses?category=&from=&to=&user=&include_monthly_balance=true&month=YYYY-MM
+ * GET /api/expenses?category=&from=&to=&user=&record=&source_type=&source_id=&include_monthly_balance=true&month=YYYY-MM
+ * Paged: ?page=&limit=&sort=(-)date|createdAt|title|actual_amount|amount_avg&q= (title, note)
  */
-router.get("/", async (req, res) => {
+const LIST_OPTIONS = {
+  sortFields: ["date", "createdAt", "title", "actual_amount", "amount_avg"],
+  defaultSort: "-date",
+  searchFields: ["title", "note"],
+};
+
+router.get("/", authenticateOptional, async (req, res) => {
   try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
     const { category, from, to, user, include_monthly_balance, month } =
       req.query;
-    const q = {};
+    const q = { ...ExpenseEntry.NOT_DELETED };
     if (user) q.created_by = user;
+    if (req.query.record) {
+      // record=none -> entries not in any record
+      if (req.query.record === "none") q.record_id = null;
+      else if (mongoose.Types.ObjectId.isValid(req.query.record))
+        q.record_id = req.query.record;
+      else return res.json(envelope([], 0, list));
+    }
+    if (req.query.source_type) q.source_type = req.query.source_type;
+    if (
+      req.query.source_id &&
+      mongoose.Types.ObjectId.isValid(req.query.source_id)
+    )
+      q.source_id = req.query.source_id;
     if (from || to) q.date = {};
     if (from) q.date.$gte = new Date(from);
     if (to) q.date.$lte = new Date(to);
@@ -102,17 +313,16 @@ router.get("/", async (req, res) => {
         if (cat) q.category = cat._id;
         else {
           // if category not found, return empty list
-          return res.json({ items: [] });
+          return res.json(envelope([], 0, list));
         }
       }
     }
 
-    const items = await ExpenseEntry.find(q)
-      .populate("category", "name")
-      .populate("created_by", "username display_name")
-      .sort({ date: -1 });
-
-    const out = { items };
+    const out = await findPage(ExpenseEntry, q, list, (query) =>
+      query
+        .populate("category", "name")
+        .populate("created_by", "username display_name"),
+    );
 
     if (include_monthly_balance === "true") {
       const totals = await computeMonthlyTotals(month);
@@ -126,12 +336,47 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/expenses/deleted/list
+ * Soft-deleted entries (for restore), paged like the main list
+ * Requires expense.manage
+ */
+router.get(
+  "/deleted/list",
+  authenticateToken,
+  requirePermission("expense.manage"),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, {
+        ...LIST_OPTIONS,
+        sortFields: [...LIST_OPTIONS.sortFields, "deleted_at"],
+        defaultSort: "-deleted_at",
+      });
+      if (list.message) return res.status(400).json({ message: list.message });
+
+      const page = await findPage(
+        ExpenseEntry,
+        { deleted_at: { $ne: null } },
+        list,
+        (query) =>
+          query
+            .populate("category", "name")
+            .populate("deleted_by", "username display_name"),
+      );
+      return res.json(page);
+    } catch (err) {
+      console.error("GET /api/expenses/deleted/list error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
 /**
  * NEW: GET /api/expenses/:id
  * Return single ExpenseEntry (populated)
  * (placed after the list route to prevent conflicts)
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", authenticateOptional, async (req, res) => {
   try {
     const id = req.params.id;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -140,9 +385,11 @@ router.get("/:id", async (req, res) => {
 
     const item = await ExpenseEntry.findById(id)
       .populate("category", "name")
+      .populate("items.category", "name")
       .populate("created_by", "username display_name email role");
 
-    if (!item) return res.status(404).json({ message: "not found" });
+    if (!item || item.deleted_at)
+      return res.status(404).json({ message: "not found" });
 
     return res.json({ item });
   } catch (err) {
@@ -153,35 +400,35 @@ router.get("/:id", async (req, res) => {
 
 /**
  * POST /api/expenses
- * Allow superadmin, adminA and adminB to create public expense entries.
- * Body: { title, category (id or name), amount_min, amount_avg, amount_max, actual_amount, unit, note, date, attachments }
+ * Requires expense.create (superadmin, adminA and adminB by default).
+ * Body: { title, category (id or name), amount_min, amount_avg, amount_max, actual_amount, unit, note, date, attachments, record_id? (open record you may edit: record.manage or its responsible member),
+ *         items? [{ name, item?, category?, quantity, unit?, unit_price, total? }], item?, quantity? }
+ * item (catalog id) with quantity records the price of a single-item entry;
+ * catalog items on the entry or its lines feed /api/items/:id/price-history.
+ * With items, actual_amount is their sum (a given actual_amount must match) and
+ * missing amount_min/avg/max default to it.
  */
 router.post(
   "/",
   authenticateToken,
-  permit("superadmin", "adminA", "adminB"),
+  requirePermission("expense.create"),
   async (req, res) => {
     try {
       const {
         record_id,
         category,
         title,
-        amount_min,
-        amount_avg,
-        amount_max,
-        actual_amount,
         unit,
         note,
         date,
         attachments,
+        items,
+        item,
+        quantity,
       } = req.body;
+      let { amount_min, amount_avg, amount_max, actual_amount } = req.body;
 
       if (!title) return res.status(400).json({ message: "title required" });
-      if (amount_min == null || amount_avg == null || amount_max == null) {
-        return res.status(400).json({
-          message: "amount_min, amount_avg and amount_max are required",
-        });
-      }
 
       // category must be provided
       if (!category) {
@@ -191,24 +438,36 @@ router.post(
       }
 
       // resolve category: if string id -> use; else find by name (case-insensitive)
-      let categoryId = null;
-      if (category) {
-        if (mongoose.Types.ObjectId.isValid(category)) {
-          // ensure exists
-          const catExists = await ExpenseCategory.findById(category);
-          if (!catExists) {
-            return res.status(400).json({ message: "category not found" });
-          }
-          categoryId = category;
-        } else {
-          const cat = await ExpenseCategory.findOne({
-            name: { $regex: `^${category}$`, $options: "i" },
-          });
-          if (cat) categoryId = cat._id;
-          else {
-            return res.status(400).json({ message: "category not found" });
-          }
-        }
+      const categoryId = await ExpenseCategory.resolveId(category);
+      if (!categoryId) {
+        return res.status(400).json({ message: "category not found" });
+      }
+
+      const lines = await readLineItems(items, categoryId);
+      if (lines.message)
+        return res.status(400).json({ message: lines.message });
+      const catalog = await readEntryItem(item, quantity, unit);
+      if (catalog.message)
+        return res.status(400).json({ message: catalog.message });
+      if (lines.total != null) {
+        const mismatch = amountMismatch(actual_amount, lines.total);
+        if (mismatch) return res.status(400).json({ message: mismatch });
+        actual_amount = lines.total;
+        if (amount_min == null) amount_min = lines.total;
+        if (amount_avg == null) amount_avg = lines.total;
+        if (amount_max == null) amount_max = lines.total;
+      }
+
+      if (amount_min == null || amount_avg == null || amount_max == null) {
+        return res.status(400).json({
+          message: "amount_min, amount_avg and amount_max are required",
+        });
+      }
+
+      if (record_id) {
+        const target = await Record.resolveOpen(record_id, req.user);
+        if (target.message)
+          return res.status(target.status).json({ message: target.message });
       }
 
       const payload = {
@@ -224,12 +483,17 @@ router.post(
         date: date ? new Date(date) : undefined,
         created_by: req.user._id,
         attachments: attachments || [],
+        items: lines.items,
+        item: catalog.item,
+        quantity: catalog.quantity,
       };
 
-      const item = await ExpenseEntry.create(payload);
+      const created = await ExpenseEntry.create(payload);
+      await recordEntryPrices(created, req.user._id);
 
-      const populated = await ExpenseEntry.findById(item._id)
+      const populated = await ExpenseEntry.findById(created._id)
         .populate("category", "name")
+        .populate("items.category", "name")
         .populate("created_by", "username display_name");
 
       return res.status(201).json({ item: populated });
@@ -242,4 +506,244 @@ router.post(
   },
 );
 
+/**
+ * PUT /api/expenses/:id
+ * Correct an entry. Requires expense.manage, or expense.create for own entries.
+ * Body: any of { title, category, amount_min, amount_avg, amount_max, actual_amount, unit, note, date, attachments, record_id, items }
+ * items replaces all line items ([] or null removes them); while an entry has
+ * line items its actual_amount follows their sum.
+ * Entries booked from personal expenses or in a closed record can't be edited (409).
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("expense.create", "expense.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+
+      const entry = await ExpenseEntry.findById(req.params.id);
+      if (!entry || entry.deleted_at)
+        return res.status(404).json({ message: "not found" });
+      if (rejectIfPersonal(entry, res)) return;
+      if (await rejectIfRecordClosed(entry, res)) return;
+      if (!(await canModify(req.user, entry)))
+        return res.status(403).json({ message: "forbidden" });
+
+      const body = req.body || {};
+      const changes = {};
+      for (const f of EDITABLE_FIELDS) {
+        if (body[f] !== undefined) changes[f] = body[f];
+      }
+
+      if (changes.title !== undefined && !String(changes.title).trim())
+        return res.status(400).json({ message: "title required" });
+      for (const f of [
+        "amount_min",
+        "amount_avg",
+        "amount_max",
+        "actual_amount",
+      ]) {
+        if (changes[f] === undefined || changes[f] === null) continue;
+        if (!Number.isFinite(Number(changes[f])))
+          return res.status(400).json({ message: `${f} must be a number` });
+        changes[f] = Number(changes[f]);
+      }
+      for (const f of ["amount_min", "amount_avg", "amount_max"]) {
+        if (changes[f] === null)
+          return res.status(400).json({ message: `${f} is required` });
+      }
+      if (changes.category !== undefined) {
+        const categoryId = await ExpenseCategory.resolveId(changes.category);
+        if (!categoryId)
+          return res.status(400).json({ message: "category not found" });
+        changes.category = categoryId;
+      }
+      if (changes.record_id === "") changes.record_id = null;
+      if (changes.record_id) {
+        const target = await Record.resolveOpen(changes.record_id, req.user);
+        if (target.message)
+          return res.status(target.status).json({ message: target.message });
+      }
+      if (changes.date !== undefined) {
+        const d = new Date(changes.date);
+        if (Number.isNaN(d.getTime()))
+          return res.status(400).json({ message: "invalid date" });
+        changes.date = d;
+      }
+      if (changes.items !== undefined) {
+        const lines = await readLineItems(
+          changes.items,
+          changes.category || entry.category,
+        );
+        if (lines.message)
+          return res.status(400).json({ message: lines.message });
+        changes.items = lines.items;
+        if (lines.total != null) {
+          const mismatch = amountMismatch(changes.actual_amount, lines.total);
+          if (mismatch) return res.status(400).json({ message: mismatch });
+          changes.actual_amount = lines.total;
+        }
+      } else if (entry.items.length && changes.actual_amount !== undefined) {
+        const itemsTotal = round2(
+          entry.items.reduce((sum, l) => sum + l.total, 0),
+        );
+        const mismatch = amountMismatch(changes.actual_amount, itemsTotal);
+        if (mismatch) return res.status(400).json({ message: mismatch });
+        changes.actual_amount = itemsTotal;
+      }
+      if (["item", "quantity", "unit"].some((f) => changes[f] !== undefined)) {
+        const catalog = await readEntryItem(
+          changes.item !== undefined ? changes.item : entry.item,
+          changes.quantity !== undefined ? changes.quantity : entry.quantity,
+          changes.unit !== undefined ? changes.unit : entry.unit,
+        );
+        if (catalog.message)
+          return res.status(400).json({ message: catalog.message });
+        if (changes.item !== undefined) changes.item = catalog.item;
+        if (changes.quantity !== undefined) changes.quantity = catalog.quantity;
+      }
+      if (
+        changes.attachments !== undefined &&
+        !Array.isArray(changes.attachments)
+      )
+        return res
+          .status(400)
+          .json({ message: "attachments must be an array" });
+
+      const before = {};
+      const after = {};
+      for (const f of Object.keys(changes)) before[f] = auditValue(entry, f);
+      entry.set(changes);
+      for (const f of Object.keys(changes)) after[f] = auditValue(entry, f);
+      // only fields whose value actually changed go to the audit log
+      for (const f of Object.keys(changes)) {
+        if (JSON.stringify(before[f]) === JSON.stringify(after[f])) {
+          delete before[f];
+          delete after[f];
+        }
+      }
+      if (!Object.keys(after).length)
+        return res.status(400).json({ message: "nothing to update" });
+
+      await entry.save();
+      await recordEntryPrices(entry, req.user._id);
+      await createAudit({
+        entity_type: "expense_entry",
+        entity_id: entry._id,
+        action: "updated",
+        performed_by: req.user._id,
+        meta: { before, after },
+      });
+
+      const populated = await ExpenseEntry.findById(entry._id)
+        .populate("category", "name")
+        .populate("items.category", "name")
+        .populate("created_by", "username display_name");
+      return res.json({ item: populated });
+    } catch (err) {
+      console.error("PUT /api/expenses/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * DELETE /api/expenses/:id
+ * Soft delete (restorable). Body/query: { reason? }
+ * Same permission rules as PUT; personal expense bookings and entries of
+ * closed records are protected.
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("expense.create", "expense.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+
+      const entry = await ExpenseEntry.findById(req.params.id);
+      if (!entry || entry.deleted_at)
+        return res.status(404).json({ message: "not found" });
+      if (rejectIfPersonal(entry, res)) return;
+      if (await rejectIfRecordClosed(entry, res)) return;
+      if (!(await canModify(req.user, entry)))
+        return res.status(403).json({ message: "forbidden" });
+
+      const reason = String(
+        (req.body && req.body.reason) || req.query.reason || "",
+      ).trim();
+      entry.deleted_at = new Date();
+      entry.deleted_by = req.user._id;
+      entry.delete_reason = reason;
+      await entry.save();
+      // deleted entries drop out of the price history
+      await recordEntryPrices(entry, req.user._id);
+
+      const before = {};
+      for (const f of EDITABLE_FIELDS) before[f] = auditValue(entry, f);
+      await createAudit({
+        entity_type: "expense_entry",
+        entity_id: entry._id,
+        action: "deleted",
+        performed_by: req.user._id,
+        meta: { reason, before },
+      });
+      return res.json({ message: "deleted", item: entry });
+    } catch (err) {
+      console.error("DELETE /api/expenses/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * POST /api/expenses/:id/restore
+ * Undo a soft delete. Requires expense.manage, or expense.create for own entries.
+ */
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requirePermission("expense.create", "expense.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+
+      const entry = await ExpenseEntry.findById(req.params.id);
+      if (!entry) return res.status(404).json({ message: "not found" });
+      if (!entry.deleted_at)
+        return res.status(400).json({ message: "entry is not deleted" });
+      if (await rejectIfRecordClosed(entry, res)) return;
+      if (!(await canModify(req.user, entry)))
+        return res.status(403).json({ message: "forbidden" });
+
+      const deleted = {
+        deleted_at: entry.deleted_at,
+        deleted_by: entry.deleted_by,
+        reason: entry.delete_reason,
+      };
+      entry.deleted_at = null;
+      entry.deleted_by = null;
+      entry.delete_reason = "";
+      await entry.save();
+      await recordEntryPrices(entry, req.user._id);
+
+      await createAudit({
+        entity_type: "expense_entry",
+        entity_id: entry._id,
+        action: "restored",
+        performed_by: req.user._id,
+        meta: { deleted },
+      });
+      return res.json({ message: "restored", item: entry });
+    } catch (err) {
+      console.error("POST /api/expenses/:id/restore error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,537 @@
+// backend/routes/imports.js
+const express = require("express");
+const router = express.Router();
+const fs = require("fs/promises");
+const mongoose = require("mongoose");
+const ImportBatch = require("../models/ImportBatch");
+const ExpenseEntry = require("../models/ExpenseEntry");
+const IncomeEntry = require("../models/IncomeEntry");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const ItemPrice = require("../models/ItemPrice");
+const Record = require("../models/Record");
+const { authenticateToken } = require("../middleware/auth");
+const { hasPermission } = require("../middleware/roles");
+const { upload } = require("../middleware/upload");
+const { createAudit } = require("../utils/audit");
+const { csvToRecords } = require("../utils/csv");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+/**
+ * CSV import of older household records.
+ * 1. POST /api/imports/:kind (kind = expenses|incomes, multipart "file", optional
+ *    "mapping" JSON { field: "CSV header" }) validates every row and stores a
+ *    dry-run report; nothing is written to the ledger yet.
+ * 2. POST /api/imports/:id/commit inserts all rows at once (all or nothing).
+ * 3. POST /api/imports/:id/undo removes every entry of a committed batch
+ *    (expense entries are soft deleted and can be restored one by one).
+ * GET /api/imports (paged) and GET /api/imports/:id show batches and their reports.
+ * Needs expense.create for expenses and income.create for incomes.
+ */
+
+const MAX_ROWS = 5000;
+
+// per kind: target model, permission, fields with the headers recognised by default
+const KINDS = {
+  expenses: {
+    model: ExpenseEntry,
+    permission: "expense.create",
+    fields: {
+      title: ["title", "name", "description"],
+      category: ["category"],
+      amount_min: ["amount_min", "min"],
+      amount_avg: ["amount_avg", "avg", "average"],
+      amount_max: ["amount_max", "max"],
+      actual_amount: ["actual_amount", "actual", "amount"],
+      unit: ["unit"],
+      note: ["note", "notes"],
+      date: ["date"],
+    },
+  },
+  incomes: {
+    model: IncomeEntry,
+    permission: "income.create",
+    fields: {
+      source_name: ["source_name", "source"],
+      amount: ["amount"],
+      currency: ["currency"],
+      note: ["note", "notes"],
+      date: ["date"],
+    },
+  },
+};
+
+/** "1,250.50" -> 1250.5; "" -> null; junk -> NaN */
+function parseNumber(value) {
+  const v = String(value ?? "")
+    .replace(/[,\s]/g, "")
+    .trim();
+  if (v === "") return null;
+  return Number(v);
+}
+
+function parseDate(value) {
+  const v = String(value ?? "").trim();
+  if (v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/** header to read for every field: explicit mapping first, then the known aliases */
+function buildMapping(kind, headers, requested = {}) {
+  const lower = new Map(headers.map((h) => [h.toLowerCase(), h]));
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(KINDS[kind].fields)) {
+    if (requested[field]) {
+      if (!headers.includes(requested[field]))
+        return { message: `column "${requested[field]}" not found in file` };
+      mapping[field] = requested[field];
+      continue;
+    }
+    const hit = aliases.find((a) => lower.has(a));
+    if (hit) mapping[field] = lower.get(hit);
+  }
+  return { mapping };
+}
+
+/** resolve category names the way POST /api/expenses does, cached per import */
+function categoryResolver() {
+  const cache = new Map();
+  return async (value) => {
+    const key = value.toLowerCase();
+    if (!cache.has(key))
+      cache.set(key, (await ExpenseCategory.resolveId(value)) || null);
+    return cache.get(key);
+  };
+}
+
+async function validateExpense(get, resolveCategory) {
+  const errors = [];
+  const doc = {};
+  doc.title = get("title");
+  if (!doc.title) errors.push("title required");
+
+  const categoryName = get("category");
+  if (!categoryName) errors.push("category required");
+  else {
+    doc.category = await resolveCategory(categoryName);
+    if (!doc.category) errors.push(`category "${categoryName}" not found`);
+  }
+
+  for (const f of ["amount_min", "amount_avg", "amount_max", "actual_amount"]) {
+    const n = parseNumber(get(f));
+    if (Number.isNaN(n)) errors.push(`${f} is not a number`);
+    else doc[f] = n;
+  }
+  // spreadsheets often only have the amount paid: use it for the estimates
+  for (const f of ["amount_min", "amount_avg", "amount_max"]) {
+    if (doc[f] == null && doc.actual_amount != null) doc[f] = doc.actual_amount;
+    if (doc[f] == null && !errors.some((e) => e.startsWith(f)))
+      errors.push(`${f} required (or actual_amount)`);
+  }
+
+  const date = parseDate(get("date"));
+  if (date === undefined) errors.push("date is not a valid date");
+  else if (date) doc.date = date;
+
+  if (get("unit")) doc.unit = get("unit");
+  doc.note = get("note") || "";
+  return { doc, errors };
+}
+
+async function validateIncome(get) {
+  const errors = [];
+  const doc = {};
+  doc.source_name = get("source_name");
+  if (!doc.source_name) errors.push("source_name required");
+
+  const amount = parseNumber(get("amount"));
+  if (amount == null) errors.push("amount required");
+  else if (Number.isNaN(amount)) errors.push("amount is not a number");
+  else doc.amount = amount;
+
+  const date = parseDate(get("date"));
+  if (date === undefined) errors.push("date is not a valid date");
+  else if (date) doc.date = date;
+
+  doc.currency = get("currency") || "AFN";
+  doc.note = get("note") || "";
+  return { doc, errors };
+}
+
+const toSummary = (b) => ({
+  id: b._id,
+  kind: b.kind,
+  status: b.status,
+  file: b.file,
+  mapping: b.mapping,
+  row_count: b.row_count,
+  error_count: b.row_errors.length,
+  inserted_count: b.inserted_count,
+  created_by: b.created_by,
+  createdAt: b.createdAt,
+  committed_at: b.committed_at,
+  undone_at: b.undone_at,
+});
+
+/** load a batch the caller may act on (needs the kind's permission) */
+async function loadBatch(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  const batch = await ImportBatch.findById(req.params.id);
+  if (!batch) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  if (!(await hasPermission(req.user, KINDS[batch.kind].permission))) {
+    res.status(403).json({ message: "Forbidden - missing permission" });
+    return null;
+  }
+  return batch;
+}
+
+/** is the error "this MongoDB can't do transactions" (standalone server)? */
+const transactionsUnsupported = (err) =>
+  err &&
+  (err.code === 20 ||
+    /Transaction numbers are only allowed|replica set/i.test(err.message));
+
+/**
+ * Helper: insert all docs of a batch as one unit. Uses a transaction when the
+ * server supports it; otherwise inserts and removes the partial result on failure.
+ */
+async function insertAtomically(Model, docs, batchId) {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Model.insertMany(docs, { session, ordered: true });
+    });
+    return;
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  try {
+    await Model.insertMany(docs, { ordered: true });
+  } catch (err) {
+    await Model.deleteMany({ import_batch: batchId });
+    throw err;
+  }
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["createdAt", "status", "kind"],
+  defaultSort: "-createdAt",
+  searchFields: ["file.originalname"],
+};
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const kinds = [];
+    for (const [kind, cfg] of Object.entries(KINDS)) {
+      if (await hasPermission(req.user, cfg.permission)) kinds.push(kind);
+    }
+    if (!kinds.length)
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const q = { kind: { $in: kinds } };
+    if (req.query.kind)
+      q.kind = kinds.includes(req.query.kind) ? req.query.kind : null;
+    if (req.query.status) q.status = req.query.status;
+    const page = await findPage(ImportBatch, q, list, (query) =>
+      query.select("-rows").populate("created_by", "username display_name"),
+    );
+    return res.json({ ...page, items: page.items.map(toSummary) });
+  } catch (err) {
+    console.error("GET /api/imports error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    return res.json({
+      item: toSummary(batch),
+      errors: batch.row_errors,
+      preview: batch.rows.slice(0, 20),
+    });
+  } catch (err) {
+    console.error("GET /api/imports/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/imports/:kind  (dry run)
+ * multipart: file (CSV, first line = headers), mapping? (JSON string)
+ * -> { item, errors: [{ line, messages }], preview }
+ */
+router.post(
+  "/:kind",
+  authenticateToken,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const cfg = KINDS[req.params.kind];
+      if (!cfg) return res.status(404).json({ message: "not found" });
+      if (!(await hasPermission(req.user, cfg.permission)))
+        return res
+          .status(403)
+          .json({ message: "Forbidden - missing permission" });
+      if (!req.file) return res.status(400).json({ message: "file required" });
+
+      let requested = {};
+      if (req.body && req.body.mapping) {
+        try {
+          requested = JSON.parse(req.body.mapping);
+        } catch (e) {
+          return res.status(400).json({ message: "mapping must be JSON" });
+        }
+      }
+
+      const text = await fs.readFile(req.file.path, "utf8");
+      const { headers, records } = csvToRecords(text);
+      if (!headers.length)
+        return res.status(400).json({ message: "file is empty" });
+      if (records.length > MAX_ROWS)
+        return res
+          .status(400)
+          .json({ message: `at most ${MAX_ROWS} rows per import` });
+
+      const { mapping, message } = buildMapping(
+        req.params.kind,
+        headers,
+        requested,
+      );
+      if (message) return res.status(400).json({ message });
+
+      const resolveCategory = categoryResolver();
+      const rows = [];
+      const rowErrors = [];
+      for (const record of records) {
+        const get = (field) =>
+          mapping[field] ? record.values[mapping[field]] || "" : "";
+        const { doc, errors } =
+          req.params.kind === "expenses"
+            ? await validateExpense(get, resolveCategory)
+            : await validateIncome(get);
+        if (errors.length)
+          rowErrors.push({ line: record.line, messages: errors });
+        else rows.push({ line: record.line, ...doc });
+      }
+
+      const batch = await ImportBatch.create({
+        kind: req.params.kind,
+        status: rowErrors.length || !rows.length ? "invalid" : "validated",
+        file: {
+          originalname: req.file.originalname,
+          size: req.file.size,
+        },
+        mapping,
+        row_count: records.length,
+        rows,
+        row_errors: rowErrors,
+        created_by: req.user._id,
+      });
+
+      await createAudit({
+        entity_type: "import_batch",
+        entity_id: batch._id,
+        action: "validated",
+        performed_by: req.user._id,
+        meta: {
+          kind: batch.kind,
+          file: batch.file.originalname,
+          rows: records.length,
+          errors: rowErrors.length,
+        },
+      });
+
+      return res.status(201).json({
+        item: toSummary(batch),
+        errors: rowErrors,
+        preview: rows.slice(0, 20),
+        message:
+          batch.status === "validated"
+            ? "file is valid; commit to import"
+            : "fix the errors and upload again",
+      });
+    } catch (err) {
+      console.error("POST /api/imports/:kind error", err);
+      return res.status(500).json({ message: "server error" });
+    } finally {
+      // the rows live on the batch; the upload itself is never served
+      if (req.file)
+        await fs
+          .unlink(req.file.path)
+          .catch((err) => console.error("import upload cleanup error", err));
+    }
+  },
+);
+
+/**
+ * POST /api/imports/:id/commit
+ * Insert every validated row of the batch, all or nothing.
+ */
+router.post("/:id/commit", authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== "validated")
+      return res
+        .status(400)
+        .json({ message: `cannot commit a batch that is ${batch.status}` });
+
+    const now = new Date();
+    const docs = batch.rows.map(({ line, ...doc }) => ({
+      ...doc,
+      ...(batch.kind === "expenses"
+        ? { record_id: null, attachments: [] }
+        : {}),
+      created_by: req.user._id,
+      import_batch: batch._id,
+    }));
+
+    // claim the batch so a double click can't import it twice
+    const claimed = await ImportBatch.updateOne(
+      { _id: batch._id, status: "validated" },
+      {
+        $set: {
+          status: "committed",
+          committed_at: now,
+          committed_by: req.user._id,
+        },
+      },
+    );
+    if (!claimed.modifiedCount)
+      return res
+        .status(409)
+        .json({ message: "batch is already being committed" });
+
+    try {
+      await insertAtomically(KINDS[batch.kind].model, docs, batch._id);
+    } catch (err) {
+      await ImportBatch.updateOne(
+        { _id: batch._id },
+        {
+          $set: { status: "validated", committed_at: null, committed_by: null },
+        },
+      );
+      console.error("Import commit failed", batch._id, err);
+      return res
+        .status(500)
+        .json({ message: "import failed, nothing was imported" });
+    }
+
+    batch.status = "committed";
+    batch.committed_at = now;
+    batch.committed_by = req.user._id;
+    batch.inserted_count = docs.length;
+    batch.rows = [];
+    await batch.save();
+
+    await createAudit({
+      entity_type: "import_batch",
+      entity_id: batch._id,
+      action: "committed",
+      performed_by: req.user._id,
+      meta: { kind: batch.kind, inserted: docs.length },
+    });
+    return res.json({ item: toSummary(batch), message: "imported" });
+  } catch (err) {
+    console.error("POST /api/imports/:id/commit error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/imports/:id/undo
+ * Remove every entry created by a committed batch. Expense entries are soft
+ * deleted like DELETE /api/expenses/:id, so edits made since the import stay
+ * restorable; incomes have no soft delete, so the undo is refused once one of
+ * them was changed after the import.
+ */
+router.post("/:id/undo", authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== "committed")
+      return res
+        .status(400)
+        .json({ message: "only committed batches can be undone" });
+
+    const Model = KINDS[batch.kind].model;
+    // entries moved into a closed record since the import stay put
+    const recordIds = await Model.distinct("record_id", {
+      import_batch: batch._id,
+    });
+    const closed = await Record.closedIds(recordIds);
+    if (closed.size)
+      return res.status(409).json({
+        message: "some entries of this batch belong to a closed record",
+        records: [...closed],
+      });
+
+    let ids;
+    let removed;
+    if (Model === ExpenseEntry) {
+      const filter = { import_batch: batch._id, ...ExpenseEntry.NOT_DELETED };
+      ids = await ExpenseEntry.distinct("_id", filter);
+      const result = await ExpenseEntry.updateMany(filter, {
+        $set: {
+          deleted_at: new Date(),
+          deleted_by: req.user._id,
+          delete_reason: "import undone",
+        },
+      });
+      removed = result.modifiedCount;
+      // deleted entries drop out of the price history
+      await ItemPrice.deleteMany({ expense_entry: { $in: ids } });
+    } else {
+      const edited = await Model.countDocuments({
+        import_batch: batch._id,
+        $expr: { $gt: ["$updatedAt", "$createdAt"] },
+      });
+      if (edited)
+        return res.status(409).json({
+          message: `${edited} entries of this batch were changed after the import`,
+        });
+      ids = await Model.distinct("_id", { import_batch: batch._id });
+      removed = (await Model.deleteMany({ import_batch: batch._id }))
+        .deletedCount;
+    }
+
+    batch.status = "undone";
+    batch.undone_at = new Date();
+    batch.undone_by = req.user._id;
+    await batch.save();
+
+    await createAudit({
+      entity_type: "import_batch",
+      entity_id: batch._id,
+      action: "undone",
+      performed_by: req.user._id,
+      meta: { kind: batch.kind, removed, ids },
+    });
+    return res.json({
+      item: toSummary(batch),
+      removed,
+      message: "undone",
+    });
+  } catch (err) {
+    console.error("POST /api/imports/:id/undo error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
@@ -3,26 +3,46 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const IncomeEntry = require("../models/IncomeEntry");
-const { authenticateToken } = require("../middleware/auth");
-const { permit } = require("../middleware/roles");
+const Record = require("../models/Record");
+const {
+  authenticateToken,
+  authenticateOptional,
+} = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const { parseListQuery, findPage, envelope } = require("../utils/pagination");
 
 /**
- * GET /api/incomes?from=&to=
+ * GET /api/incomes?from=&to=&record= (record id, or "none")
  * Public: anyone (guest/user) can view incomes.
+ * Paged: ?page=&limit=&sort=(-)date|createdAt|amount|source_name&q= (source, note)
  */
-router.get("/", async (req, res) => {
+const LIST_OPTIONS = {
+  sortFields: ["date", "createdAt", "amount", "source_name"],
+  defaultSort: "-date",
+  searchFields: ["source_name", "note"],
+};
+
+router.get("/", authenticateOptional, async (req, res) => {
   try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
     const { from, to } = req.query;
     const q = {};
+    if (req.query.record) {
+      if (req.query.record === "none") q.record_id = null;
+      else if (mongoose.Types.ObjectId.isValid(req.query.record))
+        q.record_id = req.query.record;
+      else return res.json(envelope([], 0, list));
+    }
     if (from || to) q.date = {};
     if (from) q.date.$gte = new Date(from);
     if (to) q.date.$lte = new Date(to);
 
-    const items = await IncomeEntry.find(q)
-      .sort({ date: -1 })
-      .populate("created_by", "username display_name");
-
-    return res.json({ items });
+    const page = await findPage(IncomeEntry, q, list, (query) =>
+      query.populate("created_by", "username display_name")
+    );
+    return res.json(page);
   } catch (err) {
     console.error("GET /api/incomes error", err);
     return res.status(500).json({ message: "server error" });
@@ -31,35 +51,47 @@ router.get("/", async (req, res) => {
 
 /**
  * POST /api/incomes
- * Only superadmin may create public income entries.
+ * Requires income.create (only superadmin by default).
+ * Body: { source_name, amount, currency?, note?, date?, record_id? (open record you may edit: record.manage or its responsible member) }
  */
-router.post("/", authenticateToken, permit("superadmin"), async (req, res) => {
-  try {
-    const { source_name, amount, currency, note, date } = req.body;
-    if (!source_name || amount == null)
-      return res.status(400).json({ message: "source and amount required" });
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("income.create"),
+  async (req, res) => {
+    try {
+      const { source_name, amount, currency, note, date, record_id } = req.body;
+      if (!source_name || amount == null)
+        return res.status(400).json({ message: "source and amount required" });
+      if (record_id) {
+        const target = await Record.resolveOpen(record_id, req.user);
+        if (target.message)
+          return res.status(target.status).json({ message: target.message });
+      }
 
-    const item = await IncomeEntry.create({
-      source_name,
-      amount,
-      currency: currency || "AFN",
-      note: note || "",
-      date: date ? new Date(date) : undefined,
-      created_by: req.user._id,
-    });
+      const item = await IncomeEntry.create({
+        source_name,
+        amount,
+        currency: currency || "AFN",
+        note: note || "",
+        date: date ? new Date(date) : undefined,
+        record_id: record_id || null,
+        created_by: req.user._id,
+      });
 
-    const populated = await IncomeEntry.findById(item._id).populate(
-      "created_by",
-      "username display_name"
-    );
+      const populated = await IncomeEntry.findById(item._id).populate(
+        "created_by",
+        "username display_name"
+      );
 
-    return res.status(201).json({ item: populated });
-  } catch (err) {
-    console.error("POST /api/incomes error", err);
-    return res
-      .status(500)
-      .json({ message: "server error", error: err.message });
+      return res.status(201).json({ item: populated });
+    } catch (err) {
+      console.error("POST /api/incomes error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
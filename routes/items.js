@@ -0,0 +1,504 @@
+// backend/routes/items.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const ItemPrice = require("../models/ItemPrice");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const {
+  authenticateToken,
+  authenticateOptional,
+} = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+/**
+ * Catalog of items the household buys (staples, groceries...) and their price history.
+ * Expense entries and line items reference an item with { item, quantity, unit };
+ * every such purchase records a unit price in the item's canonical unit.
+ * Reading is public like the ledger.
+ * Routes:
+ * GET    /api/items                      - ?q= (name, aliases), ?category=, ?all=1 (include archived), paged, with last_price
+ * GET    /api/items/alerts               - prices flagged as far above the recent average (expense.create / expense.manage), paged
+ * GET    /api/items/:id                  - item + price stats
+ * GET    /api/items/:id/price-history    - ?from=&to=&interval=month|week|none, JSON or ?format=csv
+ * POST   /api/items                      - { name, unit, aliases?, category?, conversions? [{ unit, factor }], note?, alert_threshold_pct? } (expense.create)
+ * PUT    /api/items/:id                  - same fields (expense.create)
+ * DELETE /api/items/:id                  - archive (expense.manage); its price history is kept
+ */
+
+const INTERVALS = ["month", "week", "none"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * Helper: validate a create / update payload against `base` (existing values).
+ * Returns { changes } or { message }.
+ */
+async function normalizeItem(body, base = {}) {
+  const changes = {};
+  if (body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) return { message: "name required" };
+    changes.name = name;
+    changes.name_key = name.toLowerCase();
+  }
+  if (!changes.name && !base.name) return { message: "name required" };
+
+  if (body.unit !== undefined) {
+    const unit = String(body.unit || "").trim();
+    if (!unit) return { message: "unit required" };
+    changes.unit = unit;
+  }
+  const unit = changes.unit || base.unit;
+  if (!unit) return { message: "unit required" };
+
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases))
+      return { message: "aliases must be an array" };
+    changes.aliases = [
+      ...new Set(body.aliases.map((a) => String(a).trim()).filter(Boolean)),
+    ];
+  }
+  if (body.category !== undefined) {
+    const categoryId = await ExpenseCategory.resolveId(body.category);
+    if (categoryId === undefined) return { message: "category not found" };
+    changes.category = categoryId;
+  }
+  if (body.note !== undefined) changes.note = String(body.note || "").trim();
+  if (body.alert_threshold_pct !== undefined) {
+    if (body.alert_threshold_pct === null || body.alert_threshold_pct === "") {
+      changes.alert_threshold_pct = null;
+    } else {
+      const pct = Number(body.alert_threshold_pct);
+      if (!Number.isFinite(pct) || pct < 0)
+        return {
+          message: "alert_threshold_pct must be a number >= 0 (0 = no alerts)",
+        };
+      changes.alert_threshold_pct = pct;
+    }
+  }
+
+  if (body.conversions !== undefined) {
+    if (!Array.isArray(body.conversions))
+      return { message: "conversions must be an array" };
+    const seen = new Set([unit.toLowerCase()]);
+    changes.conversions = [];
+    for (const c of body.conversions) {
+      const cUnit = String((c && c.unit) || "").trim();
+      const factor = Number(c && c.factor);
+      if (!cUnit || !Number.isFinite(factor) || factor <= 0)
+        return {
+          message: "each conversion needs a unit and a factor > 0",
+        };
+      if (seen.has(cUnit.toLowerCase()))
+        return { message: `unit ${cUnit} is listed twice` };
+      seen.add(cUnit.toLowerCase());
+      changes.conversions.push({ unit: cUnit, factor });
+    }
+  }
+  return { changes };
+}
+
+/** Helper: latest recorded price per item -> Map(id string -> { unit_price, date }) */
+async function lastPrices(ids) {
+  const rows = await ItemPrice.aggregate([
+    { $match: { item: { $in: ids } } },
+    { $sort: { date: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: "$item",
+        unit_price: { $first: "$unit_price" },
+        date: { $first: "$date" },
+      },
+    },
+  ]);
+  return new Map(
+    rows.map((r) => [
+      String(r._id),
+      { unit_price: r.unit_price, date: r.date },
+    ]),
+  );
+}
+
+/** Helper: min / max / avg / latest of a list of ItemPrice rows (sorted by date) */
+function priceStats(points) {
+  if (!points.length) return null;
+  const prices = points.map((p) => p.unit_price);
+  const quantity = points.reduce((s, p) => s + p.quantity, 0);
+  const spent = points.reduce((s, p) => s + p.unit_price * p.quantity, 0);
+  const first = points[0];
+  const latest = points[points.length - 1];
+  return {
+    purchases: points.length,
+    quantity: round4(quantity),
+    min_unit_price: Math.min(...prices),
+    max_unit_price: Math.max(...prices),
+    // weighted by quantity
+    avg_unit_price: quantity ? round4(spent / quantity) : null,
+    first: { unit_price: first.unit_price, date: first.date },
+    latest: { unit_price: latest.unit_price, date: latest.date },
+    change_pct: first.unit_price
+      ? Math.round((latest.unit_price / first.unit_price - 1) * 10000) / 100
+      : null,
+  };
+}
+
+/**
+ * bucket key of a date: YYYY-MM, or the Monday (YYYY-MM-DD) of its week.
+ * Both use server local time, like the from/to day bounds.
+ */
+function bucketOf(date, interval) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  if (interval === "month")
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+  const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return `${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["name", "createdAt", "unit"],
+  defaultSort: "name",
+  searchFields: ["name", "aliases", "note"],
+};
+
+router.get("/", authenticateOptional, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const q = {};
+    if (!req.query.all) q.active = true;
+    if (req.query.category) {
+      const categoryId = await ExpenseCategory.resolveId(req.query.category);
+      if (!categoryId)
+        return res.status(400).json({ message: "category not found" });
+      q.category = categoryId;
+    }
+
+    const page = await findPage(Item, q, list, (query) =>
+      query.populate("category", "name").lean(),
+    );
+    const last = await lastPrices(page.items.map((i) => i._id));
+    return res.json({
+      ...page,
+      items: page.items.map((i) => ({
+        ...i,
+        last_price: last.get(String(i._id)) || null,
+      })),
+    });
+  } catch (err) {
+    console.error("GET /api/items error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+const ALERT_LIST_OPTIONS = {
+  sortFields: ["date", "createdAt", "alert.above_pct"],
+  defaultSort: "-createdAt",
+  searchFields: [],
+};
+
+router.get(
+  "/alerts",
+  authenticateToken,
+  requirePermission("expense.create", "expense.manage"),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, ALERT_LIST_OPTIONS);
+      if (list.message) return res.status(400).json({ message: list.message });
+
+      const q = { "alert.above_pct": { $ne: null } };
+      if (req.query.item) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.item))
+          return res.status(400).json({ message: "invalid item" });
+        q.item = req.query.item;
+      }
+      if (req.query.from || req.query.to) q.date = {};
+      if (req.query.from) q.date.$gte = new Date(req.query.from);
+      if (req.query.to) q.date.$lte = new Date(req.query.to);
+
+      const page = await findPage(ItemPrice, q, list, (query) =>
+        query
+          .populate("item", "name unit")
+          .populate("expense_entry", "title date created_by")
+          .populate("recorded_by", "username display_name"),
+      );
+      return res.json(page);
+    } catch (err) {
+      console.error("GET /api/items/alerts error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.get("/:id", authenticateOptional, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+    const item = await Item.findById(req.params.id).populate(
+      "category",
+      "name",
+    );
+    if (!item) return res.status(404).json({ message: "not found" });
+
+    // stats of the last 90 days plus the latest purchase overall
+    const since = new Date(Date.now() - 90 * DAY_MS);
+    const recent = await ItemPrice.find({
+      item: item._id,
+      date: { $gte: since },
+    })
+      .sort({ date: 1 })
+      .lean();
+    const last = await lastPrices([item._id]);
+    return res.json({
+      item,
+      last_price: last.get(String(item._id)) || null,
+      recent: priceStats(recent),
+    });
+  } catch (err) {
+    console.error("GET /api/items/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * GET /api/items/:id/price-history?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=month|week|none&format=csv
+ * { item, unit, points: [{ date, unit_price, quantity, original, expense_entry, alert }],
+ *   buckets: [{ period, purchases, quantity, min_unit_price, max_unit_price, avg_unit_price, ... }], stats }
+ * Prices are per the item's canonical unit; without from/to the whole history is returned.
+ */
+router.get("/:id/price-history", authenticateOptional, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+    const item = await Item.findById(req.params.id);
+    if (!item) return res.status(404).json({ message: "not found" });
+
+    const interval = req.query.interval || "month";
+    if (!INTERVALS.includes(interval))
+      return res
+        .status(400)
+        .json({ message: `interval must be one of ${INTERVALS.join(", ")}` });
+
+    const q = { item: item._id };
+    if (req.query.from || req.query.to) q.date = {};
+    if (req.query.from) q.date.$gte = new Date(req.query.from);
+    if (req.query.to) {
+      const end = new Date(req.query.to);
+      end.setHours(23, 59, 59, 999);
+      q.date.$lte = end;
+    }
+    const points = await ItemPrice.find(q)
+      .sort({ date: 1, createdAt: 1 })
+      .populate("expense_entry", "title")
+      .lean();
+
+    const buckets = [];
+    if (interval !== "none") {
+      const groups = new Map();
+      for (const p of points) {
+        const key = bucketOf(p.date, interval);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(p);
+      }
+      for (const [period, rows] of groups) {
+        buckets.push({ period, ...priceStats(rows) });
+      }
+    }
+
+    if ((req.query.format || "").toLowerCase() === "csv") {
+      const esc = (v) => {
+        if (v == null) return "";
+        return `"${String(v).replace(/"/g, '""')}"`;
+      };
+      const lines = [
+        [
+          "date",
+          "unit_price",
+          "unit",
+          "quantity",
+          "original_quantity",
+          "original_unit",
+          "original_unit_price",
+          "expense_entry",
+          "expense_title",
+          "above_recent_avg_pct",
+        ].join(","),
+      ];
+      for (const p of points) {
+        lines.push(
+          [
+            esc(p.date ? new Date(p.date).toISOString() : ""),
+            esc(p.unit_price),
+            esc(item.unit),
+            esc(p.quantity),
+            esc(p.original && p.original.quantity),
+            esc(p.original && p.original.unit),
+            esc(p.original && p.original.unit_price),
+            esc(p.expense_entry ? p.expense_entry._id : ""),
+            esc(p.expense_entry ? p.expense_entry.title : ""),
+            esc(p.alert && p.alert.above_pct),
+          ].join(","),
+        );
+      }
+      const filename = `price-history-${item.name_key.replace(/[^\w-]+/g, "_")}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`,
+      );
+      return res.send(lines.join("\r\n"));
+    }
+
+    return res.json({
+      item,
+      unit: item.unit,
+      points: points.map((p) => ({
+        date: p.date,
+        unit_price: p.unit_price,
+        quantity: p.quantity,
+        original: p.original,
+        expense_entry: p.expense_entry,
+        line_item: p.line_item,
+        alert: p.alert && p.alert.above_pct != null ? p.alert : null,
+      })),
+      buckets,
+      stats: priceStats(points),
+    });
+  } catch (err) {
+    console.error("GET /api/items/:id/price-history error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("expense.create"),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await normalizeItem(body);
+      if (result.message)
+        return res.status(400).json({ message: result.message });
+
+      const existing = await Item.findOne({
+        name_key: result.changes.name_key,
+      });
+      if (existing)
+        return res
+          .status(409)
+          .json({ message: "an item with this name exists", id: existing._id });
+
+      const item = await Item.create({
+        ...result.changes,
+        created_by: req.user._id,
+      });
+      await createAudit({
+        entity_type: "item",
+        entity_id: item._id,
+        action: "created",
+        performed_by: req.user._id,
+        meta: { payload: body },
+      });
+      return res.status(201).json({ item });
+    } catch (err) {
+      console.error("POST /api/items error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("expense.create"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+      const item = await Item.findById(req.params.id);
+      if (!item || !item.active)
+        return res.status(404).json({ message: "not found" });
+
+      const result = await normalizeItem(req.body || {}, item.toObject());
+      if (result.message)
+        return res.status(400).json({ message: result.message });
+      const { changes } = result;
+      if (!Object.keys(changes).length)
+        return res.status(400).json({ message: "nothing to update" });
+
+      if (changes.name_key && changes.name_key !== item.name_key) {
+        const existing = await Item.findOne({ name_key: changes.name_key });
+        if (existing)
+          return res.status(409).json({
+            message: "an item with this name exists",
+            id: existing._id,
+          });
+      }
+      // recorded prices are per the canonical unit; changing it would mix units
+      if (
+        changes.unit &&
+        changes.unit.toLowerCase() !== item.unit.toLowerCase() &&
+        (await ItemPrice.exists({ item: item._id }))
+      )
+        return res.status(409).json({
+          message:
+            "unit can't change once prices are recorded; create a new item instead",
+        });
+
+      const before = {};
+      for (const f of Object.keys(changes)) before[f] = item[f];
+      item.set(changes);
+      await item.save();
+
+      await createAudit({
+        entity_type: "item",
+        entity_id: item._id,
+        action: "updated",
+        performed_by: req.user._id,
+        meta: { before, after: changes },
+      });
+      return res.json({ item });
+    } catch (err) {
+      console.error("PUT /api/items/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("expense.manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id))
+        return res.status(404).json({ message: "not found" });
+      const item = await Item.findById(req.params.id);
+      if (!item || !item.active)
+        return res.status(404).json({ message: "not found" });
+
+      item.active = false;
+      await item.save();
+      await createAudit({
+        entity_type: "item",
+        entity_id: item._id,
+        action: "archived",
+        performed_by: req.user._id,
+      });
+      return res.json({ message: "deleted" });
+    } catch (err) {
+      console.error("DELETE /api/items/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -3,13 +3,33 @@ const express = require("express");
 const router = express.Router();
 const Notification = require("../models/Notification");
 const { authenticateToken } = require("../middleware/auth");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+const LIST_OPTIONS = {
+  sortFields: ["createdAt", "read"],
+  defaultSort: "-createdAt",
+  searchFields: ["title", "body"],
+};
 
 // get current user's notifications
+// ?page=&limit=&sort=&q=&unread=true
 router.get("/", authenticateToken, async (req, res) => {
-  const items = await Notification.find({ user: req.user._id })
-    .sort({ createdAt: -1 })
-    .limit(100);
-  res.json({ items });
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const q = { user: req.user._id };
+    if (req.query.unread === "true") q.read = false;
+    const page = await findPage(Notification, q, list);
+    const unread = await Notification.countDocuments({
+      user: req.user._id,
+      read: false,
+    });
+    return res.json({ ...page, unread });
+  } catch (err) {
+    console.error("GET /api/notifications error", err);
+    return res.status(500).json({ message: "server error" });
+  }
 });
 
 // mark read (accepts array of ids)
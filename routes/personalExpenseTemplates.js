@@ -0,0 +1,349 @@
+// backend/routes/personalExpenseTemplates.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const PersonalExpenseTemplate = require("../models/PersonalExpenseTemplate");
+const PersonalExpense = require("../models/PersonalExpense");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+/**
+ * Recurring personal expense templates of the logged in member.
+ * Due occurrences become drafts (or submitted requests with auto_submit),
+ * see jobs/recurringPersonalExpenses.js.
+ * Routes:
+ * GET    /api/personal-expense-templates             - own templates (?all=1 with personal.view_all, ?status=active|paused, paged ?page&limit&sort&q)
+ * GET    /api/personal-expense-templates/:id         - one template + its generated requests
+ * POST   /api/personal-expense-templates             - create { title, category, amount_min/avg/max, requested_amount?,
+ *                                                      frequency: monthly|weekly|interval, interval_days?, starts_at, ends_at?, auto_submit? }
+ * PUT    /api/personal-expense-templates/:id         - edit (only future occurrences change)
+ * POST   /api/personal-expense-templates/:id/pause
+ * POST   /api/personal-expense-templates/:id/resume  - continues from the next occurrence after now
+ * DELETE /api/personal-expense-templates/:id         - archive (generated requests keep their link)
+ */
+
+const EDITABLE = [
+  "title",
+  "description",
+  "category",
+  "amount_min",
+  "amount_avg",
+  "amount_max",
+  "requested_amount",
+  "frequency",
+  "interval_days",
+  "starts_at",
+  "ends_at",
+  "auto_submit",
+];
+
+/**
+ * Helper: validate a create / update payload against `base` (existing values).
+ * Returns { changes } or { message }.
+ */
+async function normalizeTemplate(body, base = {}) {
+  const changes = {};
+  for (const f of EDITABLE) if (body[f] !== undefined) changes[f] = body[f];
+  const merged = { ...base, ...changes };
+
+  if (!merged.title || !String(merged.title).trim())
+    return { message: "title required" };
+  for (const f of ["amount_min", "amount_avg", "amount_max"]) {
+    if (merged[f] == null || !Number.isFinite(Number(merged[f])))
+      return { message: "amount_min/avg/max required" };
+    if (changes[f] !== undefined) changes[f] = Number(changes[f]);
+  }
+  if (
+    changes.requested_amount !== undefined &&
+    changes.requested_amount !== null
+  ) {
+    changes.requested_amount = Number(changes.requested_amount);
+    if (!Number.isFinite(changes.requested_amount))
+      return { message: "requested_amount must be a number" };
+  }
+
+  if (changes.category !== undefined) {
+    const categoryId = await ExpenseCategory.resolveId(changes.category);
+    if (categoryId === undefined) return { message: "category not found" };
+    changes.category = categoryId;
+  }
+
+  if (!PersonalExpenseTemplate.FREQUENCIES.includes(merged.frequency))
+    return {
+      message: `frequency must be one of ${PersonalExpenseTemplate.FREQUENCIES.join(", ")}`,
+    };
+  if (merged.frequency === "interval") {
+    const days = Number(merged.interval_days);
+    if (!Number.isInteger(days) || days < 1)
+      return { message: "interval_days must be a whole number >= 1" };
+    if (changes.interval_days !== undefined) changes.interval_days = days;
+  }
+
+  for (const f of ["starts_at", "ends_at"]) {
+    if (changes[f] === undefined || changes[f] === null) continue;
+    const d = new Date(changes[f]);
+    if (Number.isNaN(d.getTime())) return { message: `invalid ${f}` };
+    changes[f] = d;
+  }
+  if (!merged.starts_at) return { message: "starts_at required" };
+  const startsAt = changes.starts_at || merged.starts_at;
+  const endsAt =
+    changes.ends_at !== undefined ? changes.ends_at : merged.ends_at;
+  if (endsAt && endsAt <= startsAt)
+    return { message: "ends_at must be after starts_at" };
+  if (changes.starts_at) changes.day_of_month = changes.starts_at.getDate();
+  if (changes.auto_submit !== undefined)
+    changes.auto_submit = Boolean(changes.auto_submit);
+
+  return { changes };
+}
+
+/** load a template the caller may manage (owner only) */
+async function loadOwn(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  const template = await PersonalExpenseTemplate.findById(req.params.id);
+  if (!template || template.status === "archived") {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  if (String(template.user) !== String(req.user._id)) {
+    res.status(403).json({ message: "not owner" });
+    return null;
+  }
+  return template;
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["next_run_at", "createdAt", "title", "status"],
+  defaultSort: "next_run_at",
+  searchFields: ["title", "description"],
+};
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const q = { status: { $ne: "archived" } };
+    if (!(
+      req.query.all && (await hasPermission(req.user, "personal.view_all"))
+    ))
+      q.user = req.user._id;
+    if (req.query.status) {
+      // archived templates are deleted ones and stay hidden
+      if (!["active", "paused"].includes(req.query.status))
+        return res
+          .status(400)
+          .json({ message: "status must be active or paused" });
+      q.status = req.query.status;
+    }
+
+    const page = await findPage(PersonalExpenseTemplate, q, list, (query) =>
+      query
+        .populate("user", "username display_name")
+        .populate("category", "name"),
+    );
+    return res.json(page);
+  } catch (err) {
+    console.error("GET /api/personal-expense-templates error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+    const item = await PersonalExpenseTemplate.findById(req.params.id)
+      .populate("user", "username display_name")
+      .populate("category", "name");
+    if (!item) return res.status(404).json({ message: "not found" });
+    if (
+      String(item.user._id) !== String(req.user._id) &&
+      !(await hasPermission(req.user, "personal.view_all"))
+    )
+      return res.status(403).json({ message: "forbidden" });
+
+    const generated = await PersonalExpense.find({ template: item._id })
+      .select("title status template_occurrence approved_amount createdAt")
+      .sort({ template_occurrence: -1 })
+      .limit(50);
+    return res.json({ item, generated });
+  } catch (err) {
+    console.error("GET /api/personal-expense-templates/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await normalizeTemplate(body, { frequency: "monthly" });
+      if (result.message)
+        return res.status(400).json({ message: result.message });
+
+      const template = new PersonalExpenseTemplate({
+        frequency: "monthly",
+        ...result.changes,
+        user: req.user._id,
+      });
+      template.next_run_at = template.firstOccurrenceFrom(new Date());
+      await template.save();
+
+      await createAudit({
+        entity_type: "personal_expense_template",
+        entity_id: template._id,
+        action: "created",
+        performed_by: req.user._id,
+        meta: { payload: body },
+      });
+      return res.status(201).json({ item: template });
+    } catch (err) {
+      console.error("POST /api/personal-expense-templates error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      const template = await loadOwn(req, res);
+      if (!template) return;
+
+      const result = await normalizeTemplate(
+        req.body || {},
+        template.toObject(),
+      );
+      if (result.message)
+        return res.status(400).json({ message: result.message });
+
+      const before = {};
+      for (const f of Object.keys(result.changes)) before[f] = template[f];
+      template.set(result.changes);
+      // schedule changes apply from now on; past occurrences are not regenerated
+      if (
+        ["frequency", "interval_days", "starts_at", "ends_at"].some(
+          (f) => result.changes[f] !== undefined,
+        )
+      ) {
+        template.next_run_at = template.firstOccurrenceFrom(new Date());
+      }
+      await template.save();
+
+      await createAudit({
+        entity_type: "personal_expense_template",
+        entity_id: template._id,
+        action: "updated",
+        performed_by: req.user._id,
+        meta: { before, after: result.changes },
+      });
+      return res.json({ item: template });
+    } catch (err) {
+      console.error("PUT /api/personal-expense-templates/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/:id/pause",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      const template = await loadOwn(req, res);
+      if (!template) return;
+      if (template.status === "paused")
+        return res.status(400).json({ message: "already paused" });
+
+      template.status = "paused";
+      template.paused_reason = String((req.body || {}).reason || "").trim();
+      await template.save();
+      await createAudit({
+        entity_type: "personal_expense_template",
+        entity_id: template._id,
+        action: "paused",
+        performed_by: req.user._id,
+        meta: { reason: template.paused_reason },
+      });
+      return res.json({ item: template, message: "paused" });
+    } catch (err) {
+      console.error(
+        "POST /api/personal-expense-templates/:id/pause error",
+        err,
+      );
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/:id/resume",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      const template = await loadOwn(req, res);
+      if (!template) return;
+      if (template.status !== "paused")
+        return res.status(400).json({ message: "template is not paused" });
+
+      // occurrences that fell inside the pause are skipped
+      template.status = "active";
+      template.paused_reason = "";
+      template.next_run_at = template.firstOccurrenceFrom(new Date());
+      await template.save();
+      await createAudit({
+        entity_type: "personal_expense_template",
+        entity_id: template._id,
+        action: "resumed",
+        performed_by: req.user._id,
+        meta: { next_run_at: template.next_run_at },
+      });
+      return res.json({ item: template, message: "resumed" });
+    } catch (err) {
+      console.error(
+        "POST /api/personal-expense-templates/:id/resume error",
+        err,
+      );
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const template = await loadOwn(req, res);
+    if (!template) return;
+
+    template.status = "archived";
+    template.next_run_at = null;
+    await template.save();
+    await createAudit({
+      entity_type: "personal_expense_template",
+      entity_id: template._id,
+      action: "archived",
+      performed_by: req.user._id,
+    });
+    return res.json({ message: "deleted" });
+  } catch (err) {
+    console.error("DELETE /api/personal-expense-templates/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
@@ -6,39 +6,154 @@ const ExpenseCategory = require("../models/ExpenseCategory");
 const PersonalExpense = require("../models/PersonalExpense");
 const IncomeEntry = require("../models/IncomeEntry");
 const Approval = require("../models/Approval");
-const AuditLog = require("../models/AuditLog");
 const User = require("../models/User");
 const Notification = require("../models/Notification");
+const Comment = require("../models/Comment");
+const Delegation = require("../models/Delegation");
+const Disbursement = require("../models/Disbursement");
 
 const { authenticateToken } = require("../middleware/auth");
-const { permit } = require("../middleware/roles");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const {
+  parseListQuery,
+  withSearch,
+  findPage,
+  envelope,
+} = require("../utils/pagination");
+const {
+  EDITABLE_FIELDS,
+  EDITABLE_STATUSES,
+  snapshotOf,
+  diffSnapshots,
+  finalizeApproval,
+  submitPersonalExpense,
+} = require("../utils/personalExpenseFlow");
+
+/** small helper to validate :id params */
+function isValidObjectId(id) {
+  return mongoose && mongoose.Types.ObjectId.isValid(String(id));
+}
+
+/** current submission round (requests submitted before rounds existed count as 1) */
+const currentRound = (pe) => pe.submission_round || 1;
+
+/** approvers the user currently stands in for (active delegations from active users) */
+async function activeDelegators(user) {
+  const delegations = await Delegation.find({
+    delegate: user._id,
+    ...Delegation.activeFilter(),
+  }).populate("delegator", "username display_name role status");
+  return delegations.map((d) => d.delegator).filter((u) => u && u.isActive());
+}
 
 /**
- * Helper: create audit log
+ * Helper: the delegators still to decide the current round of `pe` for `user`.
+ * decided: their Approval rows (personal_expense, admin_user, round).
  */
-async function createAudit({
-  entity_type,
-  entity_id,
-  action,
-  performed_by = null,
-  meta = {},
-}) {
-  try {
-    await AuditLog.create({
-      entity_type,
-      entity_id,
-      action,
-      performed_by,
-      meta,
-    });
-  } catch (err) {
-    console.error("Failed to write audit log", err);
+function undecidedDelegators(pe, delegators, user, decided) {
+  const round = currentRound(pe);
+  // populate leaves null when the owner's account no longer exists
+  const ownerId = pe.user ? String(pe.user._id || pe.user) : null;
+  return delegators.filter(
+    (u) =>
+      String(u._id) !== ownerId &&
+      String(user._id) !== ownerId &&
+      !decided.some(
+        (a) =>
+          String(a.personal_expense) === String(pe._id) &&
+          String(a.admin_user) === String(u._id) &&
+          (a.round || 1) === round,
+      ),
+  );
+}
+
+/**
+ * owner, anyone allowed to see all personal expenses (admins), or the delegate of
+ * an approver who decided the current round or still has to decide it
+ */
+async function canViewPersonalExpense(user, pe) {
+  if (String(pe.user._id || pe.user) === String(user._id)) return true;
+  if (await hasPermission(user, "personal.view_all")) return true;
+  if (pe.status === "draft") return false;
+
+  const delegators = await activeDelegators(user);
+  if (!delegators.length) return false;
+  const decided = await Approval.find({
+    personal_expense: pe._id,
+    admin_user: { $in: delegators.map((u) => u._id) },
+  }).select("personal_expense admin_user round");
+  if (decided.some((a) => (a.round || 1) === currentRound(pe))) return true;
+  return (
+    pe.status === "pending" &&
+    undecidedDelegators(pe, delegators, user, decided).length > 0
+  );
+}
+
+/**
+ * Helper: whose decision is this? Without onBehalfOf the caller decides for
+ * themselves and needs personal.approve; with it the caller must hold an active
+ * delegation from that approver, who must still be able to approve.
+ * Returns { approver, delegation } or { status, message }.
+ */
+async function resolveActingApprover(user, onBehalfOf) {
+  if (!onBehalfOf || String(onBehalfOf) === String(user._id)) {
+    if (!(await hasPermission(user, "personal.approve")))
+      return { status: 403, message: "Forbidden - missing permission" };
+    return { approver: user, delegation: null };
   }
+
+  if (!isValidObjectId(onBehalfOf))
+    return { status: 400, message: "invalid on_behalf_of" };
+  const delegation = await Delegation.findOne({
+    delegator: onBehalfOf,
+    delegate: user._id,
+    ...Delegation.activeFilter(),
+  });
+  if (!delegation)
+    return {
+      status: 403,
+      message: "no active delegation from this approver",
+    };
+
+  const approver = await User.findById(onBehalfOf);
+  if (
+    !approver ||
+    !approver.isActive() ||
+    !(await hasPermission(approver, "personal.approve"))
+  )
+    return {
+      status: 403,
+      message: "the delegating approver can no longer approve",
+    };
+  return { approver, delegation };
 }
 
-/** small helper to validate :id params */
-function isValidObjectId(id) {
-  return mongoose && mongoose.Types.ObjectId.isValid(String(id));
+/** what the member is owed for an approved request: approved minus refunds */
+const netApproved = (pe) =>
+  Math.max(
+    0,
+    Number(pe.approved_amount || 0) - Number(pe.refunded_amount || 0),
+  );
+
+/** recompute paid_amount / payment_status from the non-voided disbursements (caller saves) */
+async function syncPayment(pe) {
+  const agg = await Disbursement.aggregate([
+    { $match: { personal_expense: pe._id, voided_at: null } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: "$amount" },
+        last: { $max: "$paid_at" },
+      },
+    },
+  ]);
+  const paid = (agg[0] && agg[0].total) || 0;
+  pe.paid_amount = paid;
+  pe.last_paid_at = (agg[0] && agg[0].last) || null;
+  if (paid <= 0) pe.payment_status = "unpaid";
+  else if (paid >= netApproved(pe)) pe.payment_status = "paid";
+  else pe.payment_status = "partially_paid";
 }
 
 /**
@@ -67,9 +182,16 @@ async function computeMonthlyTotals(monthStr) {
   ]);
   const incomeTotal = (incAgg[0] && incAgg[0].total) || 0;
 
-  // expense entries sum (actual_amount)
+  // expense entries sum (actual_amount); bookings of personal expenses are
+  // left out, those are counted below from the requests themselves
   const expAgg = await ExpenseEntry.aggregate([
-    { $match: { date: { $gte: start, $lt: end } } },
+    {
+      $match: {
+        date: { $gte: start, $lt: end },
+        source_type: { $nin: ExpenseEntry.PERSONAL_SOURCE_TYPES },
+        ...ExpenseEntry.NOT_DELETED,
+      },
+    },
     {
       $group: {
         _id: null,
@@ -79,11 +201,11 @@ async function computeMonthlyTotals(monthStr) {
   ]);
   const expenseTotalFromEntries = (expAgg[0] && expAgg[0].total) || 0;
 
-  // personal expenses that were approved in the month
+  // personal expenses that were approved in the month (as approved)...
   const peAgg = await PersonalExpense.aggregate([
     {
       $match: {
-        status: "approved",
+        status: { $in: PersonalExpense.SPENT_STATUSES },
         approved_at: { $gte: start, $lt: end },
       },
     },
@@ -94,7 +216,16 @@ async function computeMonthlyTotals(monthStr) {
       },
     },
   ]);
-  const expenseTotalFromPersonal = (peAgg[0] && peAgg[0].total) || 0;
+  // ...minus voids / refunds made in the month
+  const refundAgg = await PersonalExpense.aggregate([
+    { $match: { "refunds.at": { $gte: start, $lt: end } } },
+    { $unwind: "$refunds" },
+    { $match: { "refunds.at": { $gte: start, $lt: end } } },
+    { $group: { _id: null, total: { $sum: "$refunds.amount" } } },
+  ]);
+  const refundedFromPersonal = (refundAgg[0] && refundAgg[0].total) || 0;
+  const expenseTotalFromPersonal =
+    ((peAgg[0] && peAgg[0].total) || 0) - refundedFromPersonal;
 
   const totalExpenses = expenseTotalFromEntries + expenseTotalFromPersonal;
   const remaining = incomeTotal - totalExpenses;
@@ -105,23 +236,73 @@ async function computeMonthlyTotals(monthStr) {
     incomeTotal,
     expenseTotalFromEntries,
     expenseTotalFromPersonal,
+    refundedFromPersonal,
     totalExpenses,
     remaining,
   };
 }
 
+/**
+ * Helper: check approve decisions against the request's approval requirements
+ * (distinct approvers in total + per-role minimums from its policy).
+ * Returns { met, approverIds, missingRoles: [{ role, missing }] }
+ */
+function approvalProgress(pe, approvals) {
+  const byApprover = new Map();
+  for (const a of approvals) {
+    if (!a.admin_user) continue;
+    const id = String(a.admin_user._id || a.admin_user);
+    const role = a.admin_role || (a.admin_user.role ?? null);
+    byApprover.set(id, role);
+  }
+
+  const missingRoles = [];
+  for (const rule of pe.required_approver_roles || []) {
+    const have = Array.from(byApprover.values()).filter(
+      (r) => r === rule.role,
+    ).length;
+    if (have < (rule.count || 1))
+      missingRoles.push({ role: rule.role, missing: (rule.count || 1) - have });
+  }
+
+  const met =
+    byApprover.size >= (pe.required_admins_count || 2) &&
+    missingRoles.length === 0;
+  return { met, approverIds: Array.from(byApprover.keys()), missingRoles };
+}
+
 /**
  * GET /api/personal-expenses
  * - user: returns their own personal expenses
- * - admin (adminA/adminB/superadmin): returns all (with optional filters)
+ * - with personal.view_all (admins): returns all (with optional filters)
+ * Paged: ?page=&limit=&sort=(-)createdAt|updatedAt|title|status|amount_avg|requested_amount|approved_amount|approved_at|submitted_at&q=
  */
+const LIST_OPTIONS = {
+  sortFields: [
+    "createdAt",
+    "updatedAt",
+    "title",
+    "status",
+    "amount_avg",
+    "requested_amount",
+    "approved_amount",
+    "approved_at",
+    "submitted_at",
+  ],
+  defaultSort: "-createdAt",
+  searchFields: ["title", "description"],
+};
+
 router.get("/", authenticateToken, async (req, res) => {
   try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
     const { from, to, status, user: userFilter } = req.query;
     const q = {};
 
     // if normal user -> only own
-    if (!["adminA", "adminB", "superadmin"].includes(req.user.role)) {
+    if (!(await hasPermission(req.user, "personal.view_all"))) {
       q.user = req.user._id;
     } else {
       // admin can filter by user
@@ -129,16 +310,18 @@ router.get("/", authenticateToken, async (req, res) => {
     }
 
     if (status) q.status = status;
+    if (req.query.template && isValidObjectId(req.query.template))
+      q.template = req.query.template;
     if (from || to) q.createdAt = {};
     if (from) q.createdAt.$gte = new Date(from);
     if (to) q.createdAt.$lte = new Date(to);
 
-    const items = await PersonalExpense.find(q)
-      .populate("user", "username display_name email role")
-      .populate("category")
-      .sort({ createdAt: -1 });
-
-    return res.json({ items });
+    const page = await findPage(PersonalExpense, q, list, (query) =>
+      query
+        .populate("user", "username display_name email role")
+        .populate("category"),
+    );
+    return res.json(page);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "server error" });
@@ -149,511 +332,891 @@ router.get("/", authenticateToken, async (req, res) => {
  * POST /api/personal-expenses
  * Create a new personal expense (initially draft)
  */
-router.post("/", authenticateToken, async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      category, // <-- can be ObjectId or a string name now
-      amount_min,
-      amount_avg,
-      amount_max,
-      requested_amount,
-      start_date,
-      end_date,
-      attachments,
-    } = req.body;
-    if (
-      !title ||
-      amount_min == null ||
-      amount_avg == null ||
-      amount_max == null
-    ) {
-      return res
-        .status(400)
-        .json({ message: "title and amount_min/avg/max required" });
-    }
-
-    // Resolve category: accept either ObjectId or string name; if string and not exist -> create it
-    let categoryId = null;
-    if (category) {
-      // if category looks like an ObjectId, validate and set
-      if (mongoose.Types.ObjectId.isValid(category)) {
-        const catExists = await ExpenseCategory.findById(category);
-        if (catExists) categoryId = catExists._id;
-        else {
-          // invalid id -> treat as not found
-          return res.status(400).json({ message: "category not found" });
-        }
-      } else if (typeof category === "string") {
-        // find by name (case-insensitive)
-        let cat = await ExpenseCategory.findOne({
-          name: { $regex: `^${category}$`, $options: "i" },
-        });
-        if (!cat) {
-          // create it (idempotent if race occurs)
-          try {
-            cat = await ExpenseCategory.create({ name: category });
-          } catch (err) {
-            // possible duplicate/race, try to find again
-            cat = await ExpenseCategory.findOne({
-              name: { $regex: `^${category}$`, $options: "i" },
-            });
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        category, // <-- can be ObjectId or a string name now
+        amount_min,
+        amount_avg,
+        amount_max,
+        requested_amount,
+        start_date,
+        end_date,
+        attachments,
+      } = req.body;
+      if (
+        !title ||
+        amount_min == null ||
+        amount_avg == null ||
+        amount_max == null
+      ) {
+        return res
+          .status(400)
+          .json({ message: "title and amount_min/avg/max required" });
+      }
+
+      // Resolve category: accept either ObjectId or string name; if string and not exist -> create it
+      let categoryId = null;
+      if (category) {
+        // if category looks like an ObjectId, validate and set
+        if (mongoose.Types.ObjectId.isValid(category)) {
+          const catExists = await ExpenseCategory.findById(category);
+          if (catExists) categoryId = catExists._id;
+          else {
+            // invalid id -> treat as not found
+            return res.status(400).json({ message: "category not found" });
+          }
+        } else if (typeof category === "string") {
+          // find by name (case-insensitive)
+          let cat = await ExpenseCategory.findOne({
+            name: { $regex: `^${category}$`, $options: "i" },
+          });
+          if (!cat) {
+            // create it (idempotent if race occurs)
+            try {
+              cat = await ExpenseCategory.create({ name: category });
+            } catch (err) {
+              // possible duplicate/race, try to find again
+              cat = await ExpenseCategory.findOne({
+                name: { $regex: `^${category}$`, $options: "i" },
+              });
+            }
           }
+          if (cat) categoryId = cat._id;
         }
-        if (cat) categoryId = cat._id;
       }
-    }
 
-    const pe = await PersonalExpense.create({
-      user: req.user._id,
-      title,
-      description,
-      category: categoryId || null,
-      amount_min,
-      amount_avg,
-      amount_max,
-      requested_amount,
-      start_date: start_date ? new Date(start_date) : undefined,
-      end_date: end_date ? new Date(end_date) : undefined,
-      status: "draft",
-      attachments: Array.isArray(attachments) ? attachments : [],
-    });
+      const pe = await PersonalExpense.create({
+        user: req.user._id,
+        title,
+        description,
+        category: categoryId || null,
+        amount_min,
+        amount_avg,
+        amount_max,
+        requested_amount,
+        start_date: start_date ? new Date(start_date) : undefined,
+        end_date: end_date ? new Date(end_date) : undefined,
+        status: "draft",
+        attachments: Array.isArray(attachments) ? attachments : [],
+      });
 
-    await createAudit({
-      entity_type: "personal_expense",
-      entity_id: pe._id,
-      action: "create",
-      performed_by: req.user._id,
-      meta: { payload: req.body },
-    });
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "create",
+        performed_by: req.user._id,
+        meta: { payload: req.body },
+      });
 
-    const populated = await PersonalExpense.findById(pe._id)
-      .populate("user", "username display_name email role")
-      .populate("category");
+      const populated = await PersonalExpense.findById(pe._id)
+        .populate("user", "username display_name email role")
+        .populate("category");
 
-    return res.status(201).json({ item: populated });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "server error" });
-  }
-});
+      return res.status(201).json({ item: populated });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
 
 /**
  * PUT /api/personal-expenses/:id
- * Edit — only allowed by owner and only if status === 'draft'
+ * Edit — only allowed by owner and only if status is 'draft' or 'changes_requested'
  */
-router.put("/:id", authenticateToken, async (req, res) => {
-  try {
-    if (!isValidObjectId(req.params.id)) {
-      return res.status(404).json({ message: "not found" });
-    }
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "not found" });
+      }
 
-    const pe = await PersonalExpense.findById(req.params.id);
-    if (!pe) return res.status(404).json({ message: "not found" });
-    if (String(pe.user) !== String(req.user._id))
-      return res.status(403).json({ message: "not owner" });
-    if (pe.status !== "draft")
-      return res.status(400).json({ message: "only editable in draft state" });
-
-    const updatable = [
-      "title",
-      "description",
-      "category",
-      "amount_min",
-      "amount_avg",
-      "amount_max",
-      "requested_amount",
-      "start_date",
-      "end_date",
-      "attachments",
-    ];
-    updatable.forEach((field) => {
-      if (req.body[field] !== undefined) pe[field] = req.body[field];
-    });
-    await pe.save();
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (!pe) return res.status(404).json({ message: "not found" });
+      if (String(pe.user) !== String(req.user._id))
+        return res.status(403).json({ message: "not owner" });
+      if (!EDITABLE_STATUSES.includes(pe.status))
+        return res.status(400).json({
+          message: "only editable in draft or changes_requested state",
+        });
 
-    await createAudit({
-      entity_type: "personal_expense",
-      entity_id: pe._id,
-      action: "update",
-      performed_by: req.user._id,
-      meta: { payload: req.body },
-    });
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) pe[field] = req.body[field];
+      });
+      await pe.save();
 
-    const populated = await PersonalExpense.findById(pe._id)
-      .populate("user", "username display_name email role")
-      .populate("category");
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "update",
+        performed_by: req.user._id,
+        meta: { payload: req.body },
+      });
 
-    return res.json({ item: populated });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "server error" });
-  }
-});
+      const populated = await PersonalExpense.findById(pe._id)
+        .populate("user", "username display_name email role")
+        .populate("category");
+
+      return res.json({ item: populated });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
 
 /**
  * POST /api/personal-expenses/:id/submit
- * Owner submits -> status becomes 'pending' and admins are notified
+ * Owner submits (or resubmits after "request changes") -> status becomes 'pending'
+ * and admins are notified. Every submit starts a new approval round; decisions of
+ * earlier rounds stay as history.
+ */
+router.post(
+  "/:id/submit",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "not found" });
+      }
+
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (!pe) return res.status(404).json({ message: "not found" });
+      if (String(pe.user) !== String(req.user._id))
+        return res.status(403).json({ message: "not owner" });
+      if (!EDITABLE_STATUSES.includes(pe.status))
+        return res.status(400).json({
+          message: "only draft or changes_requested can be submitted",
+        });
+
+      const { isResubmission, changes, autoApproved, amount } =
+        await submitPersonalExpense(pe, req.user);
+
+      if (autoApproved) {
+        const populated = await PersonalExpense.findById(pe._id)
+          .populate("user", "username display_name email role")
+          .populate("category");
+        return res.json({
+          item: populated,
+          message: "approved automatically by policy",
+          finalApprovedAmount: amount,
+        });
+      }
+
+      const populated = await PersonalExpense.findById(pe._id)
+        .populate("user", "username display_name email role")
+        .populate("category");
+
+      return res.json({
+        item: populated,
+        changes,
+        message: isResubmission
+          ? "resubmitted and admins notified"
+          : "submitted and admins notified",
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * POST /api/personal-expenses/:id/approve
+ * Admin endpoint to approve/reject or send back to the owner
+ * body: { decision: 'approve'|'reject'|'request_changes', comment: '...', approved_amount: Number|null, on_behalf_of?: userId }
+ * request_changes needs a comment; the request becomes editable again (changes_requested)
+ * Requires the personal.approve permission (adminA and adminB by default),
+ * or an active delegation from the on_behalf_of approver.
  */
-router.post("/:id/submit", authenticateToken, async (req, res) => {
+router.post("/:id/approve", authenticateToken, async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) {
       return res.status(404).json({ message: "not found" });
     }
 
+    const { decision, comment, on_behalf_of } = req.body;
+    const acting = await resolveActingApprover(req.user, on_behalf_of);
+    if (acting.status)
+      return res.status(acting.status).json({ message: acting.message });
+    const { approver, delegation } = acting;
+    // Note: approved_amount must be provided when decision === 'approve'
+    const rawApproved = req.body.approved_amount;
+
+    if (!["approve", "reject", "request_changes"].includes(decision))
+      return res.status(400).json({ message: "invalid decision" });
+
+    if (decision === "request_changes" && !String(comment || "").trim())
+      return res.status(400).json({
+        message: "comment is required when requesting changes",
+      });
+
+    // If approving, require approved_amount and it must be a valid number
+    if (decision === "approve") {
+      if (rawApproved === undefined || rawApproved === null) {
+        return res.status(400).json({
+          message: "approved_amount is required for approve decision",
+        });
+      }
+      const numeric = Number(rawApproved);
+      if (Number.isNaN(numeric)) {
+        return res
+          .status(400)
+          .json({ message: "approved_amount must be a valid number" });
+      }
+    }
+
+    // convert approved_amount into normalized value (could be null for rejects)
+    const approved_amount =
+      rawApproved !== undefined && rawApproved !== null
+        ? Number(rawApproved)
+        : null;
+
     const pe = await PersonalExpense.findById(req.params.id);
     if (!pe) return res.status(404).json({ message: "not found" });
-    if (String(pe.user) !== String(req.user._id))
-      return res.status(403).json({ message: "not owner" });
-    if (pe.status !== "draft")
-      return res.status(400).json({ message: "only draft can be submitted" });
+    if (pe.status !== "pending") {
+      return res
+        .status(400)
+        .json({ message: "can only approve/reject pending items" });
+    }
+    const round = currentRound(pe);
+
+    // one person, one vote per round: a delegate can't also count as
+    // themselves (or as another approver) and can't decide their own request
+    if (delegation) {
+      if (
+        String(pe.user) === String(req.user._id) ||
+        String(pe.user) === String(approver._id)
+      )
+        return res
+          .status(403)
+          .json({ message: "cannot decide on this request as a delegate" });
+    }
+    const conflicting = await Approval.findOne({
+      personal_expense: pe._id,
+      round,
+      admin_user: { $ne: approver._id },
+      $or: [
+        { delegate: req.user._id },
+        ...(delegation ? [{ admin_user: req.user._id }] : []),
+      ],
+    });
+    if (conflicting)
+      return res.status(409).json({
+        message: "you already decided this round for another approver",
+      });
 
-    pe.status = "pending";
-    await pe.save();
+    // create or update Approval record (unique index ensures one per admin and round)
+    let approval;
+    try {
+      approval = await Approval.create({
+        personal_expense: pe._id,
+        admin_user: approver._id,
+        admin_role: approver.role,
+        delegate: delegation ? req.user._id : null,
+        delegation: delegation ? delegation._id : null,
+        round,
+        decision,
+        comment: comment || "",
+        approved_amount,
+      });
+    } catch (err) {
+      // if unique index violation -> admin already decided, update instead
+      if (err.code === 11000) {
+        approval = await Approval.findOneAndUpdate(
+          { personal_expense: pe._id, admin_user: approver._id, round },
+          {
+            decision,
+            comment,
+            decided_at: new Date(),
+            approved_amount,
+            admin_role: approver.role,
+            delegate: delegation ? req.user._id : null,
+            delegation: delegation ? delegation._id : null,
+          },
+          { new: true },
+        );
+      } else {
+        throw err;
+      }
+    }
 
     await createAudit({
       entity_type: "personal_expense",
       entity_id: pe._id,
-      action: "submit",
+      action: `admin_${decision}`,
       performed_by: req.user._id,
-      meta: {},
+      meta: {
+        comment,
+        approved_amount,
+        round,
+        on_behalf_of: delegation ? approver._id : undefined,
+        delegation: delegation ? delegation._id : undefined,
+      },
     });
 
-    // notify admins
-    const admins = await User.find({ role: { $in: ["adminA", "adminB"] } });
-    for (const a of admins) {
+    // send back to the owner: editable again, comment attached, history kept
+    if (decision === "request_changes") {
+      pe.status = "changes_requested";
+      pe.change_request = {
+        by: req.user._id,
+        comment: String(comment).trim(),
+        at: new Date(),
+        round,
+      };
+      pe.approvals_count = 0;
+      await pe.save();
+
       try {
         await Notification.create({
-          user: a._id,
-          title: "New personal expense pending approval",
-          body: `User ${
+          user: pe.user,
+          title: "Changes requested on your personal expense",
+          body: `${
             req.user.display_name || req.user.username
-          } submitted "${pe.title}".`,
+          } asked for changes to "${pe.title}": ${comment}`,
           link: `/personal/${pe._id}`,
-          meta: { personal_expense: pe._id, from: req.user._id },
+          meta: {
+            personal_expense: pe._id,
+            by: req.user._id,
+            decision: "request_changes",
+            round,
+          },
         });
       } catch (nerr) {
-        console.error("Failed to create notification for admin", a._id, nerr);
+        console.error("Failed to notify owner of change request", nerr);
       }
 
       await createAudit({
         entity_type: "notification",
         entity_id: pe._id,
-        action: "notify_admin_new_pending",
+        action: "notify_owner_changes_requested",
         performed_by: req.user._id,
-        meta: { notifyTo: a._id, message: "New personal expense pending" },
+        meta: { owner: pe.user, comment },
       });
 
-      console.info(
-        `Notify admin ${a.username} about personal expense ${pe._id}`,
-      );
+      return res.json({ item: pe, approval, message: "changes requested" });
     }
 
-    const populated = await PersonalExpense.findById(pe._id)
-      .populate("user", "username display_name email role")
-      .populate("category");
+    // if any reject -> set rejected and notify owner
+    if (decision === "reject") {
+      pe.status = "rejected";
+      // update approvals_count (count only approve decisions)
+      const approveCount = await Approval.countDocuments({
+        personal_expense: pe._id,
+        decision: "approve",
+        round,
+      });
+      pe.approvals_count = approveCount;
+      await pe.save();
 
-    return res.json({
-      item: populated,
-      message: "submitted and admins notified",
-    });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "server error" });
-  }
-});
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "rejected_final",
+        performed_by: req.user._id,
+        meta: { by: req.user._id },
+      });
 
-/**
- * POST /api/personal-expenses/:id/approve
- * Admin endpoint to approve/reject
- * body: { decision: 'approve'|'reject', comment: '...', approved_amount: Number|null }
- * Only roles adminA and adminB allowed.
- */
-router.post(
-  "/:id/approve",
-  authenticateToken,
-  permit("adminA", "adminB"),
-  async (req, res) => {
-    try {
-      if (!isValidObjectId(req.params.id)) {
-        return res.status(404).json({ message: "not found" });
+      // notify owner
+      try {
+        await Notification.create({
+          user: pe.user,
+          title: "Your personal expense request was rejected",
+          body: `Request "${pe.title}" was rejected by ${
+            req.user.display_name || req.user.username
+          }. Comment: ${comment || "-"}`,
+          link: `/personal/${pe._id}`,
+          meta: {
+            personal_expense: pe._id,
+            by: req.user._id,
+            decision: "reject",
+          },
+        });
+      } catch (nerr) {
+        console.error("Failed to notify owner of rejection", nerr);
       }
 
-      const { decision, comment } = req.body;
-      // Note: approved_amount must be provided when decision === 'approve'
-      const rawApproved = req.body.approved_amount;
+      await createAudit({
+        entity_type: "notification",
+        entity_id: pe._id,
+        action: "notify_owner_rejected",
+        performed_by: req.user._id,
+        meta: { owner: pe.user, comment },
+      });
 
-      if (!["approve", "reject"].includes(decision))
-        return res.status(400).json({ message: "invalid decision" });
+      return res.json({ item: pe, approval, message: "rejected" });
+    }
 
-      // If approving, require approved_amount and it must be a valid number
-      if (decision === "approve") {
-        if (rawApproved === undefined || rawApproved === null) {
-          return res.status(400).json({
-            message: "approved_amount is required for approve decision",
-          });
-        }
-        const numeric = Number(rawApproved);
-        if (Number.isNaN(numeric)) {
-          return res
-            .status(400)
-            .json({ message: "approved_amount must be a valid number" });
-        }
-      }
+    // decision is 'approve' -> get all approvals with decision approve
+    const approvals = await Approval.find({
+      personal_expense: pe._id,
+      decision: "approve",
+      round,
+    }).populate("admin_user", "role username display_name");
 
-      // convert approved_amount into normalized value (could be null for rejects)
-      const approved_amount =
-        rawApproved !== undefined && rawApproved !== null
-          ? Number(rawApproved)
-          : null;
+    // count unique approver IDs (guarantees two different admins count as 2)
+    // and check the per-role minimums of the request's policy
+    const progress = approvalProgress(pe, approvals);
 
-      const pe = await PersonalExpense.findById(req.params.id);
-      if (!pe) return res.status(404).json({ message: "not found" });
-      if (pe.status !== "pending") {
-        return res
-          .status(400)
-          .json({ message: "can only approve/reject pending items" });
-      }
+    // update approvals_count on the personal expense (helpful UI)
+    pe.approvals_count = approvals.length;
+    await pe.save();
 
-      // create or update Approval record (unique index ensures one per admin)
-      let approval;
-      try {
-        approval = await Approval.create({
-          personal_expense: pe._id,
-          admin_user: req.user._id,
-          decision,
-          comment: comment || "",
-          approved_amount,
-        });
-      } catch (err) {
-        // if unique index violation -> admin already decided, update instead
-        if (err.code === 11000) {
-          approval = await Approval.findOneAndUpdate(
-            { personal_expense: pe._id, admin_user: req.user._id },
-            { decision, comment, decided_at: new Date(), approved_amount },
-            { new: true },
-          );
+    // if enough unique approvers (with the right roles) => finalize approval
+    if (progress.met) {
+      // gather provided approved_amounts from approvals (non-null)
+      const providedAmounts = approvals
+        .map((a) =>
+          a.approved_amount != null ? Number(a.approved_amount) : null,
+        )
+        .filter((v) => v != null);
+
+      let finalApprovedAmount = null;
+      if (providedAmounts.length > 0) {
+        // if all provided amounts are identical -> use that exact value
+        const allSame = providedAmounts.every((v) => v === providedAmounts[0]);
+        if (allSame) {
+          finalApprovedAmount = providedAmounts[0];
         } else {
-          throw err;
+          // otherwise use deterministic rounded average
+          const sum = providedAmounts.reduce((s, v) => s + v, 0);
+          finalApprovedAmount = Math.round(sum / providedAmounts.length);
         }
+      } else if (pe.requested_amount != null) {
+        finalApprovedAmount = Number(pe.requested_amount);
+      } else {
+        finalApprovedAmount = Number(pe.amount_avg || 0);
       }
 
-      await createAudit({
-        entity_type: "personal_expense",
-        entity_id: pe._id,
-        action: `admin_${decision}`,
-        performed_by: req.user._id,
-        meta: { comment, approved_amount },
+      await finalizeApproval(pe, finalApprovedAmount, req.user._id, {
+        approvers: progress.approverIds,
       });
 
-      // if any reject -> set rejected and notify owner
-      if (decision === "reject") {
-        pe.status = "rejected";
-        // update approvals_count (count only approve decisions)
-        const approveCount = await Approval.countDocuments({
-          personal_expense: pe._id,
-          decision: "approve",
-        });
-        pe.approvals_count = approveCount;
-        await pe.save();
+      return res.json({
+        item: pe,
+        approval,
+        message: "approved (final)",
+        finalApprovedAmount,
+      });
+    } else {
+      // still pending (not enough unique approvers / required roles yet)
+      const waitingFor = progress.missingRoles
+        .map((m) => `${m.missing} ${m.role}`)
+        .join(", ");
+      return res.json({
+        item: pe,
+        approval,
+        missing_roles: progress.missingRoles,
+        message: `record is still pending (approved by ${progress.approverIds.length}/${pe.required_admins_count}${
+          waitingFor ? `, waiting for ${waitingFor}` : ""
+        })`,
+      });
+    }
+  } catch (err) {
+    console.error(err);
+    return res
+      .status(500)
+      .json({ message: "server error", error: err.message });
+  }
+});
 
-        await createAudit({
-          entity_type: "personal_expense",
-          entity_id: pe._id,
-          action: "rejected_final",
-          performed_by: req.user._id,
-          meta: { by: req.user._id },
-        });
+/**
+ * GET /api/personal-expenses/:id/approvals
+ */
+router.get("/:id/approvals", authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "not found" });
+    }
 
-        // notify owner
-        try {
-          await Notification.create({
-            user: pe.user,
-            title: "Your personal expense request was rejected",
-            body: `Request "${pe.title}" was rejected by ${
-              req.user.display_name || req.user.username
-            }. Comment: ${comment || "-"}`,
-            link: `/personal/${pe._id}`,
-            meta: {
-              personal_expense: pe._id,
-              by: req.user._id,
-              decision: "reject",
-            },
-          });
-        } catch (nerr) {
-          console.error("Failed to notify owner of rejection", nerr);
-        }
+    const pe = await PersonalExpense.findById(req.params.id);
+    if (!pe) return res.status(404).json({ message: "not found" });
 
-        await createAudit({
-          entity_type: "notification",
-          entity_id: pe._id,
-          action: "notify_owner_rejected",
-          performed_by: req.user._id,
-          meta: { owner: pe.user, comment },
-        });
+    // owner or admin or superadmin can view approvals
+    if (!(await canViewPersonalExpense(req.user, pe))) {
+      return res.status(403).json({ message: "forbidden" });
+    }
 
-        return res.json({ item: pe, approval, message: "rejected" });
-      }
+    // every round is returned (history); current_round tells which ones count now
+    const approvals = await Approval.find({
+      personal_expense: pe._id,
+    })
+      .populate("admin_user", "username display_name role")
+      .populate("delegate", "username display_name")
+      .sort({ round: 1, decided_at: 1 });
+    return res.json({ approvals, current_round: currentRound(pe) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
 
-      // decision is 'approve' -> get all approvals with decision approve
-      const approvals = await Approval.find({
-        personal_expense: pe._id,
-        decision: "approve",
-      }).populate("admin_user", "role username display_name");
+/**
+ * GET /api/personal-expenses/:id/changes
+ * What changed since the last submission:
+ * - while editable (draft / changes_requested): current values vs last submitted
+ * - otherwise: last submission vs the one before it
+ * Same visibility as /:id/approvals
+ */
+router.get("/:id/changes", authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "not found" });
+    }
+
+    const pe = await PersonalExpense.findById(req.params.id);
+    if (!pe) return res.status(404).json({ message: "not found" });
+    if (!(await canViewPersonalExpense(req.user, pe))) {
+      return res.status(403).json({ message: "forbidden" });
+    }
 
-      // count unique approver IDs (guarantees two different admins count as 2)
-      const uniqueApprovers = new Set(
-        approvals
-          .map((a) => (a.admin_user ? String(a.admin_user._id) : null))
-          .filter(Boolean),
+    const subs = pe.submissions || [];
+    let from = null;
+    let to = null;
+    let toSnapshot = null;
+    if (EDITABLE_STATUSES.includes(pe.status)) {
+      from = subs[subs.length - 1] || null;
+      to = "current";
+      toSnapshot = snapshotOf(pe);
+    } else if (subs.length >= 2) {
+      from = subs[subs.length - 2];
+      to = subs[subs.length - 1].round;
+      toSnapshot = subs[subs.length - 1].snapshot;
+    }
+
+    return res.json({
+      from_round: from ? from.round : null,
+      to_round: to,
+      changes: from ? diffSnapshots(from.snapshot, toSnapshot) : [],
+      change_request: pe.change_request,
+      submissions: subs,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * GET /api/personal-expenses/pending
+ * Admins view pending list. Active approval delegates also see the requests
+ * still waiting for the approvers they stand in for (on_behalf_of on each item).
+ * Paged like the main list (?page=&limit=&sort=&q=)
+ */
+router.get("/pending/list", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const canViewAll = await hasPermission(req.user, "personal.view_all");
+    const delegators = await activeDelegators(req.user);
+    if (!canViewAll && !delegators.length)
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const q = { status: "pending" };
+    const populate = (query) =>
+      query.populate("user", "username display_name email");
+
+    // approvers page in the database; delegates only see the requests one of
+    // their delegators still has to decide, so theirs are filtered, then paged
+    let pending;
+    let total;
+    if (canViewAll) {
+      const page = await findPage(PersonalExpense, q, list, populate);
+      pending = page.items;
+      total = page.total;
+    } else {
+      pending = await populate(PersonalExpense.find(withSearch(q, list))).sort(
+        list.sort,
       );
+    }
+
+    // which of my delegators haven't decided the current round yet
+    const decided = delegators.length
+      ? await Approval.find({
+          personal_expense: { $in: pending.map((pe) => pe._id) },
+          admin_user: { $in: delegators.map((u) => u._id) },
+        }).select("personal_expense admin_user round")
+      : [];
+    let items = [];
+    for (const pe of pending) {
+      const onBehalfOf = undecidedDelegators(
+        pe,
+        delegators,
+        req.user,
+        decided,
+      ).map((u) => ({
+        _id: u._id,
+        username: u.username,
+        display_name: u.display_name,
+        role: u.role,
+      }));
+      if (!canViewAll && !onBehalfOf.length) continue;
+      items.push({ ...pe.toObject(), on_behalf_of: onBehalfOf });
+    }
+    if (!canViewAll) {
+      total = items.length;
+      items = items.slice(list.skip, list.skip + list.limit);
+    }
+    return res.json(envelope(items, total, list));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/personal-expenses/:id/cancel
+ * Owner can cancel (if not yet approved)
+ */
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  requirePermission("personal.create"),
+  async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "not found" });
+      }
+
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (!pe) return res.status(404).json({ message: "not found" });
+      if (String(pe.user) !== String(req.user._id))
+        return res.status(403).json({ message: "not owner" });
+      if (
+        [
+          "rejected",
+          "cancelled",
+          "expired",
+          ...PersonalExpense.SPENT_STATUSES,
+        ].includes(pe.status)
+      )
+        return res
+          .status(400)
+          .json({ message: "cannot cancel in current status" });
 
-      // update approvals_count on the personal expense (helpful UI)
-      pe.approvals_count = approvals.length;
+      pe.status = "cancelled";
       await pe.save();
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: "cancelled",
+        performed_by: req.user._id,
+      });
+      return res.json({ item: pe, message: "cancelled" });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
 
-      // if enough unique approvers => finalize approval
-      if (uniqueApprovers.size >= (pe.required_admins_count || 2)) {
-        // gather provided approved_amounts from approvals (non-null)
-        const providedAmounts = approvals
-          .map((a) =>
-            a.approved_amount != null ? Number(a.approved_amount) : null,
-          )
-          .filter((v) => v != null);
-
-        let finalApprovedAmount = null;
-        if (providedAmounts.length > 0) {
-          // if all provided amounts are identical -> use that exact value
-          const allSame = providedAmounts.every(
-            (v) => v === providedAmounts[0],
-          );
-          if (allSame) {
-            finalApprovedAmount = providedAmounts[0];
-          } else {
-            // otherwise use deterministic rounded average
-            const sum = providedAmounts.reduce((s, v) => s + v, 0);
-            finalApprovedAmount = Math.round(sum / providedAmounts.length);
-          }
-        } else if (pe.requested_amount != null) {
-          finalApprovedAmount = Number(pe.requested_amount);
-        } else {
-          finalApprovedAmount = Number(pe.amount_avg || 0);
-        }
+/**
+ * POST /api/personal-expenses/:id/refund
+ * Void (full) or refund part of an approved request. Body: { amount?, full?, reason }
+ * - full (or no amount): reverses whatever is still counted
+ * - history isn't edited: a negative "[Personal] Refund" ExpenseEntry is added
+ * - status -> partially_refunded, or voided once nothing is left
+ * Requires personal.refund (superadmin by default)
+ */
+router.post(
+  "/:id/refund",
+  authenticateToken,
+  requirePermission("personal.refund"),
+  async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "not found" });
+      }
 
-        pe.status = "approved";
-        pe.approved_amount = finalApprovedAmount;
-        pe.approved_at = new Date();
-        // ensure approvals_count reflects current approve docs
-        pe.approvals_count = approvals.length;
-        await pe.save();
+      const { amount, full, reason } = req.body || {};
+      if (!String(reason || "").trim())
+        return res.status(400).json({ message: "reason is required" });
+
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (!pe) return res.status(404).json({ message: "not found" });
+      if (!["approved", "partially_refunded"].includes(pe.status))
+        return res.status(400).json({
+          message: "only approved requests can be voided or refunded",
+        });
+
+      const approved = Number(pe.approved_amount || 0);
+      const net = approved - Number(pe.refunded_amount || 0);
+      if (net <= 0)
+        return res.status(400).json({ message: "nothing left to refund" });
+
+      const isFull = full === true || amount === undefined || amount === null;
+      const refundAmount = isFull ? net : Number(amount);
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0)
+        return res
+          .status(400)
+          .json({ message: "amount must be a positive number" });
+      if (refundAmount > net)
+        return res
+          .status(400)
+          .json({ message: `amount exceeds the remaining ${net}` });
+
+      const now = new Date();
+      const ee = await ExpenseEntry.create({
+        record_id: null,
+        category: pe.category || null,
+        title: `[Personal] Refund: ${pe.title}`,
+        actual_amount: -refundAmount,
+        note: `Refund of approved personal expense (id: ${pe._id}): ${String(reason).trim()}`,
+        date: now,
+        created_by: req.user._id,
+        attachments: [],
+        source_type: "personal_refund",
+        source_id: pe._id,
+      });
+
+      pe.refunded_amount = Number(pe.refunded_amount || 0) + refundAmount;
+      pe.refunds.push({
+        amount: refundAmount,
+        reason: String(reason).trim(),
+        full: refundAmount === net,
+        by: req.user._id,
+        at: now,
+        expense_entry: ee._id,
+      });
+      pe.status =
+        pe.refunded_amount >= approved ? "voided" : "partially_refunded";
+      // a smaller net may already be fully paid
+      await syncPayment(pe);
+      await pe.save();
+
+      await createAudit({
+        entity_type: "expense_entry",
+        entity_id: ee._id,
+        action: "created_from_personal_refund",
+        performed_by: req.user._id,
+        meta: { personal_expense: pe._id, amount: -refundAmount },
+      });
+      await createAudit({
+        entity_type: "personal_expense",
+        entity_id: pe._id,
+        action: pe.status === "voided" ? "voided" : "refunded",
+        performed_by: req.user._id,
+        meta: {
+          amount: refundAmount,
+          reason: String(reason).trim(),
+          refunded_total: pe.refunded_amount,
+          net: approved - pe.refunded_amount,
+          expense_entry: ee._id,
+        },
+      });
 
-        await createAudit({
-          entity_type: "personal_expense",
-          entity_id: pe._id,
-          action: "approved_final",
-          performed_by: req.user._id,
+      try {
+        await Notification.create({
+          user: pe.user,
+          title:
+            pe.status === "voided"
+              ? "Your approved personal expense was voided"
+              : "Part of your approved personal expense was refunded",
+          body: `Request "${pe.title}": ${refundAmount} reversed by ${
+            req.user.display_name || req.user.username
+          }. Reason: ${String(reason).trim()}`,
+          link: `/personal/${pe._id}`,
           meta: {
-            approvers: Array.from(uniqueApprovers),
-            finalApprovedAmount,
+            personal_expense: pe._id,
+            by: req.user._id,
+            amount: refundAmount,
+            status: pe.status,
           },
         });
+      } catch (nerr) {
+        console.error("Failed to notify owner of refund", nerr);
+      }
 
-        // notify owner about approval
-        try {
-          await Notification.create({
-            user: pe.user,
-            title: "Your personal expense request was approved",
-            body: `Request "${pe.title}" has been approved. Approved: ${finalApprovedAmount}`,
-            link: `/personal/${pe._id}`,
-            meta: {
-              personal_expense: pe._id,
-              by: req.user._id,
-              decision: "approve",
-              approved_amount: finalApprovedAmount,
-            },
-          });
-        } catch (nerr) {
-          console.error("Failed to notify owner of approval", nerr);
-        }
+      await createAudit({
+        entity_type: "notification",
+        entity_id: pe._id,
+        action: "notify_owner_refunded",
+        performed_by: req.user._id,
+        meta: { owner: pe.user, amount: refundAmount },
+      });
 
-        await createAudit({
-          entity_type: "notification",
-          entity_id: pe._id,
-          action: "notify_owner_approved",
-          performed_by: req.user._id,
-          meta: { owner: pe.user },
-        });
+      return res.json({
+        item: pe,
+        expense_entry: ee,
+        net_amount: approved - pe.refunded_amount,
+        message: pe.status === "voided" ? "voided" : "refunded",
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
 
-        // Create a global ExpenseEntry representing this approved personal expense, but only if not created already.
-        try {
-          const existing = await ExpenseEntry.findOne({
-            note: { $regex: new RegExp(`${pe._id}`, "i") },
-          });
-          if (!existing) {
-            const ee = await ExpenseEntry.create({
-              record_id: null,
-              category: pe.category || null,
-              title: `[Personal] ${pe.title}`,
-              amount_min: pe.amount_min,
-              amount_avg: pe.amount_avg,
-              amount_max: pe.amount_max,
-              actual_amount: finalApprovedAmount,
-              unit: pe.unit || undefined,
-              note: `Approved personal expense (id: ${pe._id})`,
-              date: pe.approved_at || new Date(),
-              created_by: req.user._id, // the admin who finalized
-              attachments: [],
-            });
-
-            await createAudit({
-              entity_type: "expense_entry",
-              entity_id: ee._id,
-              action: "created_from_personal_approval",
-              performed_by: req.user._id,
-              meta: { personal_expense: pe._id, expense_entry: ee._id },
-            });
-          } else {
-            if (existing.actual_amount !== finalApprovedAmount) {
-              console.info(
-                `Existing expense entry for personal ${pe._id} found; not overwriting actual_amount (${existing.actual_amount} != ${finalApprovedAmount})`,
-              );
-            }
-          }
-        } catch (outerErr) {
-          console.error(
-            "Failed creating global ExpenseEntry for approved personal expense",
-            outerErr,
-          );
-        }
+/* --------------------------- disbursements --------------------------- */
 
-        return res.json({
-          item: pe,
-          approval,
-          message: "approved (final)",
-          finalApprovedAmount,
-        });
-      } else {
-        // still pending (not enough unique approvers yet)
-        return res.json({
-          item: pe,
-          approval,
-          message: `record is still pending (approved by ${uniqueApprovers.size}/${pe.required_admins_count})`,
-        });
+// A payout settles what the cash box owes the member; it is not new spending.
+// The spend is counted once, in the month of approved_at (computeMonthlyTotals,
+// /api/reports/remaining), so paying out in a later month leaves that month's net alone.
+
+/** payout summary of a request */
+const paymentSummary = (pe) => ({
+  net_amount: netApproved(pe),
+  paid_amount: pe.paid_amount || 0,
+  outstanding: Math.max(0, netApproved(pe) - (pe.paid_amount || 0)),
+  payment_status: pe.payment_status || "unpaid",
+});
+
+/**
+ * GET /api/personal-expenses/payables/outstanding?user=
+ * Approved requests not (fully) paid out yet, oldest approval first
+ */
+router.get(
+  "/payables/outstanding",
+  authenticateToken,
+  requirePermission("personal.disburse", "personal.view_all"),
+  async (req, res) => {
+    try {
+      const q = {
+        status: { $in: PersonalExpense.PAYABLE_STATUSES },
+        payment_status: { $ne: "paid" },
+      };
+      if (req.query.user) {
+        if (!isValidObjectId(req.query.user))
+          return res.status(400).json({ message: "invalid user" });
+        q.user = req.query.user;
       }
+
+      const pes = await PersonalExpense.find(q)
+        .populate("user", "username display_name email")
+        .populate("category", "name")
+        .sort({ approved_at: 1 });
+      const items = pes
+        .map((pe) => ({ ...pe.toObject(), ...paymentSummary(pe) }))
+        .filter((it) => it.outstanding > 0);
+      const total = items.reduce((sum, it) => sum + it.outstanding, 0);
+      return res.json({ items, total_outstanding: total });
     } catch (err) {
       console.error(err);
-      return res
-        .status(500)
-        .json({ message: "server error", error: err.message });
+      return res.status(500).json({ message: "server error" });
     }
   },
 );
 
 /**
- * GET /api/personal-expenses/:id/approvals
+ * GET /api/personal-expenses/:id/disbursements
+ * Payouts of a request (same visibility as /:id/approvals)
  */
-router.get("/:id/approvals", authenticateToken, async (req, res) => {
+router.get("/:id/disbursements", authenticateToken, async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) {
       return res.status(404).json({ message: "not found" });
@@ -661,19 +1224,15 @@ router.get("/:id/approvals", authenticateToken, async (req, res) => {
 
     const pe = await PersonalExpense.findById(req.params.id);
     if (!pe) return res.status(404).json({ message: "not found" });
-
-    // owner or admin or superadmin can view approvals
-    if (
-      String(pe.user) !== String(req.user._id) &&
-      !["adminA", "adminB", "superadmin"].includes(req.user.role)
-    ) {
+    if (!(await canViewPersonalExpense(req.user, pe))) {
       return res.status(403).json({ message: "forbidden" });
     }
 
-    const approvals = await Approval.find({
-      personal_expense: pe._id,
-    }).populate("admin_user", "username display_name role");
-    return res.json({ approvals });
+    const items = await Disbursement.find({ personal_expense: pe._id })
+      .populate("paid_by", "username display_name")
+      .populate("recorded_by", "username display_name")
+      .sort({ paid_at: 1 });
+    return res.json({ items, ...paymentSummary(pe) });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "server error" });
@@ -681,19 +1240,133 @@ router.get("/:id/approvals", authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/personal-expenses/pending
- * Admins view pending list
+ * POST /api/personal-expenses/:id/disbursements
+ * Record a payout (full or installment).
+ * Body: { amount? (default: everything outstanding), paid_by?, paid_at?, method?, reference?, note?, receipt? }
+ * Requires personal.disburse
  */
-router.get(
-  "/pending/list",
+router.post(
+  "/:id/disbursements",
   authenticateToken,
-  permit("adminA", "adminB", "superadmin"),
+  requirePermission("personal.disburse"),
   async (req, res) => {
     try {
-      const items = await PersonalExpense.find({ status: "pending" })
-        .populate("user", "username display_name email")
-        .sort({ createdAt: -1 });
-      return res.json({ items });
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "not found" });
+      }
+
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (!pe) return res.status(404).json({ message: "not found" });
+      if (!PersonalExpense.PAYABLE_STATUSES.includes(pe.status))
+        return res
+          .status(400)
+          .json({ message: "only approved requests can be paid out" });
+
+      const { amount, paid_by, paid_at, method, reference, note, receipt } =
+        req.body || {};
+      const { outstanding } = paymentSummary(pe);
+      if (outstanding <= 0)
+        return res.status(400).json({ message: "nothing left to pay" });
+
+      const payAmount =
+        amount === undefined || amount === null ? outstanding : Number(amount);
+      if (!Number.isFinite(payAmount) || payAmount <= 0)
+        return res
+          .status(400)
+          .json({ message: "amount must be a positive number" });
+      if (payAmount > outstanding)
+        return res
+          .status(400)
+          .json({ message: `amount exceeds the outstanding ${outstanding}` });
+
+      if (method !== undefined && !Disbursement.METHODS.includes(method))
+        return res.status(400).json({
+          message: `method must be one of ${Disbursement.METHODS.join(", ")}`,
+        });
+
+      let payer = req.user._id;
+      if (paid_by) {
+        if (!isValidObjectId(paid_by))
+          return res.status(400).json({ message: "invalid paid_by" });
+        const u = await User.findById(paid_by).select("_id");
+        if (!u) return res.status(400).json({ message: "paid_by not found" });
+        payer = u._id;
+      }
+
+      const paidAt = paid_at ? new Date(paid_at) : new Date();
+      if (Number.isNaN(paidAt.getTime()))
+        return res.status(400).json({ message: "invalid paid_at" });
+
+      const disbursement = await Disbursement.create({
+        personal_expense: pe._id,
+        recipient: pe.user,
+        amount: payAmount,
+        paid_by: payer,
+        paid_at: paidAt,
+        method: method || "cash",
+        reference: reference ? String(reference).trim() : "",
+        note: note ? String(note).trim() : "",
+        receipt:
+          receipt && (receipt.path || receipt.filename)
+            ? {
+                filename: receipt.filename,
+                originalname: receipt.originalname,
+                mime: receipt.mime,
+                size: receipt.size,
+                path: receipt.path,
+              }
+            : undefined,
+        recorded_by: req.user._id,
+      });
+
+      await syncPayment(pe);
+      await pe.save();
+
+      await createAudit({
+        entity_type: "disbursement",
+        entity_id: disbursement._id,
+        action: "created",
+        performed_by: req.user._id,
+        meta: {
+          personal_expense: pe._id,
+          amount: payAmount,
+          method: disbursement.method,
+          paid_by: payer,
+          payment_status: pe.payment_status,
+        },
+      });
+
+      try {
+        await Notification.create({
+          user: pe.user,
+          title:
+            pe.payment_status === "paid"
+              ? "Your personal expense was paid out"
+              : "An installment of your personal expense was paid",
+          body: `Request "${pe.title}": ${payAmount} paid (${pe.paid_amount} of ${netApproved(pe)}).`,
+          link: `/personal/${pe._id}`,
+          meta: {
+            personal_expense: pe._id,
+            disbursement: disbursement._id,
+            amount: payAmount,
+            payment_status: pe.payment_status,
+          },
+        });
+      } catch (nerr) {
+        console.error("Failed to notify owner of disbursement", nerr);
+      }
+
+      await createAudit({
+        entity_type: "notification",
+        entity_id: pe._id,
+        action: "notify_owner_disbursed",
+        performed_by: req.user._id,
+        meta: { owner: pe.user, amount: payAmount },
+      });
+
+      return res
+        .status(201)
+        .json({ item: disbursement, ...paymentSummary(pe) });
     } catch (err) {
       console.error(err);
       return res.status(500).json({ message: "server error" });
@@ -702,10 +1375,163 @@ router.get(
 );
 
 /**
- * POST /api/personal-expenses/:id/cancel
- * Owner can cancel (if not yet approved)
+ * POST /api/personal-expenses/:id/disbursements/:disbursementId/void
+ * Body: { reason } - for payouts recorded by mistake; the record stays
+ * Requires personal.disburse
+ */
+router.post(
+  "/:id/disbursements/:disbursementId/void",
+  authenticateToken,
+  requirePermission("personal.disburse"),
+  async (req, res) => {
+    try {
+      if (
+        !isValidObjectId(req.params.id) ||
+        !isValidObjectId(req.params.disbursementId)
+      ) {
+        return res.status(404).json({ message: "not found" });
+      }
+
+      const reason = String((req.body || {}).reason || "").trim();
+      if (!reason)
+        return res.status(400).json({ message: "reason is required" });
+
+      const disbursement = await Disbursement.findOne({
+        _id: req.params.disbursementId,
+        personal_expense: req.params.id,
+      });
+      if (!disbursement) return res.status(404).json({ message: "not found" });
+      if (disbursement.voided_at)
+        return res.status(400).json({ message: "already voided" });
+
+      disbursement.voided_at = new Date();
+      disbursement.voided_by = req.user._id;
+      disbursement.void_reason = reason;
+      await disbursement.save();
+
+      const pe = await PersonalExpense.findById(req.params.id);
+      if (pe) {
+        await syncPayment(pe);
+        await pe.save();
+      }
+
+      await createAudit({
+        entity_type: "disbursement",
+        entity_id: disbursement._id,
+        action: "voided",
+        performed_by: req.user._id,
+        meta: {
+          personal_expense: disbursement.personal_expense,
+          amount: disbursement.amount,
+          reason,
+        },
+      });
+
+      return res.json({
+        item: disbursement,
+        ...(pe ? paymentSummary(pe) : {}),
+        message: "voided",
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/* ----------------------------- comments ----------------------------- */
+
+const COMMENT_MAX_LENGTH = 5000;
+const MENTION_RE = /@([A-Za-z0-9_.-]+)/g;
+
+/** keep only upload metadata fields on comment attachments */
+function cleanAttachments(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((a) => a && (a.path || a.filename))
+    .map((a) => ({
+      filename: a.filename,
+      originalname: a.originalname,
+      mime: a.mime,
+      size: a.size,
+      path: a.path,
+    }));
+}
+
+/**
+ * Helper: @username mentions in a comment body -> users who can see the request.
+ * Unknown, inactive or unauthorized names are ignored.
+ */
+async function resolveMentions(body, pe) {
+  const names = [
+    ...new Set([...String(body || "").matchAll(MENTION_RE)].map((m) => m[1])),
+  ];
+  if (!names.length) return [];
+  const users = await User.find({
+    username: { $in: names },
+    ...User.activeFilter(),
+  }).select("username role");
+  const out = [];
+  for (const u of users) {
+    if (await canViewPersonalExpense(u, pe)) out.push(u);
+  }
+  return out;
+}
+
+/** flat comments (oldest first) -> threads with nested replies */
+function buildThreads(comments) {
+  const byId = new Map();
+  const roots = [];
+  for (const c of comments) byId.set(String(c._id), { ...c, replies: [] });
+  for (const c of byId.values()) {
+    const parent = c.parent && byId.get(String(c.parent));
+    if (parent) parent.replies.push(c);
+    else roots.push(c);
+  }
+  return roots;
+}
+
+/** deleted comments keep their place in the thread but not their content */
+function presentComment(c) {
+  if (!c.deleted_at) return c;
+  return { ...c, body: "", attachments: [], mentions: [] };
+}
+
+/**
+ * GET /api/personal-expenses/:id/comments
+ * Comment threads on a request (same visibility as /:id/approvals)
+ */
+router.get("/:id/comments", authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "not found" });
+    }
+
+    const pe = await PersonalExpense.findById(req.params.id);
+    if (!pe) return res.status(404).json({ message: "not found" });
+    if (!(await canViewPersonalExpense(req.user, pe))) {
+      return res.status(403).json({ message: "forbidden" });
+    }
+
+    const comments = await Comment.find({ personal_expense: pe._id })
+      .populate("author", "username display_name role")
+      .populate("mentions", "username display_name")
+      .sort({ createdAt: 1 })
+      .lean();
+    const items = comments.map(presentComment);
+    return res.json({ items: buildThreads(items), total: items.length });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/personal-expenses/:id/comments
+ * Body: { body, parent_id?, attachments? }
+ * Notifies the owner, earlier participants and @mentioned users
  */
-router.post("/:id/cancel", authenticateToken, async (req, res) => {
+router.post("/:id/comments", authenticateToken, async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) {
       return res.status(404).json({ message: "not found" });
@@ -713,26 +1539,223 @@ router.post("/:id/cancel", authenticateToken, async (req, res) => {
 
     const pe = await PersonalExpense.findById(req.params.id);
     if (!pe) return res.status(404).json({ message: "not found" });
-    if (String(pe.user) !== String(req.user._id))
-      return res.status(403).json({ message: "not owner" });
-    if (["approved", "rejected", "cancelled"].includes(pe.status))
+    if (!(await canViewPersonalExpense(req.user, pe))) {
+      return res.status(403).json({ message: "forbidden" });
+    }
+
+    const { body, parent_id } = req.body || {};
+    const text = String(body || "").trim();
+    const attachments = cleanAttachments((req.body || {}).attachments);
+    if (!text && !attachments.length) {
       return res
         .status(400)
-        .json({ message: "cannot cancel in current status" });
+        .json({ message: "comment body or attachment required" });
+    }
+    if (text.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({
+        message: `comment too long (max ${COMMENT_MAX_LENGTH} characters)`,
+      });
+    }
+
+    let parent = null;
+    if (parent_id) {
+      if (!isValidObjectId(parent_id)) {
+        return res.status(400).json({ message: "invalid parent_id" });
+      }
+      parent = await Comment.findOne({
+        _id: parent_id,
+        personal_expense: pe._id,
+      });
+      if (!parent) {
+        return res.status(400).json({ message: "parent comment not found" });
+      }
+    }
+
+    const mentioned = await resolveMentions(text, pe);
+    const comment = await Comment.create({
+      personal_expense: pe._id,
+      parent: parent ? parent._id : null,
+      author: req.user._id,
+      body: text,
+      attachments,
+      mentions: mentioned.map((u) => u._id),
+    });
 
-    pe.status = "cancelled";
-    await pe.save();
     await createAudit({
-      entity_type: "personal_expense",
-      entity_id: pe._id,
-      action: "cancelled",
+      entity_type: "comment",
+      entity_id: comment._id,
+      action: "created",
+      performed_by: req.user._id,
+      meta: {
+        personal_expense: pe._id,
+        parent: comment.parent,
+        mentions: comment.mentions,
+        attachments: attachments.length,
+      },
+    });
+
+    // everyone already in the conversation hears about the new comment;
+    // mentioned users get a separate, more specific notification
+    const authorName = req.user.display_name || req.user.username;
+    const mentionIds = new Set(mentioned.map((u) => String(u._id)));
+    const participantIds = await Comment.distinct("author", {
+      personal_expense: pe._id,
+    });
+    const audience = new Set(
+      [pe.user, ...participantIds, parent && parent.author]
+        .filter(Boolean)
+        .map(String),
+    );
+    audience.delete(String(req.user._id));
+    mentionIds.delete(String(req.user._id));
+    for (const id of mentionIds) audience.delete(id);
+
+    const notify = async (userId, title, kind) => {
+      try {
+        await Notification.create({
+          user: userId,
+          title,
+          body: `${authorName} on "${pe.title}": ${text.slice(0, 200)}`,
+          link: `/personal/${pe._id}#comment-${comment._id}`,
+          meta: {
+            personal_expense: pe._id,
+            comment: comment._id,
+            from: req.user._id,
+            kind,
+          },
+        });
+      } catch (nerr) {
+        console.error("Failed to create comment notification", userId, nerr);
+      }
+
+      await createAudit({
+        entity_type: "notification",
+        entity_id: pe._id,
+        action: kind === "mention" ? "notify_mention" : "notify_comment",
+        performed_by: req.user._id,
+        meta: { to: userId, comment: comment._id },
+      });
+    };
+
+    for (const id of mentionIds) {
+      await notify(id, `${authorName} mentioned you in a comment`, "mention");
+    }
+    for (const id of audience) {
+      await notify(
+        id,
+        parent
+          ? "New reply on a personal expense"
+          : "New comment on a personal expense",
+        "comment",
+      );
+    }
+
+    await comment.populate("author", "username display_name role");
+    await comment.populate("mentions", "username display_name");
+    return res.status(201).json({ item: comment });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * PUT /api/personal-expenses/:id/comments/:commentId
+ * Author edits the text of their own comment (mentions are not re-sent)
+ */
+router.put("/:id/comments/:commentId", authenticateToken, async (req, res) => {
+  try {
+    if (
+      !isValidObjectId(req.params.id) ||
+      !isValidObjectId(req.params.commentId)
+    ) {
+      return res.status(404).json({ message: "not found" });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      personal_expense: req.params.id,
+    });
+    if (!comment || comment.deleted_at)
+      return res.status(404).json({ message: "not found" });
+    if (String(comment.author) !== String(req.user._id))
+      return res.status(403).json({ message: "not author" });
+
+    const text = String((req.body || {}).body || "").trim();
+    if (!text && !comment.attachments.length)
+      return res.status(400).json({ message: "comment body required" });
+    if (text.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({
+        message: `comment too long (max ${COMMENT_MAX_LENGTH} characters)`,
+      });
+    }
+
+    const before = comment.body;
+    comment.body = text;
+    comment.edited_at = new Date();
+    await comment.save();
+
+    await createAudit({
+      entity_type: "comment",
+      entity_id: comment._id,
+      action: "edited",
       performed_by: req.user._id,
+      meta: { personal_expense: comment.personal_expense, before },
     });
-    return res.json({ item: pe, message: "cancelled" });
+    return res.json({ item: comment });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "server error" });
   }
 });
 
+/**
+ * DELETE /api/personal-expenses/:id/comments/:commentId
+ * Author or a user manager removes a comment (soft delete, replies stay)
+ */
+router.delete(
+  "/:id/comments/:commentId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      if (
+        !isValidObjectId(req.params.id) ||
+        !isValidObjectId(req.params.commentId)
+      ) {
+        return res.status(404).json({ message: "not found" });
+      }
+
+      const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        personal_expense: req.params.id,
+      });
+      if (!comment || comment.deleted_at)
+        return res.status(404).json({ message: "not found" });
+      if (
+        String(comment.author) !== String(req.user._id) &&
+        !(await hasPermission(req.user, "users.manage"))
+      )
+        return res.status(403).json({ message: "forbidden" });
+
+      comment.deleted_at = new Date();
+      await comment.save();
+
+      await createAudit({
+        entity_type: "comment",
+        entity_id: comment._id,
+        action: "deleted",
+        performed_by: req.user._id,
+        meta: {
+          personal_expense: comment.personal_expense,
+          body: comment.body,
+        },
+      });
+      return res.json({ message: "deleted" });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,568 @@
+// backend/routes/records.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Record = require("../models/Record");
+const ExpenseEntry = require("../models/ExpenseEntry");
+const IncomeEntry = require("../models/IncomeEntry");
+const User = require("../models/User");
+const {
+  authenticateToken,
+  authenticateOptional,
+} = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { parseListQuery, findPage } = require("../utils/pagination");
+
+/**
+ * Records group expense and income entries (shopping trip, event, monthly sheet).
+ * Listing is public like the ledger. Creating, closing, reopening and deleting
+ * records and moving entries need record.manage; the responsible member may
+ * also edit the record's own details (PUT).
+ * Routes:
+ * GET    /api/records                 - ?status=&kind=&responsible=&from=&to= (starts_at), paged, with totals
+ * GET    /api/records/:id             - record, totals and its entries
+ * POST   /api/records                 - { title, kind?, description?, starts_at?, ends_at?, responsible_id? }
+ * PUT    /api/records/:id             - same fields (open records only)
+ * DELETE /api/records/:id             - delete an open record; its entries are kept, ungrouped
+ * POST   /api/records/:id/close       - lock the record and its entries
+ * POST   /api/records/:id/reopen      - unlock it again
+ * POST   /api/records/:id/entries     - move entries in { expense_ids?, income_ids? }
+ * DELETE /api/records/:id/entries     - take entries out { expense_ids?, income_ids? }
+ */
+
+const userRef = (u) =>
+  u && u._id
+    ? { id: u._id, username: u.username, display_name: u.display_name }
+    : u;
+
+const EMPTY_TOTALS = {
+  expense_total: 0,
+  expense_estimate: 0,
+  expense_count: 0,
+  income_total: 0,
+  income_count: 0,
+  net: 0,
+};
+
+/** Helper: totals of every record in `ids` -> Map(id string -> totals) */
+async function totalsByRecord(ids) {
+  const expAgg = await ExpenseEntry.aggregate([
+    { $match: { record_id: { $in: ids }, ...ExpenseEntry.NOT_DELETED } },
+    {
+      $group: {
+        _id: "$record_id",
+        total: { $sum: { $ifNull: ["$actual_amount", 0] } },
+        estimate: { $sum: { $ifNull: ["$amount_avg", 0] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const incAgg = await IncomeEntry.aggregate([
+    { $match: { record_id: { $in: ids } } },
+    {
+      $group: {
+        _id: "$record_id",
+        total: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const out = new Map();
+  const get = (id) => {
+    const key = String(id);
+    if (!out.has(key)) out.set(key, { ...EMPTY_TOTALS });
+    return out.get(key);
+  };
+  for (const e of expAgg) {
+    const t = get(e._id);
+    t.expense_total = e.total;
+    t.expense_estimate = e.estimate;
+    t.expense_count = e.count;
+  }
+  for (const i of incAgg) {
+    const t = get(i._id);
+    t.income_total = i.total;
+    t.income_count = i.count;
+  }
+  for (const t of out.values()) t.net = t.income_total - t.expense_total;
+  return out;
+}
+
+const toItem = (r, totals) => ({
+  id: r._id,
+  title: r.title,
+  kind: r.kind,
+  description: r.description,
+  starts_at: r.starts_at,
+  ends_at: r.ends_at,
+  responsible: userRef(r.responsible),
+  status: r.status,
+  closed_at: r.closed_at,
+  closed_by: userRef(r.closed_by),
+  created_by: userRef(r.created_by),
+  createdAt: r.createdAt,
+  totals: totals || { ...EMPTY_TOTALS },
+});
+
+/** load a record for a change; sends the error response and returns null when not allowed */
+async function loadEditable(req, res, { requireOpen = true } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  const record = await Record.findById(req.params.id);
+  if (!record) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  if (!(await record.editableBy(req.user))) {
+    res.status(403).json({ message: "forbidden" });
+    return null;
+  }
+  if (requireOpen && record.status === "closed") {
+    res.status(409).json({ message: "record is closed" });
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Helper: validate title/kind/description/dates/responsible from a request body.
+ * Returns { fields } or { message }; with `partial` only the given fields are checked.
+ */
+async function readFields(body, { partial = false, current = null } = {}) {
+  const fields = {};
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || "").trim();
+    if (!title) return { message: "title required" };
+    fields.title = title;
+  }
+  if (body.kind !== undefined) {
+    if (!Record.KINDS.includes(body.kind))
+      return { message: `kind must be one of ${Record.KINDS.join(", ")}` };
+    fields.kind = body.kind;
+  }
+  if (body.description !== undefined)
+    fields.description = String(body.description || "").trim();
+
+  for (const f of ["starts_at", "ends_at"]) {
+    if (body[f] === undefined) continue;
+    if (body[f] === null || body[f] === "") {
+      fields[f] = null;
+      continue;
+    }
+    const d = new Date(body[f]);
+    if (Number.isNaN(d.getTime())) return { message: `invalid ${f}` };
+    fields[f] = d;
+  }
+  const starts =
+    fields.starts_at !== undefined
+      ? fields.starts_at
+      : current && current.starts_at;
+  const ends =
+    fields.ends_at !== undefined ? fields.ends_at : current && current.ends_at;
+  if (starts && ends && ends < starts)
+    return { message: "ends_at must not be before starts_at" };
+
+  if (body.responsible_id !== undefined) {
+    if (body.responsible_id === null || body.responsible_id === "") {
+      fields.responsible = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(body.responsible_id))
+        return { message: "invalid responsible_id" };
+      const user = await User.findById(body.responsible_id);
+      if (!user || !user.isActive())
+        return { message: "responsible must be an active user" };
+      fields.responsible = user._id;
+    }
+  }
+  return { fields };
+}
+
+/** { expense_ids, income_ids } from the body as valid ObjectId strings, or { message } */
+function readEntryIds(body) {
+  const out = {};
+  for (const key of ["expense_ids", "income_ids"]) {
+    const v = body[key] === undefined ? [] : body[key];
+    if (!Array.isArray(v)) return { message: `${key} must be an array` };
+    if (v.some((id) => !mongoose.Types.ObjectId.isValid(id)))
+      return { message: `${key} contains an invalid id` };
+    out[key] = [...new Set(v.map(String))];
+  }
+  if (!out.expense_ids.length && !out.income_ids.length)
+    return { message: "expense_ids or income_ids required" };
+  return out;
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["starts_at", "createdAt", "title", "status"],
+  defaultSort: "-starts_at",
+  searchFields: ["title", "description"],
+};
+
+router.get("/", authenticateOptional, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const { status, kind, responsible, from, to } = req.query;
+    const q = {};
+    if (status) q.status = status;
+    if (kind) q.kind = kind;
+    if (responsible) {
+      if (!mongoose.Types.ObjectId.isValid(responsible))
+        return res.status(400).json({ message: "invalid responsible" });
+      q.responsible = responsible;
+    }
+    if (from || to) q.starts_at = {};
+    if (from) q.starts_at.$gte = new Date(from);
+    if (to) q.starts_at.$lte = new Date(to);
+
+    const page = await findPage(Record, q, list, (query) =>
+      query
+        .populate("responsible", "username display_name")
+        .populate("closed_by", "username display_name")
+        .populate("created_by", "username display_name"),
+    );
+    const totals = await totalsByRecord(page.items.map((r) => r._id));
+    return res.json({
+      ...page,
+      items: page.items.map((r) => toItem(r, totals.get(String(r._id)))),
+    });
+  } catch (err) {
+    console.error("GET /api/records error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.get("/:id", authenticateOptional, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ message: "not found" });
+
+    const record = await Record.findById(req.params.id)
+      .populate("responsible", "username display_name")
+      .populate("closed_by", "username display_name")
+      .populate("created_by", "username display_name");
+    if (!record) return res.status(404).json({ message: "not found" });
+
+    const totals = await totalsByRecord([record._id]);
+    const expenses = await ExpenseEntry.find({
+      record_id: record._id,
+      ...ExpenseEntry.NOT_DELETED,
+    })
+      .sort({ date: 1 })
+      .populate("category", "name")
+      .populate("created_by", "username display_name");
+    const incomes = await IncomeEntry.find({ record_id: record._id })
+      .sort({ date: 1 })
+      .populate("created_by", "username display_name");
+
+    return res.json({
+      item: toItem(record, totals.get(String(record._id))),
+      expenses,
+      incomes,
+    });
+  } catch (err) {
+    console.error("GET /api/records/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const { fields, message } = await readFields(body);
+      if (message) return res.status(400).json({ message });
+
+      // the creator is responsible unless someone else is named
+      if (fields.responsible === undefined) fields.responsible = req.user._id;
+
+      const record = await Record.create({
+        ...fields,
+        created_by: req.user._id,
+      });
+
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "created",
+        performed_by: req.user._id,
+        meta: { ...fields },
+      });
+      return res.status(201).json({ item: toItem(record) });
+    } catch (err) {
+      console.error("POST /api/records error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.put("/:id", authenticateToken, async (req, res) => {
+  try {
+    const record = await loadEditable(req, res);
+    if (!record) return;
+
+    const { fields, message } = await readFields(req.body || {}, {
+      partial: true,
+      current: record,
+    });
+    if (message) return res.status(400).json({ message });
+    if (!Object.keys(fields).length)
+      return res.status(400).json({ message: "nothing to update" });
+    // handing the record to someone else is for record managers
+    if (
+      fields.responsible !== undefined &&
+      String(fields.responsible) !== String(record.responsible) &&
+      !(await hasPermission(req.user, "record.manage"))
+    )
+      return res
+        .status(403)
+        .json({ message: "only record managers can change responsible" });
+
+    const before = {};
+    for (const f of Object.keys(fields)) before[f] = record[f];
+    record.set(fields);
+    await record.save();
+
+    await createAudit({
+      entity_type: "record",
+      entity_id: record._id,
+      action: "updated",
+      performed_by: req.user._id,
+      meta: { before, after: fields },
+    });
+    const totals = await totalsByRecord([record._id]);
+    return res.json({ item: toItem(record, totals.get(String(record._id))) });
+  } catch (err) {
+    console.error("PUT /api/records/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const record = await loadEditable(req, res);
+      if (!record) return;
+
+      const expenses = await ExpenseEntry.updateMany(
+        { record_id: record._id },
+        { $set: { record_id: null } },
+      );
+      const incomes = await IncomeEntry.updateMany(
+        { record_id: record._id },
+        { $set: { record_id: null } },
+      );
+      await record.deleteOne();
+
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "deleted",
+        performed_by: req.user._id,
+        meta: {
+          title: record.title,
+          expenses_released: expenses.modifiedCount,
+          incomes_released: incomes.modifiedCount,
+        },
+      });
+      return res.json({ message: "deleted" });
+    } catch (err) {
+      console.error("DELETE /api/records/:id error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/:id/close",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const record = await loadEditable(req, res);
+      if (!record) return;
+
+      record.status = "closed";
+      record.closed_at = new Date();
+      record.closed_by = req.user._id;
+      await record.save();
+
+      const totals = await totalsByRecord([record._id]);
+      const item = toItem(record, totals.get(String(record._id)));
+      // the totals at closing time, for the history
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "closed",
+        performed_by: req.user._id,
+        meta: { totals: item.totals },
+      });
+      return res.json({ item, message: "closed" });
+    } catch (err) {
+      console.error("POST /api/records/:id/close error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+router.post(
+  "/:id/reopen",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const record = await loadEditable(req, res, { requireOpen: false });
+      if (!record) return;
+      if (record.status !== "closed")
+        return res.status(400).json({ message: "record is not closed" });
+
+      const closed = {
+        closed_at: record.closed_at,
+        closed_by: record.closed_by,
+      };
+      record.status = "open";
+      record.closed_at = null;
+      record.closed_by = null;
+      await record.save();
+
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "reopened",
+        performed_by: req.user._id,
+        meta: closed,
+      });
+      const totals = await totalsByRecord([record._id]);
+      return res.json({
+        item: toItem(record, totals.get(String(record._id))),
+        message: "reopened",
+      });
+    } catch (err) {
+      console.error("POST /api/records/:id/reopen error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * POST /api/records/:id/entries
+ * Move entries into this record (from no record or another open record).
+ */
+router.post(
+  "/:id/entries",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const record = await loadEditable(req, res);
+      if (!record) return;
+      const ids = readEntryIds(req.body || {});
+      if (ids.message) return res.status(400).json({ message: ids.message });
+
+      const expenses = await ExpenseEntry.find({
+        _id: { $in: ids.expense_ids },
+        ...ExpenseEntry.NOT_DELETED,
+      });
+      const incomes = await IncomeEntry.find({ _id: { $in: ids.income_ids } });
+      if (
+        expenses.length !== ids.expense_ids.length ||
+        incomes.length !== ids.income_ids.length
+      )
+        return res.status(404).json({ message: "some entries were not found" });
+
+      // entries can't leave a closed record
+      const closed = await Record.closedIds(
+        [...expenses, ...incomes].map((e) => e.record_id),
+      );
+      const locked = [...expenses, ...incomes].filter((e) =>
+        closed.has(String(e.record_id)),
+      );
+      if (locked.length)
+        return res.status(409).json({
+          message: "some entries belong to a closed record",
+          ids: locked.map((e) => e._id),
+        });
+
+      const from = {};
+      for (const e of [...expenses, ...incomes]) from[e._id] = e.record_id;
+      await ExpenseEntry.updateMany(
+        { _id: { $in: ids.expense_ids } },
+        { $set: { record_id: record._id } },
+      );
+      await IncomeEntry.updateMany(
+        { _id: { $in: ids.income_ids } },
+        { $set: { record_id: record._id } },
+      );
+
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "entries_added",
+        performed_by: req.user._id,
+        meta: { ...ids, from },
+      });
+      const totals = await totalsByRecord([record._id]);
+      return res.json({ item: toItem(record, totals.get(String(record._id))) });
+    } catch (err) {
+      console.error("POST /api/records/:id/entries error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+/**
+ * DELETE /api/records/:id/entries
+ * Take entries out of this record; ids not in the record are ignored.
+ */
+router.delete(
+  "/:id/entries",
+  authenticateToken,
+  requirePermission("record.manage"),
+  async (req, res) => {
+    try {
+      const record = await loadEditable(req, res);
+      if (!record) return;
+      const ids = readEntryIds(req.body || {});
+      if (ids.message) return res.status(400).json({ message: ids.message });
+
+      const expenses = await ExpenseEntry.updateMany(
+        { _id: { $in: ids.expense_ids }, record_id: record._id },
+        { $set: { record_id: null } },
+      );
+      const incomes = await IncomeEntry.updateMany(
+        { _id: { $in: ids.income_ids }, record_id: record._id },
+        { $set: { record_id: null } },
+      );
+
+      await createAudit({
+        entity_type: "record",
+        entity_id: record._id,
+        action: "entries_removed",
+        performed_by: req.user._id,
+        meta: {
+          ...ids,
+          expenses_removed: expenses.modifiedCount,
+          incomes_removed: incomes.modifiedCount,
+        },
+      });
+      const totals = await totalsByRecord([record._id]);
+      return res.json({ item: toItem(record, totals.get(String(record._id))) });
+    } catch (err) {
+      console.error("DELETE /api/records/:id/entries error", err);
+      return res.status(500).json({ message: "server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,641 @@
+// backend/routes/recurringSchedules.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const RecurringSchedule = require("../models/RecurringSchedule");
+const ExpectedEntry = require("../models/ExpectedEntry");
+const ExpenseEntry = require("../models/ExpenseEntry");
+const IncomeEntry = require("../models/IncomeEntry");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const { authenticateToken } = require("../middleware/auth");
+const { hasPermission } = require("../middleware/roles");
+const { createAudit } = require("../utils/audit");
+const { parseListQuery, findPage } = require("../utils/pagination");
+const {
+  KIND_PERMISSION,
+  postScheduledEntry,
+} = require("../utils/recurringEntries");
+
+/**
+ * Recurring household expenses and incomes (rent, electricity, salaries...).
+ * Due occurrences are posted or turned into expected entries by
+ * jobs/recurringEntries.js. Expense schedules need expense.create, income
+ * schedules income.create. Changing a schedule and confirming / skipping its
+ * expected entries is for its creator, or anyone with expense.manage.
+ * Routes:
+ * GET    /api/recurring-schedules                      - ?kind=&status=active|paused, paged ?page&limit&sort&q
+ * GET    /api/recurring-schedules/forecast             - upcoming occurrences ?days=30 (max 366) or ?to=YYYY-MM-DD, plus unconfirmed expected entries
+ * GET    /api/recurring-schedules/expected             - expected entries ?status=expected|confirmed|skipped&kind=, paged
+ * POST   /api/recurring-schedules/expected/:id/confirm - post it { amount?, date?, note? }
+ * POST   /api/recurring-schedules/expected/:id/skip    - { reason? }
+ * GET    /api/recurring-schedules/:id                  - schedule + posted entries + expected entries
+ * POST   /api/recurring-schedules                      - create { kind: expense|income, title, amount, mode?: auto|expected,
+ *                                                        frequency: monthly|weekly|yearly, day_of_month?, starts_at, ends_at?,
+ *                                                        note?, category, amount_min?, amount_max?, unit? (expense), currency? (income) }
+ * PUT    /api/recurring-schedules/:id                  - edit (kind can't change; only future occurrences change)
+ * POST   /api/recurring-schedules/:id/pause
+ * POST   /api/recurring-schedules/:id/resume           - continues from the next occurrence after now
+ * DELETE /api/recurring-schedules/:id                  - archive (posted entries keep their link)
+ */
+
+const EDITABLE = [
+  "title",
+  "note",
+  "amount",
+  "category",
+  "amount_min",
+  "amount_max",
+  "unit",
+  "currency",
+  "frequency",
+  "day_of_month",
+  "starts_at",
+  "ends_at",
+  "mode",
+];
+const SCHEDULE_FIELDS = ["frequency", "day_of_month", "starts_at", "ends_at"];
+const MAX_FORECAST_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** kinds (expense / income) the user may manage */
+async function allowedKinds(user) {
+  const kinds = [];
+  for (const kind of RecurringSchedule.KINDS) {
+    if (await hasPermission(user, KIND_PERMISSION[kind])) kinds.push(kind);
+  }
+  return kinds;
+}
+
+/**
+ * Helper: validate a create / update payload against `base` (existing values).
+ * Returns { changes } or { message }.
+ */
+async function normalizeSchedule(body, base = {}) {
+  const changes = {};
+  for (const f of EDITABLE) if (body[f] !== undefined) changes[f] = body[f];
+  const merged = { ...base, ...changes };
+
+  if (!merged.title || !String(merged.title).trim())
+    return { message: "title required" };
+  for (const f of ["amount", "amount_min", "amount_max"]) {
+    if (changes[f] === undefined || changes[f] === null) continue;
+    changes[f] = Number(changes[f]);
+    if (!Number.isFinite(changes[f]) || changes[f] < 0)
+      return { message: `${f} must be a number >= 0` };
+    merged[f] = changes[f];
+  }
+  if (merged.amount == null) return { message: "amount required" };
+
+  if (merged.kind === "expense") {
+    if (changes.category !== undefined) {
+      const categoryId = await ExpenseCategory.resolveId(changes.category);
+      if (categoryId === undefined) return { message: "category not found" };
+      changes.category = categoryId;
+      merged.category = categoryId;
+    }
+    if (!merged.category)
+      return { message: "category is required for expense schedules" };
+    if (merged.amount_min != null && merged.amount_min > merged.amount)
+      return { message: "amount_min must not be above amount" };
+    if (merged.amount_max != null && merged.amount_max < merged.amount)
+      return { message: "amount_max must not be below amount" };
+  }
+
+  if (!RecurringSchedule.FREQUENCIES.includes(merged.frequency))
+    return {
+      message: `frequency must be one of ${RecurringSchedule.FREQUENCIES.join(", ")}`,
+    };
+  if (!RecurringSchedule.MODES.includes(merged.mode))
+    return {
+      message: `mode must be one of ${RecurringSchedule.MODES.join(", ")}`,
+    };
+  if (changes.day_of_month !== undefined && changes.day_of_month !== null) {
+    const day = Number(changes.day_of_month);
+    if (!Number.isInteger(day) || day < 1 || day > 31)
+      return { message: "day_of_month must be a whole number 1-31" };
+    changes.day_of_month = day;
+  }
+  // day_of_month only applies to monthly schedules
+  if (merged.frequency !== "monthly" && merged.day_of_month != null)
+    changes.day_of_month = null;
+
+  for (const f of ["starts_at", "ends_at"]) {
+    if (changes[f] === undefined || changes[f] === null) continue;
+    const d = new Date(changes[f]);
+    if (Number.isNaN(d.getTime())) return { message: `invalid ${f}` };
+    changes[f] = d;
+  }
+  if (!merged.starts_at) return { message: "starts_at required" };
+  const startsAt = changes.starts_at || merged.starts_at;
+  const endsAt =
+    changes.ends_at !== undefined ? changes.ends_at : merged.ends_at;
+  if (endsAt && endsAt <= startsAt)
+    return { message: "ends_at must be after starts_at" };
+  if (changes.title !== undefined) changes.title = String(changes.title).trim();
+
+  return { changes };
+}
+
+/** like canModify in routes/expenses.js: the schedule's creator, or expense.manage */
+async function canManage(user, schedule) {
+  if (await hasPermission(user, "expense.manage")) return true;
+  return (
+    String(schedule.created_by) === String(user._id) &&
+    (await hasPermission(user, KIND_PERMISSION[schedule.kind]))
+  );
+}
+
+/** load a schedule the caller may see, or with `manage` change */
+async function loadSchedule(req, res, { manage = true } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  const schedule = await RecurringSchedule.findById(req.params.id);
+  if (!schedule || schedule.status === "archived") {
+    res.status(404).json({ message: "not found" });
+    return null;
+  }
+  if (!(await hasPermission(req.user, KIND_PERMISSION[schedule.kind]))) {
+    res.status(403).json({ message: "Forbidden - missing permission" });
+    return null;
+  }
+  if (manage && !(await canManage(req.user, schedule))) {
+    res.status(403).json({ message: "forbidden" });
+    return null;
+  }
+  return schedule;
+}
+
+/**
+ * load an expected entry the caller may resolve (must still be expected)
+ * together with its schedule: { expected, schedule }
+ */
+async function loadExpected(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "not found" });
+    return {};
+  }
+  const expected = await ExpectedEntry.findById(req.params.id);
+  if (!expected) {
+    res.status(404).json({ message: "not found" });
+    return {};
+  }
+  const schedule = await RecurringSchedule.findById(expected.schedule);
+  if (!schedule) {
+    res.status(404).json({ message: "schedule not found" });
+    return {};
+  }
+  if (!(await hasPermission(req.user, KIND_PERMISSION[expected.kind]))) {
+    res.status(403).json({ message: "Forbidden - missing permission" });
+    return {};
+  }
+  if (!(await canManage(req.user, schedule))) {
+    res.status(403).json({ message: "forbidden" });
+    return {};
+  }
+  if (expected.status !== "expected") {
+    res.status(400).json({ message: `entry is already ${expected.status}` });
+    return {};
+  }
+  return { expected, schedule };
+}
+
+const LIST_OPTIONS = {
+  sortFields: ["next_run_at", "createdAt", "title", "amount", "status"],
+  defaultSort: "next_run_at",
+  searchFields: ["title", "note"],
+};
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const kinds = await allowedKinds(req.user);
+    if (!kinds.length)
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const q = { status: { $ne: "archived" }, kind: { $in: kinds } };
+    if (req.query.kind)
+      q.kind = kinds.includes(req.query.kind) ? req.query.kind : null;
+    if (req.query.status) {
+      // archived schedules are deleted ones and stay hidden
+      if (!["active", "paused"].includes(req.query.status))
+        return res
+          .status(400)
+          .json({ message: "status must be active or paused" });
+      q.status = req.query.status;
+    }
+
+    const page = await findPage(RecurringSchedule, q, list, (query) =>
+      query
+        .populate("category", "name")
+        .populate("created_by", "username display_name"),
+    );
+    return res.json(page);
+  } catch (err) {
+    console.error("GET /api/recurring-schedules error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * GET /api/recurring-schedules/forecast?days=30 | ?to=YYYY-MM-DD
+ * { from, to, items: [{ schedule, kind, title, occurrence, amount, mode }],
+ *   pending: [unconfirmed expected entries], totals: { expense, income, net } }
+ * totals cover both the upcoming occurrences and the pending expected entries.
+ */
+router.get("/forecast", authenticateToken, async (req, res) => {
+  try {
+    const kinds = await allowedKinds(req.user);
+    if (!kinds.length)
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const from = new Date();
+    let to;
+    if (req.query.to) {
+      to = new Date(req.query.to);
+      if (Number.isNaN(to.getTime()))
+        return res.status(400).json({ message: "invalid to" });
+      to.setHours(23, 59, 59, 999);
+    } else {
+      const days = req.query.days ? Number(req.query.days) : 30;
+      if (!Number.isInteger(days) || days < 1)
+        return res
+          .status(400)
+          .json({ message: "days must be a whole number >= 1" });
+      to = new Date(from.getTime() + days * DAY_MS);
+    }
+    if (to - from > MAX_FORECAST_DAYS * DAY_MS)
+      return res.status(400).json({
+        message: `the forecast covers at most ${MAX_FORECAST_DAYS} days`,
+      });
+
+    const schedules = await RecurringSchedule.find({
+      status: "active",
+      kind: { $in: kinds },
+      next_run_at: { $ne: null, $lte: to },
+    }).populate("category", "name");
+
+    const items = [];
+    for (const s of schedules) {
+      for (const occurrence of s.occurrencesUntil(to)) {
+        items.push({
+          schedule: s._id,
+          kind: s.kind,
+          title: s.title,
+          category: s.category,
+          occurrence,
+          amount: s.amount,
+          mode: s.mode,
+        });
+      }
+    }
+    items.sort((a, b) => a.occurrence - b.occurrence);
+
+    const pending = await ExpectedEntry.find({
+      status: "expected",
+      kind: { $in: kinds },
+    }).sort({ occurrence: 1 });
+
+    const totals = { expense: 0, income: 0, net: 0 };
+    for (const it of items) totals[it.kind] += it.amount;
+    for (const p of pending) totals[p.kind] += p.expected_amount;
+    totals.net = totals.income - totals.expense;
+
+    return res.json({ from, to, items, pending, totals });
+  } catch (err) {
+    console.error("GET /api/recurring-schedules/forecast error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+const EXPECTED_LIST_OPTIONS = {
+  sortFields: ["occurrence", "createdAt", "expected_amount", "title"],
+  defaultSort: "occurrence",
+  searchFields: ["title"],
+};
+
+router.get("/expected", authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, EXPECTED_LIST_OPTIONS);
+    if (list.message) return res.status(400).json({ message: list.message });
+
+    const kinds = await allowedKinds(req.user);
+    if (!kinds.length)
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const q = { status: req.query.status || "expected", kind: { $in: kinds } };
+    if (req.query.kind)
+      q.kind = kinds.includes(req.query.kind) ? req.query.kind : null;
+
+    const page = await findPage(ExpectedEntry, q, list, (query) =>
+      query
+        .populate("schedule", "title amount frequency mode")
+        .populate("resolved_by", "username display_name"),
+    );
+    return res.json(page);
+  } catch (err) {
+    console.error("GET /api/recurring-schedules/expected error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+/**
+ * POST /api/recurring-schedules/expected/:id/confirm
+ * Body: { amount? (defaults to the expected amount), date? (defaults to the occurrence), note? }
+ * Posts the entry in the confirming user's name.
+ */
+router.post("/expected/:id/confirm", authenticateToken, async (req, res) => {
+  try {
+    const { expected, schedule } = await loadExpected(req, res);
+    if (!expected) return;
+
+    const body = req.body || {};
+    const amount =
+      body.amount != null ? Number(body.amount) : expected.expected_amount;
+    if (!Number.isFinite(amount) || amount < 0)
+      return res.status(400).json({ message: "amount must be a number >= 0" });
+    const date = body.date ? new Date(body.date) : expected.occurrence;
+    if (Number.isNaN(date.getTime()))
+      return res.status(400).json({ message: "invalid date" });
+
+    // claim it so a double click can't post twice
+    const now = new Date();
+    const claimed = await ExpectedEntry.findOneAndUpdate(
+      { _id: expected._id, status: "expected" },
+      {
+        $set: {
+          status: "confirmed",
+          confirmed_amount: amount,
+          resolved_at: now,
+          resolved_by: req.user._id,
+        },
+      },
+      { new: true },
+    );
+    if (!claimed)
+      return res.status(409).json({ message: "entry was resolved meanwhile" });
+
+    let entry;
+    try {
+      entry = await postScheduledEntry(schedule, expected.occurrence, {
+        amount,
+        date,
+        note: body.note !== undefined ? String(body.note) : undefined,
+        by: req.user._id,
+      });
+    } catch (err) {
+      await ExpectedEntry.updateOne(
+        { _id: expected._id },
+        {
+          $set: {
+            status: "expected",
+            confirmed_amount: null,
+            resolved_at: null,
+            resolved_by: null,
+          },
+        },
+      );
+      throw err;
+    }
+    // already posted (e.g. the schedule was switched from auto): link that one
+    if (!entry) {
+      const Model = schedule.kind === "expense" ? ExpenseEntry : IncomeEntry;
+      entry = await Model.findOne({
+        recurring_schedule: schedule._id,
+        recurring_occurrence: expected.occurrence,
+      });
+    }
+    claimed.entry_id = entry ? entry._id : null;
+    await claimed.save();
+
+    await createAudit({
+      entity_type: "expected_entry",
+      entity_id: claimed._id,
+      action: "confirmed",
+      performed_by: req.user._id,
+      meta: {
+        schedule: schedule._id,
+        expected_amount: expected.expected_amount,
+        amount,
+        entry: claimed.entry_id,
+      },
+    });
+    return res.json({ item: claimed, entry, message: "confirmed" });
+  } catch (err) {
+    console.error(
+      "POST /api/recurring-schedules/expected/:id/confirm error",
+      err,
+    );
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/expected/:id/skip", authenticateToken, async (req, res) => {
+  try {
+    const { expected } = await loadExpected(req, res);
+    if (!expected) return;
+
+    expected.status = "skipped";
+    expected.skip_reason = String((req.body || {}).reason || "").trim();
+    expected.resolved_at = new Date();
+    expected.resolved_by = req.user._id;
+    await expected.save();
+
+    await createAudit({
+      entity_type: "expected_entry",
+      entity_id: expected._id,
+      action: "skipped",
+      performed_by: req.user._id,
+      meta: { schedule: expected.schedule, reason: expected.skip_reason },
+    });
+    return res.json({ item: expected, message: "skipped" });
+  } catch (err) {
+    console.error("POST /api/recurring-schedules/expected/:id/skip error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res, { manage: false });
+    if (!schedule) return;
+    await schedule.populate([
+      { path: "category", select: "name" },
+      { path: "created_by", select: "username display_name" },
+    ]);
+
+    const Model = schedule.kind === "expense" ? ExpenseEntry : IncomeEntry;
+    const posted = await Model.find({ recurring_schedule: schedule._id })
+      .sort({ recurring_occurrence: -1 })
+      .limit(50);
+    const expected = await ExpectedEntry.find({ schedule: schedule._id })
+      .sort({ occurrence: -1 })
+      .limit(50);
+    return res.json({ item: schedule, posted, expected });
+  } catch (err) {
+    console.error("GET /api/recurring-schedules/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!RecurringSchedule.KINDS.includes(body.kind))
+      return res
+        .status(400)
+        .json({ message: "kind must be expense or income" });
+    if (!(await hasPermission(req.user, KIND_PERMISSION[body.kind])))
+      return res
+        .status(403)
+        .json({ message: "Forbidden - missing permission" });
+
+    const result = await normalizeSchedule(body, {
+      kind: body.kind,
+      frequency: "monthly",
+      mode: "auto",
+    });
+    if (result.message)
+      return res.status(400).json({ message: result.message });
+
+    const schedule = new RecurringSchedule({
+      frequency: "monthly",
+      mode: "auto",
+      ...result.changes,
+      kind: body.kind,
+      created_by: req.user._id,
+    });
+    // past occurrences (starts_at in the past) are not posted retroactively
+    schedule.next_run_at = schedule.firstOccurrenceFrom(new Date());
+    await schedule.save();
+
+    await createAudit({
+      entity_type: "recurring_schedule",
+      entity_id: schedule._id,
+      action: "created",
+      performed_by: req.user._id,
+      meta: { payload: body },
+    });
+    return res.status(201).json({ item: schedule });
+  } catch (err) {
+    console.error("POST /api/recurring-schedules error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.put("/:id", authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+
+    const body = req.body || {};
+    if (body.kind !== undefined && body.kind !== schedule.kind)
+      return res.status(400).json({ message: "kind can't be changed" });
+    const result = await normalizeSchedule(body, schedule.toObject());
+    if (result.message)
+      return res.status(400).json({ message: result.message });
+
+    const before = {};
+    for (const f of Object.keys(result.changes)) before[f] = schedule[f];
+    schedule.set(result.changes);
+    // schedule changes apply from now on; past occurrences are not regenerated
+    if (SCHEDULE_FIELDS.some((f) => result.changes[f] !== undefined)) {
+      schedule.next_run_at = schedule.firstOccurrenceFrom(new Date());
+    }
+    await schedule.save();
+
+    await createAudit({
+      entity_type: "recurring_schedule",
+      entity_id: schedule._id,
+      action: "updated",
+      performed_by: req.user._id,
+      meta: { before, after: result.changes },
+    });
+    return res.json({ item: schedule });
+  } catch (err) {
+    console.error("PUT /api/recurring-schedules/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/:id/pause", authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status === "paused")
+      return res.status(400).json({ message: "already paused" });
+
+    schedule.status = "paused";
+    schedule.paused_reason = String((req.body || {}).reason || "").trim();
+    await schedule.save();
+    await createAudit({
+      entity_type: "recurring_schedule",
+      entity_id: schedule._id,
+      action: "paused",
+      performed_by: req.user._id,
+      meta: { reason: schedule.paused_reason },
+    });
+    return res.json({ item: schedule, message: "paused" });
+  } catch (err) {
+    console.error("POST /api/recurring-schedules/:id/pause error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/:id/resume", authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status !== "paused")
+      return res.status(400).json({ message: "schedule is not paused" });
+
+    // occurrences that fell inside the pause are skipped
+    schedule.status = "active";
+    schedule.paused_reason = "";
+    schedule.next_run_at = schedule.firstOccurrenceFrom(new Date());
+    await schedule.save();
+    await createAudit({
+      entity_type: "recurring_schedule",
+      entity_id: schedule._id,
+      action: "resumed",
+      performed_by: req.user._id,
+      meta: { next_run_at: schedule.next_run_at },
+    });
+    return res.json({ item: schedule, message: "resumed" });
+  } catch (err) {
+    console.error("POST /api/recurring-schedules/:id/resume error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+
+    schedule.status = "archived";
+    schedule.next_run_at = null;
+    await schedule.save();
+    await createAudit({
+      entity_type: "recurring_schedule",
+      entity_id: schedule._id,
+      action: "archived",
+      performed_by: req.user._id,
+    });
+    return res.json({ message: "deleted" });
+  } catch (err) {
+    console.error("DELETE /api/recurring-schedules/:id error", err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
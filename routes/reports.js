@@ -7,113 +7,142 @@ const User = require("../models/User");
 const IncomeEntry = require("../models/IncomeEntry");
 const ExpenseEntry = require("../models/ExpenseEntry");
 const mongoose = require("mongoose");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const {
+  parseListQuery,
+  withSearch,
+  findPage,
+  escapeRegex,
+} = require("../utils/pagination");
 
 /**
- * GET /api/reports/approved-expenses
+ * GET /api/reports/approved-expenses  (reports.view)
  * (unchanged from before — returns personal expense items (approved) in JSON or CSV)
+ * voided / partially refunded requests are included with their refunded_amount
+ * JSON is paged (?page=&limit=&sort=&q=), CSV exports every match in the same order
  */
-router.get("/approved-expenses", async (req, res) => {
-  try {
-    const { from, to, category, user, format } = req.query;
-    const q = { status: "approved" };
+const APPROVED_LIST_OPTIONS = {
+  sortFields: ["createdAt", "approved_at", "approved_amount", "title"],
+  defaultSort: "-createdAt",
+  searchFields: ["title", "description"],
+};
 
-    if (from || to) q.createdAt = {};
-    if (from) q.createdAt.$gte = new Date(from);
-    if (to) {
-      const endDate = new Date(to);
-      endDate.setHours(23, 59, 59, 999);
-      q.createdAt.$lte = endDate;
-    }
+router.get(
+  "/approved-expenses",
+  authenticateToken,
+  requirePermission("reports.view"),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, APPROVED_LIST_OPTIONS);
+      if (list.message) return res.status(400).json({ message: list.message });
 
-    if (user) {
-      if (mongoose.Types.ObjectId.isValid(user)) q.user = user;
-    }
+      const { from, to, category, user, format } = req.query;
+      const q = { status: { $in: PersonalExpense.SPENT_STATUSES } };
 
-    let categoryId = null;
-    if (category) {
-      if (mongoose.Types.ObjectId.isValid(category)) {
-        categoryId = category;
-      } else {
-        const cat = await ExpenseCategory.findOne({
-          name: { $regex: `^${category}$`, $options: "i" },
-        });
-        if (cat) categoryId = cat._id;
+      if (from || to) q.createdAt = {};
+      if (from) q.createdAt.$gte = new Date(from);
+      if (to) {
+        const endDate = new Date(to);
+        endDate.setHours(23, 59, 59, 999);
+        q.createdAt.$lte = endDate;
       }
-    }
-    if (categoryId) q.category = categoryId;
-
-    const items = await PersonalExpense.find(q)
-      .populate("user", "username display_name email")
-      .populate("category", "name")
-      .sort({ createdAt: -1 })
-      .lean();
-
-    if ((format || "").toLowerCase() === "csv") {
-      const cols = [
-        "id",
-        "title",
-        "description",
-        "user",
-        "user_email",
-        "category",
-        "amount_min",
-        "amount_avg",
-        "amount_max",
-        "requested_amount",
-        "approved_amount",
-        "start_date",
-        "end_date",
-        "status",
-        "createdAt",
-        "updatedAt",
-      ];
-      const esc = (v) => {
-        if (v == null) return "";
-        const s = String(v);
-        return `"${s.replace(/"/g, '""')}"`;
-      };
-      const lines = [cols.join(",")];
-      for (const it of items) {
-        const row = [
-          esc(it._id),
-          esc(it.title),
-          esc(it.description),
-          esc(it.user ? it.user.display_name || it.user.username : ""),
-          esc(it.user ? it.user.email : ""),
-          esc(it.category ? it.category.name : ""),
-          esc(it.amount_min),
-          esc(it.amount_avg),
-          esc(it.amount_max),
-          esc(it.requested_amount),
-          esc(it.approved_amount),
-          esc(it.start_date ? new Date(it.start_date).toISOString() : ""),
-          esc(it.end_date ? new Date(it.end_date).toISOString() : ""),
-          esc(it.status),
-          esc(it.createdAt ? new Date(it.createdAt).toISOString() : ""),
-          esc(it.updatedAt ? new Date(it.updatedAt).toISOString() : ""),
+
+      if (user) {
+        if (mongoose.Types.ObjectId.isValid(user)) q.user = user;
+      }
+
+      let categoryId = null;
+      if (category) {
+        if (mongoose.Types.ObjectId.isValid(category)) {
+          categoryId = category;
+        } else {
+          const cat = await ExpenseCategory.findOne({
+            name: { $regex: `^${category}$`, $options: "i" },
+          });
+          if (cat) categoryId = cat._id;
+        }
+      }
+      if (categoryId) q.category = categoryId;
+
+      const populate = (query) =>
+        query
+          .populate("user", "username display_name email")
+          .populate("category", "name")
+          .lean();
+
+      if ((format || "").toLowerCase() === "csv") {
+        const items = await populate(
+          PersonalExpense.find(withSearch(q, list))
+        ).sort(list.sort);
+        const cols = [
+          "id",
+          "title",
+          "description",
+          "user",
+          "user_email",
+          "category",
+          "amount_min",
+          "amount_avg",
+          "amount_max",
+          "requested_amount",
+          "approved_amount",
+          "refunded_amount",
+          "start_date",
+          "end_date",
+          "status",
+          "createdAt",
+          "updatedAt",
         ];
-        lines.push(row.join(","));
+        const esc = (v) => {
+          if (v == null) return "";
+          const s = String(v);
+          return `"${s.replace(/"/g, '""')}"`;
+        };
+        const lines = [cols.join(",")];
+        for (const it of items) {
+          const row = [
+            esc(it._id),
+            esc(it.title),
+            esc(it.description),
+            esc(it.user ? it.user.display_name || it.user.username : ""),
+            esc(it.user ? it.user.email : ""),
+            esc(it.category ? it.category.name : ""),
+            esc(it.amount_min),
+            esc(it.amount_avg),
+            esc(it.amount_max),
+            esc(it.requested_amount),
+            esc(it.approved_amount),
+            esc(it.refunded_amount || 0),
+            esc(it.start_date ? new Date(it.start_date).toISOString() : ""),
+            esc(it.end_date ? new Date(it.end_date).toISOString() : ""),
+            esc(it.status),
+            esc(it.createdAt ? new Date(it.createdAt).toISOString() : ""),
+            esc(it.updatedAt ? new Date(it.updatedAt).toISOString() : ""),
+          ];
+          lines.push(row.join(","));
+        }
+        const csv = lines.join("\r\n");
+        const filename = `approved-expenses-${new Date()
+          .toISOString()
+          .slice(0, 10)}.csv`;
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${filename}"`
+        );
+        return res.send(csv);
       }
-      const csv = lines.join("\r\n");
-      const filename = `approved-expenses-${new Date()
-        .toISOString()
-        .slice(0, 10)}.csv`;
-      res.setHeader("Content-Type", "text/csv; charset=utf-8");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${filename}"`
-      );
-      return res.send(csv);
-    }
 
-    return res.json({ items });
-  } catch (err) {
-    console.error("GET /api/reports/approved-expenses error", err);
-    return res
-      .status(500)
-      .json({ message: "server error", error: err.message });
+      return res.json(await findPage(PersonalExpense, q, list, populate));
+    } catch (err) {
+      console.error("GET /api/reports/approved-expenses error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
   }
-});
+);
 
 /**
  * Helper to build a date range object from optional from/to query params.
@@ -159,111 +188,700 @@ function buildRange(from, to) {
 }
 
 /**
- * GET /api/reports/remaining?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * GET /api/reports/remaining?from=YYYY-MM-DD&to=YYYY-MM-DD  (reports.view)
  * Returns server-side sums:
- * { start, end, totalIncome, totalGlobalExpenses, totalPersonalApproved, totalExpenses, remaining }
+ * { start, end, totalIncome, totalGlobalExpenses, totalPersonalGross, totalPersonalRefunded,
+ *   totalPersonalApproved, totalExpenses, remaining }
+ * totalPersonalApproved is net: amounts approved in the range (by approved_at, like
+ * computeMonthlyTotals) minus voids/refunds made in the range
  *
- * IMPORTANT: when summing ExpenseEntry for totalGlobalExpenses, exclude entries that are clearly personal-backed:
- * - note contains "Approved personal expense"
- * - OR title starts with "[Personal]"
+ * ExpenseEntry rows booked from personal expenses (source_type personal_expense /
+ * personal_refund) are excluded from totalGlobalExpenses; they are counted through
+ * the PersonalExpense sums instead.
  */
-router.get("/remaining", async (req, res) => {
-  try {
-    const { from, to } = req.query;
-    const { start, end } = buildRange(from, to);
-
-    // Sum incomes
-    const incAgg = await IncomeEntry.aggregate([
-      { $match: { date: { $gte: start, $lte: end } } },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const totalIncome = (incAgg[0] && incAgg[0].total) || 0;
-
-    // Sum global expenses (ExpenseEntry) BUT exclude rows that appear to be personal (title starts with "[Personal]" or note contains "Approved personal expense")
-    const expMatch = {
-      date: { $gte: start, $lte: end },
-      $and: [
-        // either note doesn't exist OR note does not include "Approved personal expense"
+router.get(
+  "/remaining",
+  authenticateToken,
+  requirePermission("reports.view"),
+  async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const { start, end } = buildRange(from, to);
+
+      // Sum incomes
+      const incAgg = await IncomeEntry.aggregate([
+        { $match: { date: { $gte: start, $lte: end } } },
+        { $group: { _id: null, total: { $sum: "$amount" } } },
+      ]);
+      const totalIncome = (incAgg[0] && incAgg[0].total) || 0;
+
+      // Sum global expenses (ExpenseEntry) BUT exclude rows booked from personal expenses
+      const expMatch = {
+        date: { $gte: start, $lte: end },
+        source_type: { $nin: ExpenseEntry.PERSONAL_SOURCE_TYPES },
+        ...ExpenseEntry.NOT_DELETED,
+      };
+
+      const expAgg = await ExpenseEntry.aggregate([
+        { $match: expMatch },
         {
-          $or: [
-            { note: { $exists: false } },
-            { note: { $eq: null } },
-            { note: { $not: /Approved personal expense/i } },
-          ],
+          $group: {
+            _id: null,
+            total: {
+              $sum: {
+                $ifNull: [{ $ifNull: ["$actual_amount", "$amount_avg"] }, 0],
+              },
+            },
+          },
         },
-        // and title either doesn't exist OR doesn't start with "[Personal]"
+      ]);
+      const totalGlobalExpenses = (expAgg[0] && expAgg[0].total) || 0;
+
+      // Sum approved PersonalExpense inside range, by approval date only: voids, refunds
+      // and payouts save the request again, its updatedAt must not count it twice
+      const peAgg = await PersonalExpense.aggregate([
         {
-          $or: [
-            { title: { $exists: false } },
-            { title: { $eq: null } },
-            { title: { $not: /^\[Personal\]/ } },
-          ],
+          $match: {
+            status: { $in: PersonalExpense.SPENT_STATUSES },
+            approved_at: { $gte: start, $lte: end },
+          },
         },
-      ],
-    };
+        {
+          $group: {
+            _id: null,
+            total: {
+              $sum: {
+                $ifNull: [
+                  { $ifNull: ["$approved_amount", "$requested_amount"] },
+                  "$amount_avg",
+                ],
+              },
+            },
+          },
+        },
+      ]);
+      const totalPersonalGross = (peAgg[0] && peAgg[0].total) || 0;
+
+      // voids / refunds are counted when they happen, like their reversing ledger entries
+      const refundAgg = await PersonalExpense.aggregate([
+        { $match: { "refunds.at": { $gte: start, $lte: end } } },
+        { $unwind: "$refunds" },
+        { $match: { "refunds.at": { $gte: start, $lte: end } } },
+        { $group: { _id: null, total: { $sum: "$refunds.amount" } } },
+      ]);
+      const totalPersonalRefunded = (refundAgg[0] && refundAgg[0].total) || 0;
+      const totalPersonalApproved = totalPersonalGross - totalPersonalRefunded;
 
-    const expAgg = await ExpenseEntry.aggregate([
-      { $match: expMatch },
-      {
-        $group: {
-          _id: null,
-          total: {
-            $sum: {
-              $ifNull: [{ $ifNull: ["$actual_amount", "$amount_avg"] }, 0],
+      const totalExpenses =
+        Number(totalGlobalExpenses || 0) + Number(totalPersonalApproved || 0);
+      const remaining = Number(totalIncome || 0) - Number(totalExpenses || 0);
+
+      return res.json({
+        start,
+        end,
+        totalIncome,
+        totalGlobalExpenses,
+        totalPersonalGross,
+        totalPersonalRefunded,
+        totalPersonalApproved,
+        totalExpenses,
+        remaining,
+      });
+    } catch (err) {
+      console.error("GET /api/reports/remaining error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /api/reports/unpaid-by-member?user=&format=csv
+ * Approved personal expenses the cash box still owes, grouped per member:
+ * { items: [{ user, requests, approved_total, refunded_total, paid_total, outstanding, oldest_approved_at }], total_outstanding }
+ */
+router.get(
+  "/unpaid-by-member",
+  authenticateToken,
+  requirePermission("personal.disburse", "personal.view_all"),
+  async (req, res) => {
+    try {
+      const match = { status: { $in: PersonalExpense.PAYABLE_STATUSES } };
+      if (req.query.user && mongoose.Types.ObjectId.isValid(req.query.user))
+        match.user = new mongoose.Types.ObjectId(String(req.query.user));
+
+      const rows = await PersonalExpense.aggregate([
+        { $match: match },
+        {
+          $project: {
+            user: 1,
+            approved_at: 1,
+            approved: { $ifNull: ["$approved_amount", 0] },
+            refunded: { $ifNull: ["$refunded_amount", 0] },
+            paid: { $ifNull: ["$paid_amount", 0] },
+          },
+        },
+        {
+          $addFields: {
+            outstanding: {
+              $subtract: [{ $subtract: ["$approved", "$refunded"] }, "$paid"],
             },
           },
         },
-      },
-    ]);
-    const totalGlobalExpenses = (expAgg[0] && expAgg[0].total) || 0;
-
-    // Sum approved PersonalExpense inside range (match approved via status and approved_at/updatedAt/createdAt)
-    const peAgg = await PersonalExpense.aggregate([
-      {
-        $match: {
-          status: "approved",
-          $or: [
-            { approved_at: { $gte: start, $lte: end } },
-            { updatedAt: { $gte: start, $lte: end } },
-            { createdAt: { $gte: start, $lte: end } },
-          ],
+        { $match: { outstanding: { $gt: 0 } } },
+        {
+          $group: {
+            _id: "$user",
+            requests: { $sum: 1 },
+            approved_total: { $sum: "$approved" },
+            refunded_total: { $sum: "$refunded" },
+            paid_total: { $sum: "$paid" },
+            outstanding: { $sum: "$outstanding" },
+            oldest_approved_at: { $min: "$approved_at" },
+          },
+        },
+        { $sort: { outstanding: -1 } },
+      ]);
+
+      const users = await User.find({ _id: { $in: rows.map((r) => r._id) } })
+        .select("username display_name email")
+        .lean();
+      const byId = new Map(users.map((u) => [String(u._id), u]));
+      const items = rows.map((r) => ({
+        user: byId.get(String(r._id)) || { _id: r._id },
+        requests: r.requests,
+        approved_total: r.approved_total,
+        refunded_total: r.refunded_total,
+        paid_total: r.paid_total,
+        outstanding: r.outstanding,
+        oldest_approved_at: r.oldest_approved_at,
+      }));
+      const totalOutstanding = items.reduce((s, it) => s + it.outstanding, 0);
+
+      if ((req.query.format || "").toLowerCase() === "csv") {
+        const esc = (v) => {
+          if (v == null) return "";
+          return `"${String(v).replace(/"/g, '""')}"`;
+        };
+        const lines = [
+          [
+            "user_id",
+            "user",
+            "user_email",
+            "requests",
+            "approved_total",
+            "refunded_total",
+            "paid_total",
+            "outstanding",
+            "oldest_approved_at",
+          ].join(","),
+        ];
+        for (const it of items) {
+          lines.push(
+            [
+              esc(it.user._id),
+              esc(it.user.display_name || it.user.username),
+              esc(it.user.email),
+              esc(it.requests),
+              esc(it.approved_total),
+              esc(it.refunded_total),
+              esc(it.paid_total),
+              esc(it.outstanding),
+              esc(
+                it.oldest_approved_at
+                  ? new Date(it.oldest_approved_at).toISOString()
+                  : ""
+              ),
+            ].join(",")
+          );
+        }
+        const filename = `unpaid-by-member-${new Date()
+          .toISOString()
+          .slice(0, 10)}.csv`;
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${filename}"`
+        );
+        return res.send(lines.join("\r\n"));
+      }
+
+      return res.json({ items, total_outstanding: totalOutstanding });
+    } catch (err) {
+      console.error("GET /api/reports/unpaid-by-member error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /api/reports/items?from=YYYY-MM-DD&to=YYYY-MM-DD&category=&q=&format=csv  (reports.view)
+ * Spending per line item across itemized expense entries in the range (default:
+ * current month). Lines are grouped by item name (case-insensitive) and unit:
+ * { start, end, items: [{ name, unit, quantity, total_spent, entries, avg_unit_price,
+ *   min_unit_price, max_unit_price, last_bought_at }], total_spent }
+ */
+router.get(
+  "/items",
+  authenticateToken,
+  requirePermission("reports.view"),
+  async (req, res) => {
+    try {
+      const { start, end } = buildRange(req.query.from, req.query.to);
+      const lineMatch = {};
+      if (req.query.category) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.category))
+          return res.status(400).json({ message: "invalid category" });
+        lineMatch["items.category"] = new mongoose.Types.ObjectId(
+          String(req.query.category)
+        );
+      }
+      if (req.query.q) {
+        const escaped = String(req.query.q).replace(
+          /[.*+?^${}()|[\]\\]/g,
+          "\\$&"
+        );
+        lineMatch["items.name"] = { $regex: escaped, $options: "i" };
+      }
+
+      const rows = await ExpenseEntry.aggregate([
+        {
+          $match: {
+            date: { $gte: start, $lte: end },
+            "items.0": { $exists: true },
+            ...ExpenseEntry.NOT_DELETED,
+          },
         },
-      },
-      {
-        $group: {
-          _id: null,
-          total: {
-            $sum: {
-              $ifNull: [
-                { $ifNull: ["$approved_amount", "$requested_amount"] },
-                "$amount_avg",
-              ],
+        { $unwind: "$items" },
+        { $match: lineMatch },
+        {
+          $group: {
+            _id: {
+              name: { $toLower: "$items.name" },
+              unit: { $toLower: "$items.unit" },
             },
+            name: { $first: "$items.name" },
+            unit: { $first: "$items.unit" },
+            quantity: { $sum: "$items.quantity" },
+            total_spent: { $sum: "$items.total" },
+            entries: { $addToSet: "$_id" },
+            min_unit_price: { $min: "$items.unit_price" },
+            max_unit_price: { $max: "$items.unit_price" },
+            last_bought_at: { $max: "$date" },
           },
         },
-      },
-    ]);
-    const totalPersonalApproved = (peAgg[0] && peAgg[0].total) || 0;
-
-    const totalExpenses =
-      Number(totalGlobalExpenses || 0) + Number(totalPersonalApproved || 0);
-    const remaining = Number(totalIncome || 0) - Number(totalExpenses || 0);
-
-    return res.json({
-      start,
-      end,
-      totalIncome,
-      totalGlobalExpenses,
-      totalPersonalApproved,
-      totalExpenses,
-      remaining,
-    });
-  } catch (err) {
-    console.error("GET /api/reports/remaining error", err);
-    return res
-      .status(500)
-      .json({ message: "server error", error: err.message });
+        { $sort: { total_spent: -1 } },
+      ]);
+
+      const items = rows.map((r) => ({
+        name: r.name,
+        unit: r.unit,
+        quantity: r.quantity,
+        total_spent: r.total_spent,
+        entries: r.entries.length,
+        // weighted by quantity, so 10 kg at 80 counts more than 1 kg at 95
+        avg_unit_price: r.quantity
+          ? Math.round((r.total_spent / r.quantity) * 100) / 100
+          : null,
+        min_unit_price: r.min_unit_price,
+        max_unit_price: r.max_unit_price,
+        last_bought_at: r.last_bought_at,
+      }));
+      const totalSpent = items.reduce((s, it) => s + it.total_spent, 0);
+
+      if ((req.query.format || "").toLowerCase() === "csv") {
+        const esc = (v) => {
+          if (v == null) return "";
+          return `"${String(v).replace(/"/g, '""')}"`;
+        };
+        const lines = [
+          [
+            "item",
+            "unit",
+            "quantity",
+            "total_spent",
+            "entries",
+            "avg_unit_price",
+            "min_unit_price",
+            "max_unit_price",
+            "last_bought_at",
+          ].join(","),
+        ];
+        for (const it of items) {
+          lines.push(
+            [
+              esc(it.name),
+              esc(it.unit),
+              esc(it.quantity),
+              esc(it.total_spent),
+              esc(it.entries),
+              esc(it.avg_unit_price),
+              esc(it.min_unit_price),
+              esc(it.max_unit_price),
+              esc(
+                it.last_bought_at
+                  ? new Date(it.last_bought_at).toISOString()
+                  : ""
+              ),
+            ].join(",")
+          );
+        }
+        const filename = `items-${start.toISOString().slice(0, 10)}-${end
+          .toISOString()
+          .slice(0, 10)}.csv`;
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${filename}"`
+        );
+        return res.send(lines.join("\r\n"));
+      }
+
+      return res.json({ start, end, items, total_spent: totalSpent });
+    } catch (err) {
+      console.error("GET /api/reports/items error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
+  }
+);
+
+/**
+ * Helper: one comparable row per estimated expense for the variance report.
+ * actual is actual_amount (household entries) or approved_amount (personal expenses);
+ * band tells where it falls against the amount_min..amount_max estimate.
+ */
+function varianceRow(source, doc, actual, date, member) {
+  const avg = doc.amount_avg;
+  const variance = actual - avg;
+  let band = "within";
+  if (doc.amount_min != null && actual < doc.amount_min) band = "below";
+  if (doc.amount_max != null && actual > doc.amount_max) band = "above";
+  return {
+    source,
+    id: doc._id,
+    title: doc.title,
+    category: doc.category
+      ? { id: doc.category._id, name: doc.category.name }
+      : null,
+    member: member
+      ? { id: member._id, name: member.display_name || member.username }
+      : null,
+    date,
+    month: date ? new Date(date).toISOString().slice(0, 7) : null,
+    amount_min: doc.amount_min,
+    amount_avg: avg,
+    amount_max: doc.amount_max,
+    actual,
+    variance: Math.round(variance * 100) / 100,
+    variance_pct: avg ? Math.round((variance / avg) * 10000) / 100 : null,
+    band,
+    flagged: band !== "within",
+  };
+}
+
+/** Helper: totals and accuracy of a set of variance rows */
+function summarizeVariance(rows) {
+  const out = {
+    count: rows.length,
+    estimated_total: 0,
+    actual_total: 0,
+    variance: 0,
+    variance_pct: null,
+    within_band: 0,
+    below_band: 0,
+    above_band: 0,
+    accuracy_pct: null, // share of rows inside their min/max band
+    mean_abs_error_pct: null, // average |actual - avg| / avg
+  };
+  let pctSum = 0;
+  let pctCount = 0;
+  for (const r of rows) {
+    out.estimated_total += r.amount_avg;
+    out.actual_total += r.actual;
+    out[`${r.band}_band`] += 1;
+    if (r.variance_pct != null) {
+      pctSum += Math.abs(r.variance_pct);
+      pctCount += 1;
+    }
+  }
+  const round2 = (n) => Math.round(n * 100) / 100;
+  out.estimated_total = round2(out.estimated_total);
+  out.actual_total = round2(out.actual_total);
+  out.variance = round2(out.actual_total - out.estimated_total);
+  if (out.estimated_total)
+    out.variance_pct = round2((out.variance / out.estimated_total) * 100);
+  if (rows.length)
+    out.accuracy_pct = round2((out.within_band / rows.length) * 100);
+  if (pctCount) out.mean_abs_error_pct = round2(pctSum / pctCount);
+  return out;
+}
+
+/** Helper: group rows by keyOf(row) -> [{ key, rows }] in first-seen order */
+function groupRows(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return [...groups.entries()].map(([key, list]) => ({ key, rows: list }));
+}
+
+/**
+ * GET /api/reports/variance?from=YYYY-MM-DD&to=YYYY-MM-DD&source=all|household|personal  (reports.view)
+ *   &category=&user=&flagged=1&format=csv&view=entries|categories|months|members
+ * Estimate (amount_min / avg / max) versus actual spending (default: current month):
+ * - household expense entries: actual_amount, by entry date (manual entries only;
+ *   personal expense bookings are covered by the personal expenses themselves)
+ * - personal expenses: approved_amount minus refunded_amount, by approval date
+ * Rows without an estimate or an actual (incl. voided requests) are skipped (counted in `skipped`).
+ * { start, end, summary, entries, by_category, by_month, by_member: [{ ..., months }], skipped }
+ * entries are sorted by |variance_pct|; flagged=1 keeps only those outside their band.
+ * CSV exports one view (default entries).
+ */
+const VARIANCE_VIEWS = ["entries", "categories", "months", "members"];
+
+router.get(
+  "/variance",
+  authenticateToken,
+  requirePermission("reports.view"),
+  async (req, res) => {
+    try {
+      const { start, end } = buildRange(req.query.from, req.query.to);
+      const source = req.query.source || "all";
+      if (!["all", "household", "personal"].includes(source))
+        return res
+          .status(400)
+          .json({ message: "source must be all, household or personal" });
+      const view = req.query.view || "entries";
+      if (!VARIANCE_VIEWS.includes(view))
+        return res.status(400).json({
+          message: `view must be one of ${VARIANCE_VIEWS.join(", ")}`,
+        });
+
+      let categoryId = null;
+      if (req.query.category) {
+        if (mongoose.Types.ObjectId.isValid(req.query.category)) {
+          categoryId = req.query.category;
+        } else {
+          const cat = await ExpenseCategory.findOne({
+            name: {
+              $regex: `^${escapeRegex(req.query.category)}$`,
+              $options: "i",
+            },
+          });
+          if (!cat)
+            return res.status(400).json({ message: "category not found" });
+          categoryId = cat._id;
+        }
+      }
+      let userId = null;
+      if (req.query.user) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.user))
+          return res.status(400).json({ message: "invalid user" });
+        userId = req.query.user;
+      }
+
+      const rows = [];
+      let skipped = 0;
+
+      if (source !== "personal") {
+        const q = {
+          date: { $gte: start, $lte: end },
+          source_type: { $nin: ExpenseEntry.PERSONAL_SOURCE_TYPES },
+          ...ExpenseEntry.NOT_DELETED,
+        };
+        if (categoryId) q.category = categoryId;
+        if (userId) q.created_by = userId;
+        const entries = await ExpenseEntry.find(q)
+          .select(
+            "title category created_by date amount_min amount_avg amount_max actual_amount"
+          )
+          .populate("category", "name")
+          .populate("created_by", "username display_name")
+          .lean();
+        for (const e of entries) {
+          if (e.amount_avg == null || e.actual_amount == null) {
+            skipped += 1;
+            continue;
+          }
+          rows.push(
+            varianceRow("household", e, e.actual_amount, e.date, e.created_by)
+          );
+        }
+      }
+
+      if (source !== "household") {
+        const q = {
+          status: { $in: PersonalExpense.SPENT_STATUSES },
+          approved_at: { $gte: start, $lte: end },
+        };
+        if (categoryId) q.category = categoryId;
+        if (userId) q.user = userId;
+        const requests = await PersonalExpense.find(q)
+          .select(
+            "title category user status approved_at amount_min amount_avg amount_max approved_amount refunded_amount"
+          )
+          .populate("category", "name")
+          .populate("user", "username display_name")
+          .lean();
+        for (const pe of requests) {
+          // what was really spent: refunds / voids are given back
+          const actual =
+            pe.approved_amount == null || pe.status === "voided"
+              ? null
+              : Math.max(0, pe.approved_amount - (pe.refunded_amount || 0));
+          if (pe.amount_avg == null || actual == null) {
+            skipped += 1;
+            continue;
+          }
+          rows.push(
+            varianceRow("personal", pe, actual, pe.approved_at, pe.user)
+          );
+        }
+      }
+
+      const byCategory = groupRows(rows, (r) =>
+        r.category ? String(r.category.id) : ""
+      )
+        .map((g) => ({
+          category: g.rows[0].category,
+          ...summarizeVariance(g.rows),
+        }))
+        .sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
+      const byMonth = groupRows(rows, (r) => r.month)
+        .map((g) => ({ month: g.key, ...summarizeVariance(g.rows) }))
+        .sort((a, b) => String(a.month).localeCompare(String(b.month)));
+      const byMember = groupRows(rows, (r) =>
+        r.member ? String(r.member.id) : ""
+      )
+        .map((g) => ({
+          member: g.rows[0].member,
+          ...summarizeVariance(g.rows),
+          // how the member's estimates develop over time
+          months: groupRows(g.rows, (r) => r.month)
+            .map((m) => ({ month: m.key, ...summarizeVariance(m.rows) }))
+            .sort((a, b) => String(a.month).localeCompare(String(b.month))),
+        }))
+        .sort((a, b) => (b.count || 0) - (a.count || 0));
+
+      let entries = rows;
+      if (req.query.flagged === "1" || req.query.flagged === "true")
+        entries = entries.filter((r) => r.flagged);
+      entries = [...entries].sort(
+        (a, b) => Math.abs(b.variance_pct || 0) - Math.abs(a.variance_pct || 0)
+      );
+
+      if ((req.query.format || "").toLowerCase() === "csv") {
+        const esc = (v) => {
+          if (v == null) return "";
+          return `"${String(v).replace(/"/g, '""')}"`;
+        };
+        const summaryCols = [
+          "count",
+          "estimated_total",
+          "actual_total",
+          "variance",
+          "variance_pct",
+          "within_band",
+          "below_band",
+          "above_band",
+          "accuracy_pct",
+          "mean_abs_error_pct",
+        ];
+        let header;
+        let data;
+        if (view === "entries") {
+          header = [
+            "source",
+            "id",
+            "title",
+            "category",
+            "member",
+            "date",
+            "amount_min",
+            "amount_avg",
+            "amount_max",
+            "actual",
+            "variance",
+            "variance_pct",
+            "band",
+          ];
+          data = entries.map((r) => [
+            r.source,
+            r.id,
+            r.title,
+            r.category ? r.category.name : "",
+            r.member ? r.member.name : "",
+            r.date ? new Date(r.date).toISOString() : "",
+            r.amount_min,
+            r.amount_avg,
+            r.amount_max,
+            r.actual,
+            r.variance,
+            r.variance_pct,
+            r.band,
+          ]);
+        } else if (view === "categories") {
+          header = ["category", ...summaryCols];
+          data = byCategory.map((c) => [
+            c.category ? c.category.name : "",
+            ...summaryCols.map((k) => c[k]),
+          ]);
+        } else if (view === "months") {
+          header = ["month", ...summaryCols];
+          data = byMonth.map((m) => [m.month, ...summaryCols.map((k) => m[k])]);
+        } else {
+          // one line per member and month
+          header = ["member_id", "member", "month", ...summaryCols];
+          data = [];
+          for (const m of byMember) {
+            for (const month of m.months) {
+              data.push([
+                m.member ? m.member.id : "",
+                m.member ? m.member.name : "",
+                month.month,
+                ...summaryCols.map((k) => month[k]),
+              ]);
+            }
+          }
+        }
+
+        const lines = [header.join(",")];
+        for (const row of data) lines.push(row.map(esc).join(","));
+        const filename = `variance-${view}-${start
+          .toISOString()
+          .slice(0, 10)}-${end.toISOString().slice(0, 10)}.csv`;
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${filename}"`
+        );
+        return res.send(lines.join("\r\n"));
+      }
+
+      return res.json({
+        start,
+        end,
+        summary: summarizeVariance(rows),
+        entries,
+        by_category: byCategory,
+        by_month: byMonth,
+        by_member: byMember,
+        skipped,
+      });
+    } catch (err) {
+      console.error("GET /api/reports/variance error", err);
+      return res
+        .status(500)
+        .json({ message: "server error", error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,181 @@
+// backend/routes/twoFactor.js
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Settings = require("../models/Settings");
+const totp = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * TOTP two-factor auth management for the logged in user
+ * Routes:
+ * GET  /api/auth/2fa                 - status { enabled, required, recovery_codes_left }
+ * POST /api/auth/2fa/setup           - start enrolment -> { secret, otpauthUri }
+ * POST /api/auth/2fa/enable          - confirm enrolment { code } -> { recoveryCodes }
+ * POST /api/auth/2fa/disable         - { password, code | recovery_code }
+ * POST /api/auth/2fa/recovery-codes  - regenerate recovery codes { code }
+ */
+
+const ISSUER = process.env.TOTP_ISSUER || "Home Database";
+
+// users whose role requires 2FA must still be able to enrol
+const authForEnrolment = authenticate({ allowMissingTwofa: true });
+
+async function isRequiredForRole(role) {
+  const settings = await Settings.getSettings();
+  return (settings.twofa_required_roles || []).includes(role);
+}
+
+router.get("/", authForEnrolment, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twofa_recovery_codes"
+    );
+    return res.json({
+      enabled: user.twofa_enabled,
+      required: await isRequiredForRole(user.role),
+      recovery_codes_left: user.twofa_enabled
+        ? user.twofa_recovery_codes.length
+        : 0,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/setup", authForEnrolment, async (req, res) => {
+  try {
+    if (req.user.twofa_enabled)
+      return res.status(400).json({ message: "2FA already enabled" });
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twofa_pending_secret: secret } }
+    );
+
+    return res.json({
+      secret,
+      otpauthUri: totp.provisioningUri(
+        secret,
+        req.user.email || req.user.username,
+        ISSUER
+      ),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/enable", authForEnrolment, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "code required" });
+
+    const user = await User.findById(req.user._id).select(
+      "+twofa_pending_secret"
+    );
+    if (user.twofa_enabled)
+      return res.status(400).json({ message: "2FA already enabled" });
+    if (!user.twofa_pending_secret)
+      return res.status(400).json({ message: "call /setup first" });
+
+    const step = totp.verify(user.twofa_pending_secret, code);
+    if (step == null) return res.status(400).json({ message: "invalid code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twofa_enabled = true;
+    user.twofa_secret = user.twofa_pending_secret;
+    user.twofa_pending_secret = null;
+    user.twofa_last_step = step;
+    user.twofa_recovery_codes = hashes;
+    await user.save();
+
+    // this device just proved the second factor; other sessions must log in again
+    if (req.sessionId) {
+      await Session.updateOne({ _id: req.sessionId }, { $set: { mfa: true } });
+    }
+
+    return res.json({
+      enabled: true,
+      recoveryCodes: codes,
+      message: "2FA enabled - store the recovery codes somewhere safe",
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/disable", authForEnrolment, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    if (!password || (!code && !recovery_code))
+      return res.status(400).json({ message: "missing fields" });
+
+    if (!req.user.twofa_enabled)
+      return res.status(400).json({ message: "2FA is not enabled" });
+    if (await isRequiredForRole(req.user.role))
+      return res
+        .status(400)
+        .json({ message: "2FA is required for your role and cannot be disabled" });
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(password, user.password_hash);
+    if (!isMatch) return res.status(400).json({ message: "invalid password" });
+
+    const method = await verifySecondFactor(user._id, { code, recovery_code });
+    if (!method) return res.status(400).json({ message: "invalid code" });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twofa_enabled: false,
+          twofa_secret: null,
+          twofa_pending_secret: null,
+          twofa_last_step: null,
+          twofa_recovery_codes: [],
+        },
+      }
+    );
+
+    return res.json({ enabled: false });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+router.post("/recovery-codes", authForEnrolment, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "code required" });
+    if (!req.user.twofa_enabled)
+      return res.status(400).json({ message: "2FA is not enabled" });
+
+    const method = await verifySecondFactor(req.user._id, { code });
+    if (!method) return res.status(400).json({ message: "invalid code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twofa_recovery_codes: hashes } }
+    );
+
+    return res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "server error" });
+  }
+});
+
+module.exports = router;
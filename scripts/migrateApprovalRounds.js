@@ -0,0 +1,40 @@
+// backend/scripts/migrateApprovalRounds.js
+// one-off: approvals became per submission round (request_changes + resubmit).
+// - gives existing Approval docs round 1
+// - gives already submitted personal expenses submission_round 1
+// - replaces the old unique index (personal_expense, admin_user) with the per-round one
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Approval = require("../models/Approval");
+const PersonalExpense = require("../models/PersonalExpense");
+
+const MONGO = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/publicdb";
+
+async function main() {
+  await mongoose.connect(MONGO, { serverSelectionTimeoutMS: 5000 });
+  console.log("Connected to Mongo for approval round migration");
+
+  const a = await Approval.updateMany(
+    { round: { $exists: false } },
+    { $set: { round: 1 } },
+  );
+  console.log(`Approvals updated: ${a.modifiedCount}`);
+
+  const pe = await PersonalExpense.updateMany(
+    { status: { $ne: "draft" }, submission_round: { $exists: false } },
+    { $set: { submission_round: 1 } },
+  );
+  console.log(`Personal expenses updated: ${pe.modifiedCount}`);
+
+  const dropped = await Approval.syncIndexes();
+  console.log("Approval indexes synced, dropped:", dropped);
+
+  await mongoose.disconnect();
+  console.log("Done.");
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// backend/scripts/migrateExpenseSources.js
+// one-off: ExpenseEntry got source_type / source_id. Older rows only pointed at
+// their personal expense through note text ("Approved personal expense (id: ...)")
+// or a "[Personal]" title; this fills in the reference from those.
+// Run with --dry-run to only print what would change.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const ExpenseEntry = require("../models/ExpenseEntry");
+const PersonalExpense = require("../models/PersonalExpense");
+
+const MONGO = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/publicdb";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const APPROVED_RE = /Approved personal expense \(id: ([0-9a-f]{24})\)/i;
+const REFUND_RE = /Refund of approved personal expense \(id: ([0-9a-f]{24})\)/i;
+
+/** [Personal] rows without an id in the note: link when exactly one approved request matches */
+async function guessByTitle(entry) {
+  const title = entry.title.replace(/^\[Personal\]\s*/, "");
+  const candidates = await PersonalExpense.find({
+    title,
+    status: { $in: PersonalExpense.SPENT_STATUSES },
+    approved_amount: entry.actual_amount,
+  }).select("_id");
+  return candidates.length === 1 ? candidates[0]._id : null;
+}
+
+async function main() {
+  await mongoose.connect(MONGO, { serverSelectionTimeoutMS: 5000 });
+  console.log(
+    `Connected to Mongo for expense source migration${DRY_RUN ? " (dry run)" : ""}`,
+  );
+
+  const counts = {
+    manual: 0,
+    personal_expense: 0,
+    personal_refund: 0,
+    unresolved: 0,
+  };
+  const linked = new Set();
+  const cursor = ExpenseEntry.find({ source_type: { $exists: false } })
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const entry of cursor) {
+    const note = entry.note || "";
+    let sourceType = "manual";
+    let sourceId = null;
+
+    let m;
+    if ((m = note.match(REFUND_RE))) {
+      sourceType = "personal_refund";
+      sourceId = m[1];
+    } else if ((m = note.match(APPROVED_RE))) {
+      sourceType = "personal_expense";
+      sourceId = m[1];
+    } else if (/^\[Personal\]/.test(entry.title || "")) {
+      // still a personal booking (reports always excluded it); keep it excluded
+      sourceType = "personal_expense";
+      sourceId = await guessByTitle(entry);
+      if (!sourceId) {
+        counts.unresolved += 1;
+        console.log(
+          `No personal expense found for entry ${entry._id} "${entry.title}"`,
+        );
+      }
+    }
+
+    // the unique index allows one booking per personal expense
+    if (sourceType === "personal_expense" && sourceId) {
+      if (linked.has(String(sourceId))) {
+        console.log(
+          `Entry ${entry._id} duplicates the booking of personal expense ${sourceId}; left unlinked`,
+        );
+        sourceId = null;
+        counts.unresolved += 1;
+      } else {
+        linked.add(String(sourceId));
+      }
+    }
+
+    counts[sourceType] += 1;
+    if (!DRY_RUN) {
+      await ExpenseEntry.updateOne(
+        { _id: entry._id },
+        { $set: { source_type: sourceType, source_id: sourceId } },
+      );
+    }
+  }
+
+  console.log("Entries by source:", counts);
+  if (!DRY_RUN) {
+    await ExpenseEntry.syncIndexes();
+    console.log("ExpenseEntry indexes synced");
+  }
+
+  await mongoose.disconnect();
+  console.log("Done.");
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
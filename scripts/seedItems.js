@@ -0,0 +1,50 @@
+// backend/scripts/seedItems.js
+// adds common staples to the item catalog under the seeded "حبوبات" category
+// (run scripts/seedCategories.js first). Existing items are left alone.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const ExpenseCategory = require("../models/ExpenseCategory");
+const Item = require("../models/Item");
+
+const MONGO = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/publicdb";
+const CATEGORY = "حبوبات";
+const GRAMS = { unit: "g", factor: 0.001 };
+const ITEMS = [
+  { name: "برنج", aliases: ["rice"], unit: "kg", conversions: [GRAMS] },
+  { name: "لوبیا", aliases: ["beans"], unit: "kg", conversions: [GRAMS] },
+  { name: "عدس", aliases: ["lentils"], unit: "kg", conversions: [GRAMS] },
+  { name: "نخود", aliases: ["chickpeas"], unit: "kg", conversions: [GRAMS] },
+  { name: "ماش", aliases: ["mung beans"], unit: "kg", conversions: [GRAMS] },
+];
+
+async function main() {
+  await mongoose.connect(MONGO, { serverSelectionTimeoutMS: 5000 });
+  console.log("Connected to Mongo for seeding items");
+
+  const category = await ExpenseCategory.findOne({ name: CATEGORY });
+  if (!category)
+    console.log(`Category ${CATEGORY} not found, seeding without it`);
+
+  for (const it of ITEMS) {
+    const existing = await Item.findOne({ name_key: it.name.toLowerCase() });
+    if (existing) {
+      console.log(`Item exists: ${existing.name}`);
+    } else {
+      await Item.create({
+        ...it,
+        name_key: it.name.toLowerCase(),
+        category: category ? category._id : null,
+      });
+      console.log("Created item:", it.name);
+    }
+  }
+
+  await mongoose.disconnect();
+  console.log("Done.");
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// backend/scripts/seedRoles.js
+// creates the built-in roles (superadmin, adminA, adminB, user, guest) with
+// the permissions they had before roles became configurable. Existing roles are left alone.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Role = require("../models/Role");
+
+const MONGO = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/publicdb";
+
+async function main() {
+  await mongoose.connect(MONGO, { serverSelectionTimeoutMS: 5000 });
+  console.log("Connected to Mongo for seeding roles");
+
+  for (const role of Role.DEFAULT_ROLES) {
+    const existing = await Role.findOne({ name: role.name });
+    if (existing) {
+      console.log(`Role exists: ${existing.name}`);
+    } else {
+      await Role.create({
+        ...role,
+        system: true,
+        known_permissions: Object.keys(Role.PERMISSIONS),
+      });
+      console.log("Created role:", role.name);
+    }
+  }
+
+  await mongoose.disconnect();
+  console.log("Done.");
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
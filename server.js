@@ -1,6 +1,9 @@
 require("dotenv").config();
 const app = require("./app");
 const connectDB = require("./config/db");
+const approvalScheduler = require("./jobs/approvalScheduler");
+const recurringPersonalExpenses = require("./jobs/recurringPersonalExpenses");
+const recurringEntries = require("./jobs/recurringEntries");
 
 const PORT = process.env.PORT || 4000;
 connectDB(process.env.MONGO_URI || "mongodb://localhost:27017/publicdb");
@@ -8,3 +11,10 @@ connectDB(process.env.MONGO_URI || "mongodb://localhost:27017/publicdb");
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// reminders / escalation / expiry for pending personal expenses
+approvalScheduler.start();
+// drafts / submissions from recurring personal expense templates
+recurringPersonalExpenses.start();
+// rent / utilities / salaries from recurring household schedules
+recurringEntries.start();
@@ -0,0 +1,36 @@
+// backend/utils/adminGuard.js
+// keeps the household from locking itself out: role names are configurable, so
+// "the last admin" means the last active user holding an admin permission
+const Role = require("../models/Role");
+const User = require("../models/User");
+
+// every one of these must stay held by at least one active user
+const ADMIN_PERMISSIONS = ["users.manage", "roles.manage"];
+
+/**
+ * Helper: admin permissions nobody active would hold after a change.
+ * change: { userId, newRole } - the user gets another role (newRole null: deactivated)
+ *         { roleName, newPermissions } - the role's permissions change ([] when deleted)
+ * Returns [] when the change is safe.
+ */
+async function orphanedAdminPermissions({
+  userId = null,
+  newRole = null,
+  roleName = null,
+  newPermissions = [],
+} = {}) {
+  const map = await Role.getPermissionMap();
+  const permissionsOf = (name) =>
+    name === roleName ? new Set(newPermissions) : map.get(name) || new Set();
+
+  const users = await User.find(User.activeFilter()).select("_id role").lean();
+  return ADMIN_PERMISSIONS.filter(
+    (p) =>
+      !users.some((u) => {
+        const role = String(u._id) === String(userId) ? newRole : u.role;
+        return role && permissionsOf(role).has(p);
+      }),
+  );
+}
+
+module.exports = { ADMIN_PERMISSIONS, orphanedAdminPermissions };
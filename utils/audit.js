@@ -0,0 +1,28 @@
+// backend/utils/audit.js
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Helper: create audit log
+ * never throws - a failed audit write must not break the request
+ */
+async function createAudit({
+  entity_type,
+  entity_id,
+  action,
+  performed_by = null,
+  meta = {},
+}) {
+  try {
+    await AuditLog.create({
+      entity_type,
+      entity_id,
+      action,
+      performed_by,
+      meta,
+    });
+  } catch (err) {
+    console.error("Failed to write audit log", err);
+  }
+}
+
+module.exports = { createAudit };
@@ -0,0 +1,81 @@
+// backend/utils/csv.js
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into an
+ * array of rows { line, fields }, line being the physical line the row starts
+ * on (quoted fields may span lines). A UTF-8 BOM and trailing empty lines are dropped.
+ */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (c === "\n" || (c === "\r" && src[i + 1] !== "\n")) line += 1;
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      line += 1;
+      rowLine = line;
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  while (
+    rows.length &&
+    rows[rows.length - 1].fields.every((v) => v.trim() === "")
+  )
+    rows.pop();
+  return rows;
+}
+
+/**
+ * Rows -> objects keyed by the header line (headers trimmed).
+ * Returns { headers, records: [{ line, values: { header: value } }] }, skipping blank lines.
+ */
+function csvToRecords(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { headers: [], records: [] };
+  const headers = rows[0].fields.map((h) => h.trim());
+  const records = [];
+  rows.slice(1).forEach(({ line, fields }) => {
+    if (fields.every((v) => v.trim() === "")) return;
+    const values = {};
+    headers.forEach((h, i) => {
+      values[h] = fields[i] !== undefined ? fields[i].trim() : "";
+    });
+    records.push({ line, values });
+  });
+  return { headers, records };
+}
+
+module.exports = { parseCsv, csvToRecords };
@@ -0,0 +1,209 @@
+// backend/utils/itemPrices.js
+// price history of catalog items: every expense entry (or line item) that
+// references an Item records its unit price here, in the item's canonical unit
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const ItemPrice = require("../models/ItemPrice");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const Settings = require("../models/Settings");
+const Notification = require("../models/Notification");
+const { createAudit } = require("./audit");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * Helper: check an item reference from a request body.
+ * Returns { item } or { message } (unknown item, or a unit it can't convert).
+ */
+async function resolveItemRef(itemId, unit, at = "item") {
+  if (!mongoose.Types.ObjectId.isValid(itemId))
+    return { message: `${at} not found` };
+  const item = await Item.findById(itemId);
+  if (!item || !item.active) return { message: `${at} not found` };
+  if (item.unitFactor(unit) == null)
+    return {
+      message: `${at}: unit "${unit}" can't be converted to ${item.unit} (add a conversion to the item)`,
+    };
+  return { item };
+}
+
+/** the purchases an entry reports: [{ item, line_item, quantity, unit, total }] */
+function purchasesOf(entry) {
+  const out = [];
+  if (entry.item && entry.quantity > 0 && entry.actual_amount != null) {
+    out.push({
+      item: entry.item,
+      line_item: null,
+      quantity: entry.quantity,
+      unit: entry.unit || "",
+      total: entry.actual_amount,
+    });
+  }
+  for (const line of entry.items || []) {
+    if (!line.item || !(line.quantity > 0)) continue;
+    out.push({
+      item: line.item,
+      line_item: line._id,
+      quantity: line.quantity,
+      unit: line.unit || "",
+      total: line.total,
+    });
+  }
+  return out;
+}
+
+/** average unit price of the item in the window before `date`, other entries only */
+async function recentAverage(itemId, date, windowDays, excludeEntry) {
+  const agg = await ItemPrice.aggregate([
+    {
+      $match: {
+        item: itemId,
+        expense_entry: { $ne: excludeEntry },
+        date: {
+          $gte: new Date(date.getTime() - windowDays * DAY_MS),
+          $lte: date,
+        },
+      },
+    },
+    { $group: { _id: null, avg: { $avg: "$unit_price" }, count: { $sum: 1 } } },
+  ]);
+  return agg[0] || { avg: null, count: 0 };
+}
+
+/** notify everyone who manages household expenses about new price alerts */
+async function notifyPriceAlerts(entry, alerts) {
+  const roles = await Role.rolesWithPermission("expense.manage");
+  const recipients = await User.find({
+    role: { $in: roles },
+    ...User.activeFilter(),
+  }).select("_id");
+  const ids = new Set(recipients.map((u) => String(u._id)));
+  if (entry.created_by) ids.add(String(entry.created_by));
+
+  const lines = alerts.map(
+    (a) =>
+      `${a.item.name}: ${a.price.unit_price} per ${a.item.unit} is ${a.price.alert.above_pct}% above the recent average ${a.price.alert.recent_avg}`,
+  );
+  for (const userId of ids) {
+    try {
+      await Notification.create({
+        user: userId,
+        title:
+          alerts.length === 1
+            ? `Price alert: ${alerts[0].item.name}`
+            : `Price alerts: ${alerts.length} items`,
+        body: lines.join("\n"),
+        link: `/expenses/${entry._id}`,
+        meta: {
+          expense_entry: entry._id,
+          item_prices: alerts.map((a) => a.price._id),
+        },
+      });
+    } catch (nerr) {
+      console.error("Failed to create price alert notification", nerr);
+    }
+
+    await createAudit({
+      entity_type: "notification",
+      entity_id: entry._id,
+      action: "notify_price_alert",
+      meta: { to: userId, items: alerts.map((a) => a.item._id) },
+    });
+  }
+}
+
+/**
+ * Re-record the prices an expense entry reports: its old ItemPrice rows are
+ * replaced by one per referenced item (entry-level item and line items).
+ * Deleted entries record nothing. Alerts are raised for prices far above the
+ * recent average; an alert already raised for the entry's item isn't sent again.
+ * Never throws - prices are secondary to saving the entry.
+ */
+async function recordEntryPrices(entry, by = null) {
+  try {
+    const previous = await ItemPrice.find({ expense_entry: entry._id }).lean();
+    await ItemPrice.deleteMany({ expense_entry: entry._id });
+    if (entry.deleted_at) return [];
+
+    const purchases = purchasesOf(entry);
+    if (!purchases.length) return [];
+
+    const items = await Item.find({
+      _id: { $in: purchases.map((p) => p.item) },
+    });
+    const itemById = new Map(items.map((i) => [String(i._id), i]));
+    const settings = await Settings.getSettings();
+    const date = entry.date || new Date();
+
+    const recorded = [];
+    const alerts = [];
+    for (const p of purchases) {
+      const item = itemById.get(String(p.item));
+      const factor = item ? item.unitFactor(p.unit) : null;
+      if (!factor) continue; // unit no longer convertible
+      const quantity = round4(p.quantity * factor);
+      const unitPrice = round4(p.total / quantity);
+
+      let alert = { recent_avg: null, above_pct: null };
+      const threshold =
+        item.alert_threshold_pct != null
+          ? item.alert_threshold_pct
+          : settings.price_alert_threshold_pct;
+      if (threshold > 0) {
+        const recent = await recentAverage(
+          item._id,
+          date,
+          settings.price_alert_window_days || 90,
+          entry._id,
+        );
+        if (
+          recent.count >= (settings.price_alert_min_samples || 1) &&
+          recent.avg > 0 &&
+          unitPrice > recent.avg * (1 + threshold / 100)
+        ) {
+          alert = {
+            recent_avg: round4(recent.avg),
+            above_pct: Math.round((unitPrice / recent.avg - 1) * 10000) / 100,
+          };
+        }
+      }
+
+      const price = await ItemPrice.create({
+        item: item._id,
+        expense_entry: entry._id,
+        line_item: p.line_item,
+        date,
+        quantity,
+        unit_price: unitPrice,
+        original: {
+          quantity: p.quantity,
+          unit: p.unit,
+          unit_price: round4(p.total / p.quantity),
+        },
+        alert,
+        recorded_by: by,
+      });
+      recorded.push(price);
+
+      // line ids change when the lines are replaced, so match on the item
+      const alreadyAlerted = previous.some(
+        (old) =>
+          String(old.item) === String(item._id) &&
+          old.alert &&
+          old.alert.above_pct != null,
+      );
+      if (alert.above_pct != null && !alreadyAlerted)
+        alerts.push({ item, price });
+    }
+
+    if (alerts.length) await notifyPriceAlerts(entry, alerts);
+    return recorded;
+  } catch (err) {
+    console.error("Failed to record item prices", entry._id, err);
+    return [];
+  }
+}
+
+module.exports = { resolveItemRef, recordEntryPrices };
@@ -0,0 +1,88 @@
+// backend/utils/pagination.js
+// shared list handling for GET endpoints:
+//   ?page=1&limit=50        offset pagination (limit capped at MAX_LIMIT)
+//   ?sort=-date             one whitelisted field, "-" for descending
+//   ?q=text                 case-insensitive search over the route's text fields
+// and the common response envelope { items, total, page, limit, pages, sort }.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Helper: read page / limit / sort / q from req.query.
+ * options: { sortFields: [..], defaultSort: "-createdAt", searchFields: [..] }
+ * Returns { page, limit, skip, sort, sortKey, search } or { message } for a bad request.
+ */
+function parseListQuery(query = {}, options = {}) {
+  const {
+    sortFields = [],
+    defaultSort = "-createdAt",
+    searchFields = [],
+  } = options;
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1)
+    return { message: "page must be a whole number >= 1" };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+    return { message: `limit must be between 1 and ${MAX_LIMIT}` };
+
+  const sortKey = String(query.sort || defaultSort);
+  const field = sortKey.replace(/^[-+]/, "");
+  if (!sortFields.includes(field))
+    return { message: `sort must be one of ${sortFields.join(", ")}` };
+  // _id as tie-breaker keeps pages stable when many rows share a value
+  const sort = { [field]: sortKey.startsWith("-") ? -1 : 1, _id: -1 };
+
+  let search = null;
+  const q = String(query.q || "").trim();
+  if (q && searchFields.length) {
+    const rx = { $regex: escapeRegex(q), $options: "i" };
+    search = { $or: searchFields.map((f) => ({ [f]: rx })) };
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort, sortKey, search };
+}
+
+/** add the free-text condition to a filter without clobbering an existing $or */
+function withSearch(filter, list) {
+  if (!list.search) return filter;
+  return { ...filter, $and: [...(filter.$and || []), list.search] };
+}
+
+/**
+ * Helper: run a paged find. `build` may add populate / select / lean to the query.
+ * Returns the common envelope.
+ */
+async function findPage(Model, filter, list, build = (query) => query) {
+  const where = withSearch(filter, list);
+  const [items, total] = await Promise.all([
+    build(Model.find(where)).sort(list.sort).skip(list.skip).limit(list.limit),
+    Model.countDocuments(where),
+  ]);
+  return envelope(items, total, list);
+}
+
+function envelope(items, total, list) {
+  return {
+    items,
+    total,
+    page: list.page,
+    limit: list.limit,
+    pages: Math.ceil(total / list.limit),
+    sort: list.sortKey,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  escapeRegex,
+  parseListQuery,
+  withSearch,
+  findPage,
+  envelope,
+};
@@ -0,0 +1,263 @@
+// backend/utils/personalExpenseFlow.js
+// submit / final approval of personal expenses, shared by the routes and the
+// background jobs (recurring templates auto-submit through here)
+const ExpenseEntry = require("../models/ExpenseEntry");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const ApprovalPolicy = require("../models/ApprovalPolicy");
+const Notification = require("../models/Notification");
+const { createAudit } = require("./audit");
+
+// fields the owner may edit (draft / changes_requested) and that are snapshotted on submit
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "amount_min",
+  "amount_avg",
+  "amount_max",
+  "requested_amount",
+  "start_date",
+  "end_date",
+  "attachments",
+];
+const EDITABLE_STATUSES = ["draft", "changes_requested"];
+
+/** plain, comparable copy of the editable fields */
+function snapshotOf(pe) {
+  const out = {};
+  for (const f of EDITABLE_FIELDS) {
+    const v = pe[f];
+    if (v == null) out[f] = null;
+    else if (v instanceof Date) out[f] = v.toISOString();
+    else if (f === "category") out[f] = String(v._id || v);
+    else if (f === "attachments")
+      out[f] = (v || []).map((a) => a.path || a.filename).filter(Boolean);
+    else out[f] = v;
+  }
+  return out;
+}
+
+/** [{ field, from, to }] for every field that differs between two snapshots */
+function diffSnapshots(before = {}, after = {}) {
+  return EDITABLE_FIELDS.filter(
+    (f) =>
+      JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null),
+  ).map((f) => ({ field: f, from: before[f] ?? null, to: after[f] ?? null }));
+}
+
+/**
+ * Helper: mark a personal expense approved with the final amount, notify the
+ * owner and book it into the global ledger as an ExpenseEntry.
+ * performedBy = admin who cast the deciding approval (null for policy auto-approval)
+ */
+async function finalizeApproval(
+  pe,
+  finalApprovedAmount,
+  performedBy,
+  meta = {},
+) {
+  pe.status = "approved";
+  pe.approved_amount = finalApprovedAmount;
+  pe.approved_at = new Date();
+  await pe.save();
+
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "approved_final",
+    performed_by: performedBy,
+    meta: { ...meta, finalApprovedAmount },
+  });
+
+  // notify owner about approval
+  try {
+    await Notification.create({
+      user: pe.user,
+      title: "Your personal expense request was approved",
+      body: `Request "${pe.title}" has been approved. Approved: ${finalApprovedAmount}`,
+      link: `/personal/${pe._id}`,
+      meta: {
+        personal_expense: pe._id,
+        by: performedBy,
+        decision: "approve",
+        approved_amount: finalApprovedAmount,
+      },
+    });
+  } catch (nerr) {
+    console.error("Failed to notify owner of approval", nerr);
+  }
+
+  await createAudit({
+    entity_type: "notification",
+    entity_id: pe._id,
+    action: "notify_owner_approved",
+    performed_by: performedBy,
+    meta: { owner: pe.user },
+  });
+
+  // Create a global ExpenseEntry representing this approved personal expense, but only if not created already.
+  try {
+    const existing = await ExpenseEntry.findOne({
+      source_type: "personal_expense",
+      source_id: pe._id,
+    });
+    if (!existing) {
+      const ee = await ExpenseEntry.create({
+        record_id: null,
+        category: pe.category || null,
+        title: `[Personal] ${pe.title}`,
+        amount_min: pe.amount_min,
+        amount_avg: pe.amount_avg,
+        amount_max: pe.amount_max,
+        actual_amount: finalApprovedAmount,
+        unit: pe.unit || undefined,
+        note: `Approved personal expense (id: ${pe._id})`,
+        date: pe.approved_at || new Date(),
+        created_by: performedBy, // the admin who finalized (null when auto-approved)
+        attachments: [],
+        source_type: "personal_expense",
+        source_id: pe._id,
+      });
+
+      await createAudit({
+        entity_type: "expense_entry",
+        entity_id: ee._id,
+        action: "created_from_personal_approval",
+        performed_by: performedBy,
+        meta: { personal_expense: pe._id, expense_entry: ee._id },
+      });
+    } else {
+      if (existing.actual_amount !== finalApprovedAmount) {
+        console.info(
+          `Existing expense entry for personal ${pe._id} found; not overwriting actual_amount (${existing.actual_amount} != ${finalApprovedAmount})`,
+        );
+      }
+    }
+  } catch (outerErr) {
+    console.error(
+      "Failed creating global ExpenseEntry for approved personal expense",
+      outerErr,
+    );
+  }
+}
+
+/**
+ * Helper: submit a draft / changes_requested request: starts a new approval
+ * round, applies the matching ApprovalPolicy (possibly approving right away)
+ * and notifies the approvers. actor = the owner submitting; meta goes to the audit entry.
+ * Returns { isResubmission, changes, autoApproved, amount }
+ */
+async function submitPersonalExpense(pe, actor, meta = {}) {
+  // new approval round + snapshot of what is being submitted
+  const isResubmission = pe.status === "changes_requested";
+  const previous = pe.submissions.length
+    ? pe.submissions[pe.submissions.length - 1]
+    : null;
+  const snapshot = snapshotOf(pe);
+  const changes = previous ? diffSnapshots(previous.snapshot, snapshot) : [];
+  pe.submission_round = (pe.submission_round || 0) + 1;
+  pe.submissions.push({
+    round: pe.submission_round,
+    submitted_at: new Date(),
+    snapshot,
+  });
+  pe.approvals_count = 0;
+  pe.submitted_at = new Date();
+  pe.reminder_count = 0;
+  pe.last_reminder_at = null;
+  pe.escalated_at = null;
+
+  // pick the approval policy for this category/amount
+  const policy = await ApprovalPolicy.resolveFor(pe);
+  pe.approval_policy = policy.policy ? policy.policy._id : null;
+  pe.required_admins_count = policy.required_approvers;
+  pe.required_approver_roles = policy.required_roles;
+  pe.status = "pending";
+  await pe.save();
+
+  await createAudit({
+    entity_type: "personal_expense",
+    entity_id: pe._id,
+    action: "submit",
+    performed_by: actor._id,
+    meta: {
+      ...meta,
+      round: pe.submission_round,
+      resubmission: isResubmission,
+      changes,
+      policy: pe.approval_policy,
+      policy_amount: policy.amount,
+      required_approvers: policy.required_approvers,
+      required_roles: policy.required_roles,
+      auto_approve: policy.auto_approve,
+    },
+  });
+
+  if (policy.auto_approve) {
+    const amount =
+      pe.requested_amount != null
+        ? Number(pe.requested_amount)
+        : Number(pe.amount_avg || 0);
+    pe.auto_approved = true;
+    await finalizeApproval(pe, amount, null, {
+      auto_approved_by_policy: pe.approval_policy,
+    });
+    return { isResubmission, changes, autoApproved: true, amount };
+  }
+
+  // notify admins (everyone who may approve)
+  const approverRoles = await Role.rolesWithPermission("personal.approve");
+  const admins = await User.find({
+    role: { $in: approverRoles },
+    ...User.activeFilter(),
+  });
+  const changedFields = changes.map((c) => c.field).join(", ");
+  for (const a of admins) {
+    try {
+      await Notification.create({
+        user: a._id,
+        title: isResubmission
+          ? "Personal expense resubmitted for approval"
+          : "New personal expense pending approval",
+        body: isResubmission
+          ? `User ${
+              actor.display_name || actor.username
+            } resubmitted "${pe.title}". Changed: ${changedFields || "nothing"}.`
+          : `User ${
+              actor.display_name || actor.username
+            } submitted "${pe.title}".`,
+        link: `/personal/${pe._id}`,
+        meta: {
+          personal_expense: pe._id,
+          from: actor._id,
+          round: pe.submission_round,
+          changes,
+        },
+      });
+    } catch (nerr) {
+      console.error("Failed to create notification for admin", a._id, nerr);
+    }
+
+    await createAudit({
+      entity_type: "notification",
+      entity_id: pe._id,
+      action: "notify_admin_new_pending",
+      performed_by: actor._id,
+      meta: { notifyTo: a._id, message: "New personal expense pending" },
+    });
+
+    console.info(`Notify admin ${a.username} about personal expense ${pe._id}`);
+  }
+
+  return { isResubmission, changes, autoApproved: false, amount: null };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  EDITABLE_STATUSES,
+  snapshotOf,
+  diffSnapshots,
+  finalizeApproval,
+  submitPersonalExpense,
+};
@@ -0,0 +1,68 @@
+// backend/utils/recurringEntries.js
+// posting of RecurringSchedule occurrences, shared by the scheduler job
+// (auto mode) and the confirm route for expected entries
+const ExpenseEntry = require("../models/ExpenseEntry");
+const IncomeEntry = require("../models/IncomeEntry");
+const { createAudit } = require("./audit");
+
+// permission the schedule's creator needs for its entries to be posted
+const KIND_PERMISSION = { expense: "expense.create", income: "income.create" };
+
+/**
+ * Post the ExpenseEntry / IncomeEntry for one occurrence of a schedule.
+ * amount / date / note override the schedule's values (used on confirm).
+ * Returns the entry, or null when this occurrence was already posted.
+ */
+async function postScheduledEntry(
+  schedule,
+  occurrence,
+  { amount = schedule.amount, date = occurrence, note, by = null } = {},
+) {
+  const link = {
+    recurring_schedule: schedule._id,
+    recurring_occurrence: occurrence,
+  };
+  let entry;
+  try {
+    if (schedule.kind === "expense") {
+      entry = await ExpenseEntry.create({
+        category: schedule.category,
+        title: schedule.title,
+        amount_min: schedule.amount_min ?? schedule.amount,
+        amount_avg: schedule.amount,
+        amount_max: schedule.amount_max ?? schedule.amount,
+        actual_amount: amount,
+        unit: schedule.unit || undefined,
+        note: note ?? schedule.note,
+        date,
+        created_by: by || schedule.created_by,
+        attachments: [],
+        ...link,
+      });
+    } else {
+      entry = await IncomeEntry.create({
+        source_name: schedule.title,
+        amount,
+        currency: schedule.currency || "AFN",
+        note: note ?? schedule.note,
+        date,
+        created_by: by || schedule.created_by,
+        ...link,
+      });
+    }
+  } catch (err) {
+    if (err.code === 11000) return null; // posted by an earlier pass
+    throw err;
+  }
+
+  await createAudit({
+    entity_type: schedule.kind === "expense" ? "expense_entry" : "income_entry",
+    entity_id: entry._id,
+    action: "created",
+    performed_by: by,
+    meta: { schedule: schedule._id, occurrence, amount },
+  });
+  return entry;
+}
+
+module.exports = { KIND_PERMISSION, postScheduledEntry };
@@ -0,0 +1,67 @@
+// backend/utils/twoFactor.js
+const crypto = require("crypto");
+const User = require("../models/User");
+const totp = require("./totp");
+
+const RECOVERY_CODES_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/** fresh one-time recovery codes: returns { codes (show once), hashes (store) } */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check the second factor of a user with 2FA enabled.
+ * Accepts either a TOTP `code` or a one-time `recovery_code` (which is burned).
+ * Returns "totp" / "recovery_code" on success, null otherwise.
+ */
+async function verifySecondFactor(userId, { code, recovery_code } = {}) {
+  const user = await User.findById(userId).select(
+    "+twofa_secret +twofa_last_step"
+  );
+  if (!user || !user.twofa_enabled || !user.twofa_secret) return null;
+
+  if (code) {
+    const step = totp.verify(user.twofa_secret, code);
+    if (step == null) return null;
+    // each code works once: only accept steps newer than the last used one
+    const updated = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twofa_last_step: null },
+          { twofa_last_step: { $lt: step } },
+        ],
+      },
+      { $set: { twofa_last_step: step } }
+    );
+    return updated.modifiedCount ? "totp" : null;
+  }
+
+  if (recovery_code) {
+    const hash = hashRecoveryCode(recovery_code);
+    const updated = await User.updateOne(
+      { _id: user._id, twofa_recovery_codes: hash },
+      { $pull: { twofa_recovery_codes: hash } }
+    );
+    return updated.modifiedCount ? "recovery_code" : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+};